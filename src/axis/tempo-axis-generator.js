@@ -0,0 +1,87 @@
+/**
+ * A generator to create data for a bar / beat grid according to a
+ * `TempoMap`, i.e. with tempo and meter changes. Bars are focused and
+ * labelled with their number, beats are labelled `bar:beat` when there is
+ * enough room. When zoomed in, the beats are divided in `subdivisions`
+ * (e.g. half-beats and quarter-beats), when zoomed out, only some of the
+ * bars are kept, and only one bar out of 2, 4, 8... is labelled so that
+ * the labels never overlap.
+ *
+ * The generated data can also be given as the `grid` of the `Snapper`.
+ *
+ * [example usage](./examples/layer-axis.html)
+ *
+ * @param {TempoMap} tempoMap - The tempo map.
+ * @param {Object} [options={}] - Options.
+ * @param {Number} [options.minStep=5] - Minimum distance in pixels between
+ *    two lines.
+ * @param {Number} [options.labelWidth=40] - Minimum distance in pixels
+ *    between two beats to label them.
+ * @param {Number} [options.charWidth=6] - Estimated width in pixels of a
+ *    character of the labels.
+ * @param {Number} [options.labelPadding=8] - Minimum space in pixels
+ *    between two labels.
+ * @param {Array<Number>} [options.subdivisions=[2, 4]] - The possible
+ *    divisions of a beat, the finest one respecting `minStep` is used.
+ * @return {Function} - The configured function returning the data when called.
+ */
+export default function tempoAxisGenerator(tempoMap, options = {}) {
+  const minStep = options.minStep !== undefined ? options.minStep : 5;
+  const labelWidth = options.labelWidth !== undefined ? options.labelWidth : 40;
+  const charWidth = options.charWidth !== undefined ? options.charWidth : 6;
+  const labelPadding = options.labelPadding !== undefined ? options.labelPadding : 8;
+  const subdivisions = (options.subdivisions || [2, 4])
+    .slice(0).sort((a, b) => b - a);
+
+  return function(timeContext) {
+    const duration = timeContext.visibleDuration;
+    const offset = timeContext.offset;
+    const data = [];
+
+    const min = - offset;
+    // remove the timeline's offset to keep the layer centered
+    const max = duration - offset;
+
+    // define pixels for 1 second
+    const pixelsPerSecond = timeContext.computedPixelsPerSecond;
+
+    tempoMap.getBeats(min, max).forEach(({ time, bar, beat, beatDuration, numerator }) => {
+      const pixelsPerBeat = pixelsPerSecond * beatDuration;
+
+      if (beat === 1) {
+        // keep one bar out of 2, 4, 8... if zoomed out
+        let barStep = 1;
+        while (pixelsPerBeat * numerator * barStep <= minStep) { barStep *= 2; }
+
+        if (((bar - 1) % barStep + barStep) % barStep !== 0) { return; }
+
+        // label one bar out of 2, 4, 8... if the labels do not fit
+        let labelStep = barStep;
+        const width = `${bar}`.length * charWidth + labelPadding;
+        while (pixelsPerBeat * numerator * labelStep < width) { labelStep *= 2; }
+
+        const labelled = ((bar - 1) % labelStep + labelStep) % labelStep === 0;
+        data.push({ time, focused: true, label: labelled ? `${bar}` : '' });
+      } else {
+        if (pixelsPerBeat <= minStep) { return; }
+
+        const label = `${bar}:${beat}`;
+        const fits = pixelsPerBeat > Math.max(labelWidth, label.length * charWidth + labelPadding);
+        data.push({ time, focused: false, label: fits ? label : '' });
+      }
+
+      for (let i = 0; i < subdivisions.length; i++) {
+        const division = subdivisions[i];
+        if (pixelsPerBeat / division <= minStep) { continue; }
+
+        for (let j = 1; j < division; j++) {
+          data.push({ time: time + j * beatDuration / division, focused: false, label: '' });
+        }
+
+        break;
+      }
+    });
+
+    return data;
+  };
+}
@@ -1,111 +1,166 @@
-import { padLeft } from '../utils/format';
+import format from '../utils/format';
+import tempoAxisGenerator from './tempo-axis-generator';
+
+
+// 1, 2, 5, 10, 20, 50... in the range of the given powers of 10
+function decimalSteps(minExponent, maxExponent) {
+  const steps = [];
+
+  for (let exponent = minExponent; exponent <= maxExponent; exponent++) {
+    for (let mantissa of [1, 2, 5]) {
+      // avoid floating point errors on negative exponents
+      steps.push(parseFloat((mantissa * Math.pow(10, exponent)).toPrecision(1)));
+    }
+  }
+
+  return steps;
+}
+
+// sub-second steps, then multiples of seconds, minutes and hours
+const clockSteps = decimalSteps(-3, -1).concat([
+  1, 2, 5, 10, 15, 30,
+  60, 120, 300, 600, 900, 1800,
+  3600, 7200, 10800, 21600, 43200, 86400,
+]);
+
+// number of decimals needed to display a step in seconds
+function decimals(step) {
+  return Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+}
+
+const formats = {
+  hms: {
+    steps: () => clockSteps,
+    label: (time, step) => format.hms(time, Math.min(decimals(step), 3)),
+  },
+  seconds: {
+    steps: () => decimalSteps(-3, 6),
+    label: (time, step) => time.toFixed(decimals(step)),
+  },
+  timecode: {
+    steps: ({ frameRate }) => {
+      const frameSteps = [1, 2, 5, 10]
+        .filter((frames) => frames < frameRate)
+        .map((frames) => frames / frameRate);
+
+      return frameSteps.concat(clockSteps.filter((step) => step >= 1));
+    },
+    label: (time, step, { frameRate }) => format.timecode(time, frameRate),
+  },
+  samples: {
+    steps: ({ sampleRate }) => {
+      return decimalSteps(0, 10).map((samples) => samples / sampleRate);
+    },
+    label: (time, step, { sampleRate }) => format.samples(time, sampleRate),
+  },
+};
 
 
 /**
- * A generator to create data for time axis.
+ * A generator to create data for time axis. The labels can be formatted as:
+ * - `'hms'`: `h:mm:ss.mmm`, with as many decimals as needed,
+ * - `'seconds'`: plain seconds,
+ * - `'timecode'`: SMPTE timecode `hh:mm:ss:ff` at `frameRate`,
+ * - `'samples'`: sample frames at `sampleRate`,
+ * - `'bars'`: bars and beats of a `tempoMap` (cf. `tempoAxisGenerator`).
+ *
+ * The interval between two labels is the smallest "round" value (for the
+ * format) leaving room for the labels, so that they never overlap. The
+ * intervals are divided in unlabelled ticks if they are large enough.
  *
  * [example usage](./examples/layer-axis.html)
  *
+ * @param {Object} [options={}] - Options.
+ * @param {String} [options.format='hms'] - The format of the labels.
+ * @param {Number} [options.frameRate=25] - Frames per second of the
+ *    `'timecode'` format.
+ * @param {Number} [options.sampleRate=44100] - Sample rate of the
+ *    `'samples'` format.
+ * @param {TempoMap} [options.tempoMap=null] - Tempo map of the `'bars'`
+ *    format.
+ * @param {Number} [options.charWidth=6] - Estimated width in pixels of a
+ *    character of the labels.
+ * @param {Number} [options.labelPadding=8] - Minimum space in pixels
+ *    between two labels.
+ * @param {Number} [options.minStep=7] - Minimum distance in pixels between
+ *    two ticks.
  * @return {Function} - The configured function returning the data when called.
  */
-export default function timeAxisGenerator() {
-  // add factory to share API with bpmGenerator
+export default function timeAxisGenerator(options = {}) {
+  options = Object.assign({
+    format: 'hms',
+    frameRate: 25,
+    sampleRate: 44100,
+    tempoMap: null,
+    charWidth: 6,
+    labelPadding: 8,
+    minStep: 7,
+  }, options);
+
+  const { charWidth, labelPadding, minStep } = options;
+
+  if (options.format === 'bars') {
+    if (options.tempoMap === null) {
+      throw new Error('The "bars" format needs a `tempoMap`');
+    }
+
+    return tempoAxisGenerator(options.tempoMap, { minStep, charWidth, labelPadding });
+  }
+
+  const config = formats[options.format];
+
+  if (!config) { throw new Error(`Invalid time format "${options.format}"`); }
+
+  const steps = config.steps(options);
+  const labelWidth = (label) => label.length * charWidth + labelPadding;
+
   return function(timeContext) {
     const duration = timeContext.visibleDuration;
     const offset = timeContext.offset;
     const data = [];
 
-    // const min = Math.min(-offset, 0);
     const min = - offset;
     // remove the timeline's offset to keep the layer centered
     const max = duration - offset;
 
     // define pixels for 1 second
     const pixelsPerSecond = timeContext.computedPixelsPerSecond;
-    const minStep = 7;
+    // the longest labels are at the bounds of the window
+    const widest = Math.abs(min) > Math.abs(max) ? min : max;
 
-    // define all display information according to the pixelsPerSecond ratio
-    let step, type, toFixed, markerModulo, includeModulo;
+    // smallest step leaving room for the labels
+    let step = steps[steps.length - 1];
 
-    if (pixelsPerSecond * 4 > minStep) {
-      step = 1; // the step to use to compute time
-      toFixed = 0;
-      markerModulo = 60; // a timestamp every 5 stepixelsPerSecond
-      includeModulo = 5; // a tick every 5 stepixelsPerSecond
-      type = '60sec';
-    }
-
-    if (pixelsPerSecond * 2 > minStep) {
-      step = 1;
-      toFixed = 0;
-      markerModulo = 30;
-      includeModulo = 1;
-      type = '30sec';
-    }
-
-    if (pixelsPerSecond > minStep) {
-      step = 1;
-      toFixed = 0;
-      markerModulo = 10;
-      includeModulo = 1;
-      type = 'sec';
-    }
-
-    if (pixelsPerSecond / 10 > minStep) {
-      step = 1 / 10;
-      toFixed = 1;
-      markerModulo = 10;
-      includeModulo = 1;
-      type = 'ds';
-    }
+    for (let i = 0; i < steps.length; i++) {
+      const label = config.label(widest, steps[i], options);
 
-    if (pixelsPerSecond / 100 > minStep) {
-      step = 1 / 100;
-      toFixed = 2;
-      markerModulo = 10;
-      includeModulo = 1;
-      type = 'cs';
+      if (steps[i] * pixelsPerSecond >= labelWidth(label)) {
+        step = steps[i];
+        break;
+      }
     }
 
-    if (pixelsPerSecond / 1000 > minStep) {
-      step = 1 / 1000;
-      toFixed = 3;
-      markerModulo = 10;
-      includeModulo = 1;
-      type = 'ms';
-    }
+    // unlabelled ticks between the labels
+    let division = 1;
 
-    if (pixelsPerSecond / 10000 > minStep) {
-      step = 1 / 10000;
-      toFixed = 4;
-      markerModulo = 10;
-      includeModulo = 1;
-      type = 'ms-1'; 
+    for (let candidate of [10, 5, 2]) {
+      if (step / candidate * pixelsPerSecond >= minStep) {
+        division = candidate;
+        break;
+      }
     }
 
-    for (let time = min; time < max; time += step) {
-      const formattedTime = time.toFixed(toFixed);
-
-      if (Math.round(formattedTime / step) % includeModulo !== 0) {
-        continue;
-      }
+    const tickStep = step / division;
+    const first = Math.ceil(min / tickStep - 1e-9);
+    const last = Math.floor(max / tickStep - 1e-9);
 
+    for (let index = first; index <= last; index++) {
       // avoid floating point errors
-      const focused = Math.round(formattedTime / step) % markerModulo === 0 ? true : false;
-
-      const datum = { time: formattedTime, focused };
-
-      if (focused === true) {
-        const date = new Date(1000 * formattedTime);
-        const min = padLeft(date.getMinutes(), 0, 2);
-        const sec = padLeft(date.getSeconds(), 0, 2);
-        const milli = padLeft(date.getMilliseconds(), 0, 3);
-        const label = `${min}:${sec}:${milli}`;
-
-        datum.label = label;
-      }
+      const time = parseFloat((index * tickStep).toFixed(9));
+      const focused = index % division === 0;
+      const label = focused ? config.label(time, step, options) : '';
 
-      data.push(datum);
+      data.push({ time, focused, label });
     }
 
     return data;
@@ -21,6 +21,7 @@ export default class BaseBehavior {
     this._selectedItems = new Set(); // no duplicate in Set
     this._selectedClass = null;
     this._layer = null;
+    this._groupMove = false;
   }
 
   initialize(layer) {
@@ -65,6 +66,81 @@ export default class BaseBehavior {
     return [...this._selectedItems];
   }
 
+  /**
+   * Returns the move to apply to a time position of a datum, i.e. `dx`
+   * snapped by the `Snapper` of the layer if any. Should be used by the
+   * `edit` implementations for the time positions.
+   *
+   * @param {Object} datum - The edited datum.
+   * @param {String} name - The name of the edited position (e.g. `'x'`).
+   * @param {Number} x - The current position in pixels.
+   * @param {Number} dx - The move in pixels.
+   * @param {Number} [width=0] - The width of a moved range, which can then be
+   *    snapped by its start or its end.
+   * @return {Number} - The move to apply in pixels.
+   */
+  _snapMove(datum, name, x, dx, width = 0) {
+    const snapper = this._layer ? this._layer.snapper : null;
+    // the move of a group is already snapped (cf. `beginGroupEdit`)
+    if (!snapper || !snapper.enabled || this._groupMove) { return dx; }
+
+    return snapper.drag(datum, name, x, dx, this._layer, width) - x;
+  }
+
+  /**
+   * Interface method returning the positions (in pixels) moved by `edit`
+   * for a given target, used to snap the items of a selection together
+   * (cf. `beginGroupEdit`). Returns no position by default.
+   *
+   * @param {Object} renderingContext - The layer rendering context.
+   * @param {BaseShape} shape - The shape object to be edited.
+   * @param {Object|Array} datum - The related datum.
+   * @param {Element} $target - The target DOM element of the interaction.
+   * @return {Array<Number>}
+   */
+  getSnapPositions(renderingContext, shape, datum, $target) {
+    return [];
+  }
+
+  /**
+   * Is called by the layer before editing several items with the same
+   * move. Returns the move snapped by the item which is the closest to a
+   * snapping target, the items then keep their relative positions: the
+   * move is not snapped again by `_snapMove` until `endGroupEdit` is called.
+   *
+   * @param {Object} renderingContext - The layer rendering context.
+   * @param {Array<BaseShape>} shapes - The shapes of the edited items.
+   * @param {Array<Object>} datums - The data of the edited items.
+   * @param {Number} dx - The move in pixels.
+   * @param {Element} $target - The target DOM element of the interaction.
+   * @return {Number} - The move to apply to all the items in pixels.
+   */
+  beginGroupEdit(renderingContext, shapes, datums, dx, $target) {
+    const snapper = this._layer ? this._layer.snapper : null;
+    if (!snapper || !snapper.enabled) { return dx; }
+
+    let positions = [];
+
+    datums.forEach((datum, index) => {
+      const shape = shapes[index];
+      positions = positions.concat(this.getSnapPositions(renderingContext, shape, datum, $target));
+    });
+
+    if (positions.length === 0) { return dx; }
+
+    this._groupMove = true;
+
+    return snapper.dragGroup(this, positions, dx, this._layer);
+  }
+
+  /**
+   * Is called by the layer when the items given to `beginGroupEdit` are
+   * edited.
+   */
+  endGroupEdit() {
+    this._groupMove = false;
+  }
+
   /**
    * @param {Element} $item - The item to select.
    * @param {Object} datum - Not used in this implementation. Could be
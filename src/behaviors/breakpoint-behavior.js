@@ -7,6 +7,10 @@ import BaseBehavior from './base-behavior';
  * [example usage](./examples/layer-breakpoint.html)
  */
 export default class BreakpointBehavior extends BaseBehavior {
+  getSnapPositions(renderingContext, shape, datum, target) {
+    return [renderingContext.timeToPixel(shape.cx(datum))];
+  }
+
   edit(renderingContext, shape, datum, dx, dy, target) {
     const data  = this._layer.data;
     const layerHeight = renderingContext.height;
@@ -14,7 +18,7 @@ export default class BreakpointBehavior extends BaseBehavior {
     const x = renderingContext.timeToPixel(shape.cx(datum));
     const y = renderingContext.valueToPixel(shape.cy(datum));
     // target position
-    let targetX = x + dx;
+    let targetX = x + this._snapMove(datum, 'cx', x, dx);
     let targetY = y - dy;
 
     if (data.length > 2) {
@@ -9,8 +9,13 @@ import BaseBehavior from './base-behavior';
 export default class MarkerBehavior extends BaseBehavior {
   edit(renderingContext, shape, datum, dx, dy, target) {
     const x = renderingContext.timeToPixel(shape.x(datum));
+    dx = this._snapMove(datum, 'x', x, dx);
     let targetX = (x + dx) > 0 ? x + dx : 0;
 
     shape.x(datum, renderingContext.timeToPixel.invert(targetX));
   }
+
+  getSnapPositions(renderingContext, shape, datum, target) {
+    return [renderingContext.timeToPixel(shape.x(datum))];
+  }
 }
@@ -7,7 +7,7 @@ import BaseBehavior from './base-behavior';
  * [example usage](./examples/layer-marker.html)
  */
 export default class SegmentBehavior extends BaseBehavior {
-  edit(renderingContext, shape, datum, dx, dy, target) {
+  _getAction(target) {
     const classList = target.classList;
     let action = 'move';
 
@@ -17,16 +17,38 @@ export default class SegmentBehavior extends BaseBehavior {
       action = 'resizeRight';
     }
 
+    return action;
+  }
+
+  edit(renderingContext, shape, datum, dx, dy, target) {
+    const action = this._getAction(target);
     this[`_${action}`](renderingContext, shape, datum, dx, dy, target);
   }
 
+  getSnapPositions(renderingContext, shape, datum, target) {
+    const x = renderingContext.timeToPixel(shape.x(datum));
+    const endX = renderingContext.timeToPixel(shape.x(datum) + shape.width(datum));
+
+    switch (this._getAction(target)) {
+      case 'resizeLeft':
+        return [x];
+      case 'resizeRight':
+        return [endX];
+      default:
+        return [x, endX];
+    }
+  }
+
   _move(renderingContext, shape, datum, dx, dy, target) {
     const layerHeight = renderingContext.height;
     // current values
     const x = renderingContext.timeToPixel(shape.x(datum));
     const y = renderingContext.valueToPixel(shape.y(datum));
-    const height = renderingContext.valueToPixel(shape.height(datum));
+    // on non linear scales (e.g. log), the height is kept in pixels
+    const height = renderingContext.valueToPixel(shape.y(datum) + shape.height(datum)) - y;
+    const endX = renderingContext.timeToPixel(shape.x(datum) + shape.width(datum));
     // target values
+    dx = this._snapMove(datum, 'x', x, dx, endX - x);
     let targetX = Math.max(x + dx, 0);
     let targetY = y - dy;
 
@@ -37,17 +59,25 @@ export default class SegmentBehavior extends BaseBehavior {
       targetY = layerHeight - height;
     }
 
+    const targetValue = renderingContext.valueToPixel.invert(targetY);
+
     shape.x(datum, renderingContext.timeToPixel.invert(targetX));
-    shape.y(datum, renderingContext.valueToPixel.invert(targetY));
+    shape.y(datum, targetValue);
+
+    if (renderingContext.valueToPixel.warp) {
+      const targetEndValue = renderingContext.valueToPixel.invert(targetY + height);
+      shape.height(datum, targetEndValue - targetValue);
+    }
   }
 
   _resizeLeft(renderingContext, shape, datum, dx, dy, target) {
     // current values
     const x     = renderingContext.timeToPixel(shape.x(datum));
     const width = renderingContext.timeToPixel(shape.width(datum));
+    const endX  = renderingContext.timeToPixel(shape.x(datum) + shape.width(datum));
     // target values
-    let maxTargetX  = x + width;
-    let targetX     = x + dx < maxTargetX ? Math.max(x + dx, 0) : x;
+    dx = this._snapMove(datum, 'x', x, dx);
+    let targetX     = x + dx < endX ? Math.max(x + dx, 0) : x;
     let targetWidth = targetX !== 0 ? Math.max(width - dx, 1) : width;
 
     shape.x(datum, renderingContext.timeToPixel.invert(targetX));
@@ -57,7 +87,9 @@ export default class SegmentBehavior extends BaseBehavior {
   _resizeRight(renderingContext, shape, datum, dx, dy, target) {
     // current values
     const width = renderingContext.timeToPixel(shape.width(datum));
+    const endX  = renderingContext.timeToPixel(shape.x(datum) + shape.width(datum));
     // target values
+    dx = this._snapMove(datum, 'end', endX, dx);
     let targetWidth = Math.max(width + dx, 1);
 
     shape.width(datum, renderingContext.timeToPixel.invert(targetWidth));
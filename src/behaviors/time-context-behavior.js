@@ -6,16 +6,38 @@
 export default class TimeContextBehavior {
   edit(layer, dx, dy, target) {
     const timeContext = layer.timeContext;
+    const x = timeContext.parent.timeToPixel(timeContext.start);
+    const width = timeContext.timeToPixel(timeContext.duration);
 
     if (target.classList.contains('handler') && target.classList.contains('left')) {
+      dx = this._snapMove(layer, 'start', x, dx);
       this._editLeft(timeContext, dx);
     } else if (target.classList.contains('handler') && target.classList.contains('right')) {
+      dx = this._snapMove(layer, 'end', x + width, dx);
       this._editRight(timeContext, dx);
     } else if (target.classList.contains('segment')) {
+      dx = this._snapMove(layer, 'start', x, dx, width);
       this._move(timeContext, dx);
     }
   }
 
+  /**
+   * Returns the move to apply to the `start` or the end of the layer, i.e.
+   * `dx` snapped by the `Snapper` of the layer if any (cf.
+   * `BaseBehavior~_snapMove`).
+   */
+  _snapMove(layer, name, x, dx, width = 0) {
+    const snapper = layer.snapper;
+    if (!snapper || !snapper.enabled) { return dx; }
+
+    // the snapper works in the coordinate system of the tracks
+    const parent = layer.timeContext.parent;
+    const trackX = x + parent.timeToPixel(parent.offset);
+    const target = snapper.drag(layer.timeContext, name, trackX, dx, layer, width);
+
+    return target - trackX;
+  }
+
   _editLeft(timeContext, dx) {
     // edit `start`, `offset` and `duration`
     const x = timeContext.parent.timeToPixel(timeContext.start);
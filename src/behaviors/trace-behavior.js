@@ -30,11 +30,29 @@ export default class TraceBehavior extends BaseBehavior {
   }
 
   _editRange(renderingContext, shape, datum, dx, dy, rangeSide) {
-    const range = renderingContext.valueToPixel(shape.range(datum));
+    const valueToPixel = renderingContext.valueToPixel;
 
-    let targetRange = rangeSide === 'min' ? range + 2 * dy : range - 2 * dy;
-    targetRange = Math.max(targetRange, 0);
+    if (!valueToPixel.warp) {
+      // linear scale, the range is a distance
+      const range = valueToPixel(shape.range(datum));
 
-    shape.range(datum, renderingContext.valueToPixel.invert(targetRange));
+      let targetRange = rangeSide === 'min' ? range + 2 * dy : range - 2 * dy;
+      targetRange = Math.max(targetRange, 0);
+
+      shape.range(datum, valueToPixel.invert(targetRange));
+      return;
+    }
+
+    // non linear scale (e.g. log), work in pixel domain from the upper bound
+    // of the range
+    const mean = shape.mean(datum);
+    const y = valueToPixel(mean);
+    const max = valueToPixel(mean + shape.range(datum) / 2);
+
+    let targetMax = rangeSide === 'min' ? max + dy : max - dy;
+    targetMax = Math.max(targetMax, y);
+
+    const halfRange = valueToPixel.invert(targetMax) - mean;
+    shape.range(datum, Math.max(2 * halfRange, 0));
   }
 }
@@ -0,0 +1,347 @@
+/**
+ * Copies, cuts and pastes the selected items of the layers, keeping their
+ * relative timing.
+ *
+ * The items are copied as the values of the accessors of their shape (cf.
+ * `BaseShape~getAccessorNames`), so that the pasted datums are created
+ * through the accessors of the target layer, whatever the structure of its
+ * data. The times (cf. `BaseShape~getTimeAccessors`) are stored relative to
+ * the earliest copied item, and can be pasted at any time of the timeline,
+ * in the original layers or in another layer using the same kind of shape.
+ * The pasted items become the selection. Each copy is also written as JSON
+ * in the system clipboard when available.
+ *
+ * Each `Timeline` owns a clipboard through its `clipboard` property, which
+ * handles the `copy`, `cut` and `paste` commands of the keymap (`Mod+C`,
+ * `Mod+X` and `Mod+V`): the items are pasted at the time of the pointer, in
+ * the layer under the pointer if compatible.
+ *
+ * ```js
+ * const clipboard = timeline.clipboard;
+ * clipboard.copy(segmentLayer);
+ * // paste the copied segments 10 seconds later in another layer
+ * clipboard.paste(otherSegmentLayer, clipboard.origin + 10);
+ * ```
+ */
+export default class Clipboard {
+  /**
+   * @param {Timeline} timeline - The timeline of the copied layers.
+   * @param {Object} [options={}] - Options.
+   * @param {Boolean} [options.system=true] - Write the copied items as JSON
+   *    in the system clipboard (`navigator.clipboard`), if available.
+   */
+  constructor(timeline, options = {}) {
+    this.params = Object.assign({
+      system: true,
+    }, options);
+
+    /**
+     * The timeline of the copied layers.
+     * @type {Timeline}
+     */
+    this.timeline = timeline;
+
+    this._groups = []; // { layer, shape, timeAccessors, items }
+    this._origin = 0;
+    this._pointer = null; // { time, layers }
+
+    this._onEvent = (e, hitLayers) => this._trackPointer(e, hitLayers);
+    this.timeline.on('event', this._onEvent);
+  }
+
+  /**
+   * Returns `true` if nothing has been copied.
+   *
+   * @type {Boolean}
+   */
+  get isEmpty() {
+    return this._groups.length === 0;
+  }
+
+  /**
+   * Time (in seconds, in the timeline) of the earliest copied item.
+   *
+   * @type {Number}
+   */
+  get origin() {
+    return this._origin;
+  }
+
+  /**
+   * Copies the selected items of the given layers, replacing the content of
+   * the clipboard if any item is selected.
+   *
+   * @param {Layer|Array<Layer>} [layers=timeline.layers]
+   * @return {Number} - The number of copied items.
+   */
+  copy(layers = this.timeline.layers) {
+    if (!Array.isArray(layers)) { layers = [layers]; }
+
+    const groups = [];
+    let origin = Infinity;
+
+    layers.forEach((layer) => {
+      const shape = layer.getShape();
+      const datums = this._getSelectedDatums(layer);
+      if (shape === null || !datums.length) { return; }
+
+      const names = shape.getAccessorNames();
+      const timeAccessors = shape.getTimeAccessors();
+
+      const items = datums.map((datum) => {
+        const values = {};
+
+        names.forEach((name) => values[name] = shape[name](datum));
+        // times are stored in the timeline, not in the layer
+        timeAccessors.forEach((name) => {
+          values[name] = values[name] + layer.start + layer.offset;
+          origin = Math.min(origin, values[name]);
+        });
+
+        return values;
+      });
+
+      groups.push({ layer, shape: shape.getClassName(), timeAccessors, items });
+    });
+
+    if (!groups.length) { return 0; }
+
+    if (origin === Infinity) { origin = 0; }
+
+    groups.forEach(({ timeAccessors, items }) => {
+      items.forEach((values) => {
+        timeAccessors.forEach((name) => values[name] -= origin);
+      });
+    });
+
+    this._groups = groups;
+    this._origin = origin;
+    this._writeSystemClipboard();
+
+    return groups.reduce((count, group) => count + group.items.length, 0);
+  }
+
+  /**
+   * Copies the selected items of the given layers and removes them from
+   * their layer, as a single command of the history.
+   *
+   * @param {Layer|Array<Layer>} [layers=timeline.layers]
+   * @return {Number} - The number of removed items.
+   */
+  cut(layers = this.timeline.layers) {
+    if (!Array.isArray(layers)) { layers = [layers]; }
+
+    const removedByLayer = layers.map((layer) => this._getSelectedDatums(layer));
+    const count = this.copy(layers);
+    if (count === 0) { return 0; }
+
+    const history = this.timeline.history;
+    history.begin('cut');
+
+    this._groups.forEach(({ layer }) => {
+      const data = layer.data;
+      const removed = removedByLayer[layers.indexOf(layer)];
+
+      history.recordData(data);
+      const previous = data.slice(0);
+      removed.forEach((datum) => data.splice(data.indexOf(datum), 1));
+
+      this.timeline.tracks.render(layer);
+      this.timeline.tracks.update(layer);
+      layer.emit('change:data', { items: [], datums: [], removed, previous });
+    });
+
+    history.end();
+
+    return count;
+  }
+
+  /**
+   * Tests if the copied items can be pasted in a layer, i.e. if the layer
+   * belongs to the timeline and uses the same kind of shape as (some of)
+   * the copied items.
+   *
+   * @param {Layer} layer
+   * @return {Boolean}
+   */
+  canPaste(layer) {
+    return this._groups.some((group) => this._accepts(layer, group));
+  }
+
+  /**
+   * Pastes the copied items, as a single command of the history. The pasted
+   * items replace the selection of the layers.
+   *
+   * @param {Layer} [layer=null] - The layer in which the items are pasted,
+   *    the layers they have been copied from if `null`. Only the items of
+   *    the same kind of shape as the layer are pasted.
+   * @param {Number} [time=null] - The time (in seconds, in the timeline) of
+   *    the earliest pasted item, the original time if `null`.
+   * @return {Array<Element>} - The pasted items.
+   */
+  paste(layer = null, time = null) {
+    if (time === null) { time = this._origin; }
+
+    const datumsByLayer = new Map();
+
+    this._groups.forEach((group) => {
+      const target = layer !== null ? layer : group.layer;
+      if (!this._accepts(target, group)) { return; }
+
+      if (!datumsByLayer.has(target)) { datumsByLayer.set(target, []); }
+
+      const datums = datumsByLayer.get(target);
+      group.items.forEach((values) => {
+        datums.push(this._createDatum(target, group, values, time));
+      });
+    });
+
+    const pasted = [];
+    if (!datumsByLayer.size) { return pasted; }
+
+    const history = this.timeline.history;
+    history.begin('paste');
+
+    this.timeline.layers.forEach((candidate) => candidate.unselect());
+
+    datumsByLayer.forEach((datums, target) => {
+      const data = target.data;
+
+      history.recordData(data);
+      const previous = data.slice(0);
+      data.push(...datums);
+
+      this.timeline.tracks.render(target);
+      this.timeline.tracks.update(target);
+
+      const items = datums.map((datum) => target.getItemFromDatum(datum));
+      target.select(items);
+      target.emit('change:data', { items, datums, removed: [], previous });
+
+      pasted.push(...items);
+    });
+
+    history.end();
+
+    return pasted;
+  }
+
+  /**
+   * Handles the `copy`, `cut` and `paste` commands of the keymap. Is called
+   * by the timeline for the commands not consumed by its state.
+   *
+   * @param {String} command - The name of the command.
+   * @param {WaveEvent} e - The `keydown` event that triggered the command.
+   * @return {Boolean} - `true` if the command has been consumed.
+   */
+  handleCommand(command, e) {
+    switch (command) {
+      case 'copy':
+        return this.copy() > 0;
+      case 'cut':
+        return this.cut() > 0;
+      case 'paste':
+        return this._pasteAtPointer();
+    }
+
+    return false;
+  }
+
+  /**
+   * Empties the clipboard.
+   */
+  clear() {
+    this._groups = [];
+    this._origin = 0;
+  }
+
+  /**
+   * Returns the copied items by kind of shape, their times being relative
+   * to `origin`.
+   *
+   * @return {Object} - `{ origin, groups: [{ shape, items }] }`
+   */
+  toJSON() {
+    return {
+      origin: this._origin,
+      groups: this._groups.map(({ shape, items }) => ({ shape, items })),
+    };
+  }
+
+  /**
+   * Empties the clipboard and removes its listener on the timeline.
+   */
+  destroy() {
+    this.timeline.removeListener('event', this._onEvent);
+    this.clear();
+    this._pointer = null;
+  }
+
+  _getSelectedDatums(layer) {
+    return layer.selectedItems.map(($item) => layer.getDatumFromItem($item));
+  }
+
+  _accepts(layer, group) {
+    if (this.timeline.layers.indexOf(layer) === -1) { return false; }
+
+    const shape = layer.getShape();
+    return shape !== null && shape.getClassName() === group.shape;
+  }
+
+  _createDatum(layer, group, values, time) {
+    const shape = layer.getShape();
+    // follow the structure of the existing data
+    const datum = Array.isArray(layer.data[0]) ? [] : {};
+
+    shape.getAccessorNames().forEach((name) => {
+      if (!values.hasOwnProperty(name)) { return; }
+
+      let value = values[name];
+
+      if (group.timeAccessors.indexOf(name) !== -1) {
+        value = value + time - layer.start - layer.offset;
+      }
+
+      shape[name](datum, value);
+    });
+
+    return datum;
+  }
+
+  _pasteAtPointer() {
+    if (this.isEmpty) { return false; }
+
+    const pointer = this._pointer;
+    let layer = null;
+    let time = null;
+
+    if (pointer !== null) {
+      const targets = pointer.layers.filter((hit) => this.canPaste(hit));
+      layer = targets.length ? targets[0] : null;
+      time = pointer.time;
+    }
+
+    this.paste(layer, time);
+    return true;
+  }
+
+  _trackPointer(e, hitLayers) {
+    if (e.source !== 'surface') { return; }
+    if (e.type !== 'mousemove' && e.type !== 'mousedown') { return; }
+
+    const timeContext = this.timeline.timeContext;
+    const time = timeContext.timeToPixel.invert(e.x) - timeContext.offset;
+
+    this._pointer = { time, layers: hitLayers || [] };
+  }
+
+  _writeSystemClipboard() {
+    if (!this.params.system || typeof navigator === 'undefined') { return; }
+
+    const clipboard = navigator.clipboard;
+    if (!clipboard || !clipboard.writeText) { return; }
+
+    // may be rejected if the document is not focused
+    clipboard.writeText(JSON.stringify(this)).catch(() => {});
+  }
+}
@@ -0,0 +1,303 @@
+import events from 'events';
+
+
+/**
+ * Creates a shallow copy of a datum, to be restored later with `restoreDatum`.
+ */
+function snapshotDatum(datum) {
+  return Array.isArray(datum) ? datum.slice(0) : Object.assign({}, datum);
+}
+
+/**
+ * Restores a datum in place (the reference hold by the layer must be kept).
+ */
+function restoreDatum(datum, snapshot) {
+  if (Array.isArray(datum)) {
+    datum.splice(0, datum.length, ...snapshot);
+    return;
+  }
+
+  for (let key in datum) {
+    if (datum.hasOwnProperty(key) && !snapshot.hasOwnProperty(key)) {
+      delete datum[key];
+    }
+  }
+
+  Object.assign(datum, snapshot);
+}
+
+function snapshotData(data) {
+  return data.slice(0);
+}
+
+function restoreData(data, snapshot) {
+  data.splice(0, data.length, ...snapshot);
+}
+
+function snapshotTimeContext(timeContext) {
+  return {
+    start: timeContext.start,
+    duration: timeContext.duration,
+    offset: timeContext.offset,
+    stretchRatio: timeContext.stretchRatio,
+  };
+}
+
+function restoreTimeContext(timeContext, snapshot) {
+  timeContext.stretchRatio = snapshot.stretchRatio;
+  timeContext.start = snapshot.start;
+  timeContext.duration = snapshot.duration;
+  timeContext.offset = snapshot.offset;
+}
+
+
+/**
+ * Maintains the undo / redo stacks of a `Timeline`. Each entry of the stacks
+ * is a command describing a whole edit gesture (move, resize, create, delete,
+ * context edit), and can be reverted or applied again.
+ *
+ * A gesture is delimited by the `begin` and `end` methods (states call them
+ * on `mousedown` and `mouseup`). In between, every object about to be
+ * modified is recorded once, its state is captured before the first
+ * modification and again when the gesture ends. If nothing is recorded, no
+ * command is pushed in the history.
+ *
+ * `Layer` instances added to a timeline record their modifications
+ * automatically (`edit`, `editContext` and `stretchContext`), so existing
+ * behaviors do not have to be aware of the history. Code modifying the data
+ * of a layer directly (e.g. adding or removing a datum) should call
+ * `recordData` before doing so.
+ *
+ * ```js
+ * timeline.history.begin('create');
+ * timeline.history.recordData(layer.data);
+ * layer.data.push(datum);
+ * timeline.history.end();
+ *
+ * timeline.undo();
+ * ```
+ */
+export default class History extends events.EventEmitter {
+  /**
+   * @param {Object} [options={}] - Options.
+   * @param {Number} [options.limit=100] - The maximum number of commands kept
+   *    in the undo stack.
+   */
+  constructor(options = {}) {
+    super();
+
+    /**
+     * The maximum number of commands kept in the undo stack.
+     * @type {Number}
+     */
+    this.limit = options.limit !== undefined ? options.limit : 100;
+
+    this._undoStack = [];
+    this._redoStack = [];
+    this._transaction = null;
+    this._depth = 0;
+  }
+
+  /**
+   * Returns a shallow copy of a datum (`Object` or `Array`), as recorded
+   * before its modification.
+   *
+   * @param {Object|Array} datum
+   * @return {Object|Array}
+   */
+  static snapshotDatum(datum) {
+    return snapshotDatum(datum);
+  }
+
+  /**
+   * Defines if a gesture is currently being recorded.
+   *
+   * @type {Boolean}
+   */
+  get inTransaction() {
+    return this._transaction !== null;
+  }
+
+  /**
+   * Defines if a command can be undone.
+   *
+   * @type {Boolean}
+   */
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   * Defines if a command can be redone.
+   *
+   * @type {Boolean}
+   */
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Starts recording a gesture. Calls can be nested, only the outermost
+   * `begin` / `end` pair creates a command.
+   *
+   * @param {String} [name='edit'] - The name of the command (`'move'`,
+   *    `'create'`, ...), for display purposes.
+   */
+  begin(name = 'edit') {
+    this._depth += 1;
+
+    if (this._transaction === null) {
+      this._transaction = { name, entries: [] };
+    }
+  }
+
+  /**
+   * Stops recording the current gesture and pushes the resulting command in
+   * the undo stack. When done, the history emits a `change` event. An `end`
+   * event is emitted at the end of each gesture, even if nothing has been
+   * recorded.
+   */
+  end() {
+    if (this._depth === 0) { return; }
+
+    this._depth -= 1;
+    if (this._depth > 0) { return; }
+
+    const transaction = this._transaction;
+    this._transaction = null;
+
+    this.emit('end', transaction.name);
+
+    if (!transaction.entries.length) { return; }
+
+    transaction.entries.forEach((entry) => {
+      entry.after = entry.capture(entry.target);
+    });
+
+    this._undoStack.push(transaction);
+    this._redoStack.length = 0;
+
+    if (this._undoStack.length > this.limit) {
+      this._undoStack.shift();
+    }
+
+    this.emit('change', this);
+  }
+
+  /**
+   * Ends the current gesture whatever the number of nested `begin` calls,
+   * e.g. when the `mouseup` ending the gesture has been lost (window blur,
+   * pointer released outside of the page). The modifications recorded so far
+   * are kept as a command.
+   */
+  close() {
+    if (this._depth === 0) { return; }
+
+    this._depth = 1;
+    this.end();
+  }
+
+  /**
+   * Records the state of an object before it is modified. Is a no-op if the
+   * object has already been recorded in the current gesture. If called
+   * outside of a gesture, the object is not recorded.
+   *
+   * @param {Object} target - The object to be modified.
+   * @param {Function} capture - Returns a snapshot of `target`.
+   * @param {Function} restore - Restores `target` from a snapshot.
+   */
+  record(target, capture, restore) {
+    if (this._transaction === null) { return; }
+
+    const entries = this._transaction.entries;
+
+    for (let i = 0, l = entries.length; i < l; i++) {
+      if (entries[i].target === target && entries[i].restore === restore) {
+        return;
+      }
+    }
+
+    entries.push({ target, capture, restore, before: capture(target) });
+  }
+
+  /**
+   * Records a datum (`Object` or `Array`) before it is edited.
+   *
+   * @param {Object|Array} datum
+   */
+  recordDatum(datum) {
+    this.record(datum, snapshotDatum, restoreDatum);
+  }
+
+  /**
+   * Records the data of a `collection` layer before datums are added or
+   * removed.
+   *
+   * @param {Array} data
+   */
+  recordData(data) {
+    this.record(data, snapshotData, restoreData);
+  }
+
+  /**
+   * Records a `LayerTimeContext` before it is edited.
+   *
+   * @param {LayerTimeContext} timeContext
+   */
+  recordTimeContext(timeContext) {
+    this.record(timeContext, snapshotTimeContext, restoreTimeContext);
+  }
+
+  /**
+   * Reverts the last command.
+   *
+   * @return {Boolean} - `true` if a command has been reverted.
+   */
+  undo() {
+    if (this.inTransaction || !this.canUndo) { return false; }
+
+    const command = this._undoStack.pop();
+
+    for (let i = command.entries.length - 1; i >= 0; i--) {
+      const entry = command.entries[i];
+      entry.restore(entry.target, entry.before);
+    }
+
+    this._redoStack.push(command);
+    this.emit('change', this);
+
+    return true;
+  }
+
+  /**
+   * Applies again the last reverted command.
+   *
+   * @return {Boolean} - `true` if a command has been applied.
+   */
+  redo() {
+    if (this.inTransaction || !this.canRedo) { return false; }
+
+    const command = this._redoStack.pop();
+
+    command.entries.forEach((entry) => {
+      entry.restore(entry.target, entry.after);
+    });
+
+    this._undoStack.push(command);
+    this.emit('change', this);
+
+    return true;
+  }
+
+  /**
+   * Removes all the commands from the history.
+   */
+  clear() {
+    this._undoStack.length = 0;
+    this._redoStack.length = 0;
+    this._transaction = null;
+    this._depth = 0;
+
+    this.emit('change', this);
+  }
+}
@@ -145,6 +145,7 @@ export default class LayerTimeContext {
     // remove local scale if ratio = 1
     if (value ===  1) {
       this._timeToPixel = null;
+      this._stretchRatio = 1;
       return;
     }
     // reuse previsously created local scale if exists
@@ -1,4 +1,6 @@
+import diagnostics from '../utils/diagnostics';
 import events from 'events';
+import History from './history';
 import ns from './namespace';
 import scales from '../utils/scales';
 import Segment from '../shapes/segment';
@@ -32,6 +34,25 @@ let timeContextBehaviorCtor = TimeContextBehavior;
  *   </svg>
  * </g>
  * ```
+ *
+ * ### Events
+ *
+ * - `'select'` - `{ items, datums }`: items have been marked as selected.
+ * - `'unselect'` - `{ items, datums }`: items have been removed from the
+ *   selection.
+ * - `'change:datums'` - `{ items, datums, previous }`: datums have been
+ *   edited through `edit`, `previous` contains shallow copies of the datums
+ *   before the edition.
+ * - `'change:data'` - `{ items, datums, removed, previous }`: datums have
+ *   been added to (`datums` and their `items`) or removed from (`removed`)
+ *   the data of the layer, `previous` is a copy of the data array before
+ *   the modification.
+ * - `'change:context'` - `{ previous, current }`: the `LayerTimeContext`
+ *   has been edited or stretched (values of `start`, `duration`, `offset`
+ *   and `stretchRatio`).
+ * - `'change:yDomain'` - `{ yDomain, previous }`: the `yDomain` has changed.
+ * - `'edit'` - `(shape, datum)`: emitted for each edited datum, prefer
+ *   `'change:datums'`.
  */
 export default class Layer extends events.EventEmitter {
   /**
@@ -45,6 +66,13 @@ export default class Layer extends events.EventEmitter {
    * @param {Number} [options.yDomain=[0,1]] - Defines boundaries of the data
    *    values in y axis (for exemple to display an audio buffer, this attribute
    *    should be set to [-1, 1].
+   * @param {Number} [options.yDomainLimits=null] - Defines the boundaries in
+   *    which the `yDomain` can be zoomed or scrolled by the user (cf.
+   *    `VerticalZoomState`), should be the full range of the data. Defaults
+   *    to the initial `yDomain`.
+   * @param {String} [options.yScale='linear'] - The scale used to display
+   *    the values in y axis, `'linear'`, `'log'`, `'db'`, `'mel'` or
+   *    `'bark'` (cf. `utils/scales`).
    * @param {String} [options.className=null] - An optionnal class to add to each
    *    created shape.
    * @param {String} [options.className='selected'] - The class to add to a shape
@@ -63,6 +91,8 @@ export default class Layer extends events.EventEmitter {
       top: 0,
       opacity: 1,
       yDomain: [0, 1],
+      yDomainLimits: null,
+      yScale: 'linear',
       className: null,
       selectedClassName: 'selected',
       contextHandlerWidth: 2,
@@ -76,6 +106,10 @@ export default class Layer extends events.EventEmitter {
      * @type {Object}
      */
     this.params = Object.assign({}, defaults, options);
+
+    if (this.params.yDomainLimits === null) {
+      this.params.yDomainLimits = this.params.yDomain.slice(0);
+    }
     /**
      * Defines how the layer should look at the data (`'entity'` or `'collection'`).
      * @type {String}
@@ -101,6 +135,7 @@ export default class Layer extends events.EventEmitter {
 
     this._shapeConfiguration = null;       // { ctor, accessors, options }
     this._commonShapeConfiguration = null; // { ctor, accessors, options }
+    this._shape = null; // unrendered instance of the shape, cf. `getShape`
     this._$itemShapeMap = new Map();
     this._$itemDataMap = new Map();
     this._$itemCommonShapeMap = new Map();
@@ -108,9 +143,28 @@ export default class Layer extends events.EventEmitter {
     this._isContextEditable = false;
     this._behavior = null;
 
+    /**
+     * The `History` instance in which the modifications of the layer are
+     * recorded. Is set by the timeline when the layer is added to it.
+     * @type {History}
+     */
+    this.history = null;
+    this._ownsHistoryTransaction = false;
+    /**
+     * The `Snapper` consulted by the behaviors when editing the items or the
+     * time context of the layer. Is set by the timeline when the layer is
+     * added to it.
+     * @type {Snapper}
+     */
+    this.snapper = null;
+
     this.data = data;
 
-    this._valueToPixel = scales.linear()
+    if (!scales[this.params.yScale]) {
+      throw new Error(`Invalid y scale "${this.params.yScale}"`);
+    }
+
+    this._valueToPixel = scales[this.params.yScale]()
       .domain(this.params.yDomain)
       .range([0, this.params.height]);
 
@@ -137,6 +191,8 @@ export default class Layer extends events.EventEmitter {
     this.data = null;
     this.params = null;
     this._behavior = null;
+    this.history = null;
+    this.snapper = null;
 
     this._$itemShapeMap.clear();
     this._$itemDataMap.clear();
@@ -227,13 +283,22 @@ export default class Layer extends events.EventEmitter {
   }
 
   /**
-   * Set the domain boundaries of the data for the y axis.
+   * Set the domain boundaries of the data for the y axis. When done, the
+   * layer triggers a `change:yDomain` event with the new and previous
+   * domains (`{ yDomain, previous }`) allowing linked layers to follow. The
+   * event is not triggered if the boundaries are unchanged.
    *
    * @type {Array}
    */
   set yDomain(domain) {
+    const previous = this.params.yDomain;
+
     this.params.yDomain = domain;
     this._valueToPixel.domain(domain);
+
+    if (previous[0] === domain[0] && previous[1] === domain[1]) { return; }
+
+    this.emit('change:yDomain', { yDomain: domain, previous });
   }
 
   /**
@@ -245,6 +310,62 @@ export default class Layer extends events.EventEmitter {
     return this.params.yDomain;
   }
 
+  /**
+   * Set the boundaries in which the `yDomain` can be zoomed or scrolled.
+   *
+   * @type {Array}
+   */
+  set yDomainLimits(limits) {
+    this.params.yDomainLimits = limits;
+  }
+
+  /**
+   * Returns the boundaries in which the `yDomain` can be zoomed or scrolled.
+   *
+   * @type {Array}
+   */
+  get yDomainLimits() {
+    return this.params.yDomainLimits;
+  }
+
+  /**
+   * Sets the height of the layer, the range of the `valueToPixel` scale is
+   * updated accordingly. Is called by the track when its own height changes.
+   *
+   * @type {Number}
+   */
+  set height(value) {
+    this.params.height = value;
+    this._valueToPixel.range([0, value]);
+  }
+
+  /**
+   * Returns the height of the layer.
+   *
+   * @type {Number}
+   */
+  get height() {
+    return this.params.height;
+  }
+
+  /**
+   * Sets the top position of the layer inside its track.
+   *
+   * @type {Number}
+   */
+  set top(value) {
+    this.params.top = value;
+  }
+
+  /**
+   * Returns the top position of the layer inside its track.
+   *
+   * @type {Number}
+   */
+  get top() {
+    return this.params.top;
+  }
+
   /**
    * Sets the opacity of the whole layer.
    *
@@ -272,6 +393,19 @@ export default class Layer extends events.EventEmitter {
     return this.timeContext.timeToPixel;
   }
 
+  /**
+   * Sets the transfert function used to display the data in the y axis,
+   * e.g. one of the `utils/scales`. Its domain and range are set from the
+   * `yDomain` and the height of the layer.
+   *
+   * @type {Function}
+   */
+  set valueToPixel(scale) {
+    this._valueToPixel = scale
+      .domain(this.params.yDomain)
+      .range([0, this.params.height]);
+  }
+
   /**
    * Returns the transfert function used to display the data in the y axis.
    *
@@ -395,6 +529,7 @@ export default class Layer extends events.EventEmitter {
    */
   configureShape(ctor, accessors = {}, options = {}) {
     this._shapeConfiguration = { ctor, accessors, options };
+    this._shape = null;
   }
 
   /**
@@ -464,7 +599,12 @@ export default class Layer extends events.EventEmitter {
     this._renderingContext.height = this.params.height;
     this._renderingContext.valueToPixel = this._valueToPixel;
 
-    console.log("Rendering context: width = " + this._renderingContext.width + ", visibleWidth = " + this._renderingContext.visibleWidth + ", minX = " + this._renderingContext.minX + " (time = " + this._renderingContext.timeToPixel.invert(this._renderingContext.minX) + "), maxX = " + this._renderingContext.maxX + " (time = " + this._renderingContext.timeToPixel.invert(this._renderingContext.maxX) + ")");
+    diagnostics.debug('update', () => {
+      const { width, visibleWidth, minX, maxX, timeToPixel } = this._renderingContext;
+      return `rendering context: width = ${width}, visibleWidth = ${visibleWidth}, ` +
+        `minX = ${minX} (time = ${timeToPixel.invert(minX)}), ` +
+        `maxX = ${maxX} (time = ${timeToPixel.invert(maxX)})`;
+    });
   }
 
   // --------------------------------------
@@ -490,11 +630,18 @@ export default class Layer extends events.EventEmitter {
     if (!$items.length) { $items = this._$itemDataMap.keys(); }
     if (Array.isArray($items[0])) { $items = $items[0]; }
 
+    const wasSelected = new Set(this.selectedItems);
+    const selected = [];
+
     for (let $item of $items) {
       const datum = this._$itemDataMap.get($item);
+      if (!wasSelected.has($item)) { selected.push($item); }
+
       this._behavior.select($item, datum);
       this._toFront($item);
     }
+
+    this._emitItems('select', selected);
   }
 
   /**
@@ -507,10 +654,17 @@ export default class Layer extends events.EventEmitter {
     if (!$items.length) { $items = this._$itemDataMap.keys(); }
     if (Array.isArray($items[0])) { $items = $items[0]; }
 
+    const wasSelected = new Set(this.selectedItems);
+    const unselected = [];
+
     for (let $item of $items) {
       const datum = this._$itemDataMap.get($item);
+      if (wasSelected.has($item)) { unselected.push($item); }
+
       this._behavior.unselect($item, datum);
     }
+
+    this._emitItems('unselect', unselected);
   }
 
   /**
@@ -523,10 +677,33 @@ export default class Layer extends events.EventEmitter {
     if (!$items.length) { $items = this._$itemDataMap.keys(); }
     if (Array.isArray($items[0])) { $items = $items[0]; }
 
+    const wasSelected = new Set(this.selectedItems);
+    const selected = [];
+    const unselected = [];
+
     for (let $item of $items) {
       const datum = this._$itemDataMap.get($item);
+      const list = wasSelected.has($item) ? unselected : selected;
+      list.push($item);
+
       this._behavior.toggleSelection($item, datum);
     }
+
+    this._emitItems('unselect', unselected);
+    this._emitItems('select', selected);
+  }
+
+  /**
+   * Emits a `{ items, datums }` event if `$items` is not empty.
+   *
+   * @param {String} name - The name of the event.
+   * @param {Array<Element>} $items
+   */
+  _emitItems(name, $items) {
+    if (!$items.length) { return; }
+
+    const datums = $items.map(($item) => this._$itemDataMap.get($item));
+    this.emit(name, { items: $items, datums });
   }
 
   /**
@@ -542,12 +719,33 @@ export default class Layer extends events.EventEmitter {
     if (!this._behavior) { return; }
     $items = !Array.isArray($items) ? [$items] : $items;
 
-    for (let $item of $items) {
-      const shape = this._$itemShapeMap.get($item);
-      const datum = this._$itemDataMap.get($item);
+    this._beginHistory('edit');
+
+    const shapes = $items.map(($item) => this._$itemShapeMap.get($item));
+    const datums = $items.map(($item) => this._$itemDataMap.get($item));
+    const previous = [];
+
+    // the items of a selection are snapped together
+    if ($items.length > 1) {
+      dx = this._behavior.beginGroupEdit(this._renderingContext, shapes, datums, dx, $target);
+    }
+
+    datums.forEach((datum, index) => {
+      const shape = shapes[index];
+
+      if (this.history) { this.history.recordDatum(datum); }
+
+      previous.push(History.snapshotDatum(datum));
 
       this._behavior.edit(this._renderingContext, shape, datum, dx, dy, $target);
       this.emit('edit', shape, datum);
+    });
+
+    this._behavior.endGroupEdit();
+    this._endHistory();
+
+    if (datums.length) {
+      this.emit('change:datums', { items: $items, datums, previous });
     }
   }
 
@@ -570,7 +768,14 @@ export default class Layer extends events.EventEmitter {
    * @param {Element} $target - The target of the event of the interaction.
    */
   editContext(dx, dy, $target) {
+    this._beginHistory('editContext');
+    if (this.history) { this.history.recordTimeContext(this.timeContext); }
+
+    const previous = this._getContextValues();
     timeContextBehavior.edit(this, dx, dy, $target);
+
+    this._endHistory();
+    this._emitContextChange(previous);
   }
 
   /**
@@ -581,7 +786,58 @@ export default class Layer extends events.EventEmitter {
    * @param {Element} $target - The target of the event of the interaction.
    */
   stretchContext(dx, dy, $target) {
+    this._beginHistory('stretchContext');
+    if (this.history) { this.history.recordTimeContext(this.timeContext); }
+
+    const previous = this._getContextValues();
     timeContextBehavior.stretch(this, dx, dy, $target);
+
+    this._endHistory();
+    this._emitContextChange(previous);
+  }
+
+  /**
+   * Returns the current values of the `LayerTimeContext` attributes.
+   *
+   * @return {Object}
+   */
+  _getContextValues() {
+    const { start, duration, offset, stretchRatio } = this.timeContext;
+    return { start, duration, offset, stretchRatio };
+  }
+
+  /**
+   * Emits a `change:context` event if the `LayerTimeContext` has changed.
+   *
+   * @param {Object} previous - The values before the modification.
+   */
+  _emitContextChange(previous) {
+    const current = this._getContextValues();
+    const changed = Object.keys(current)
+      .some((key) => current[key] !== previous[key]);
+
+    if (changed) { this.emit('change:context', { previous, current }); }
+  }
+
+  /**
+   * Opens a gesture in the history if none is currently recorded, so that
+   * a direct call to `edit` (i.e. not from a state) is undoable too.
+   */
+  _beginHistory(name) {
+    if (this.history && !this.history.inTransaction) {
+      this.history.begin(name);
+      this._ownsHistoryTransaction = true;
+    }
+  }
+
+  /**
+   * Closes the gesture opened by `_beginHistory`, if any.
+   */
+  _endHistory() {
+    if (this._ownsHistoryTransaction) {
+      this._ownsHistoryTransaction = false;
+      this.history.end();
+    }
   }
 
   // --------------------------------------
@@ -609,6 +865,40 @@ export default class Layer extends events.EventEmitter {
     return this.hasItem($item) ? $item : null;
   }
 
+  /**
+   * Returns the item associated to a specific datum, null otherwise.
+   *
+   * @param {Object|Array} datum
+   * @return {Element|null}
+   */
+  getItemFromDatum(datum) {
+    for (let [$item, candidate] of this._$itemDataMap.entries()) {
+      if (candidate === datum) { return $item; }
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns an instance of the shape registered with `configureShape`, with
+   * its accessors installed but not rendered, to read or write datums the
+   * way the items of the layer do (e.g. `shape.x(datum, 2)`). Returns `null`
+   * if no shape is configured.
+   *
+   * @return {BaseShape|null}
+   */
+  getShape() {
+    if (this._shapeConfiguration === null) { return null; }
+
+    if (!this._shape) {
+      const { ctor, accessors, options } = this._shapeConfiguration;
+      this._shape = new ctor(options);
+      this._shape.install(accessors);
+    }
+
+    return this._shape;
+  }
+
   /**
    * Returns the datum associated to a specific item.
    *
@@ -663,6 +953,90 @@ export default class Layer extends events.EventEmitter {
     return false;
   }
 
+  /**
+   * Returns the geometry of the layer in the coordinate system of its track
+   * (origin at the top-left corner of the visible area), as displayed at the
+   * last update.
+   *
+   * @return {Object} - `{ left, top, width, height }`
+   */
+  getBoundingBox() {
+    return {
+      left: 0,
+      top: this.params.top,
+      width: this._getVisibleWidth(),
+      height: this.params.height,
+    };
+  }
+
+  /**
+   * Tests if a point, in the coordinate system of the track (e.g. the `x`
+   * and `y` of a surface event), is inside the layer. Only relies on the
+   * geometry of the layer, thus does not force any layout of the DOM.
+   *
+   * @param {Number} x
+   * @param {Number} y
+   * @return {Boolean}
+   */
+  hitTest(x, y) {
+    const { left, top, width, height } = this.getBoundingBox();
+    return x > left && x < left + width && y > top && y < top + height;
+  }
+
+  /**
+   * Returns the item displayed at a point, in the coordinate system of the
+   * track, as defined by the registered `Shape~hitTest` method. Allows to
+   * retrieve items without relying on the target of DOM events. If several
+   * items match, selected items are preferred and then the last one.
+   *
+   * @param {Number} x
+   * @param {Number} y
+   * @param {Number} [tolerance=2] - The distance (in pixels) under which a
+   *    point is considered on a shape.
+   * @return {Element|null}
+   */
+  getItemFromPosition(x, y, tolerance = 2) {
+    // keep consistent with context y coordinates system
+    const layerY = this.params.top + this.params.height - y;
+    const selectedItems = this.selectedItems;
+    let $hitItem = null;
+
+    for (let [$item, datum] of this._$itemDataMap.entries()) {
+      const shape = this._$itemShapeMap.get($item);
+
+      if (shape.hitTest(this._renderingContext, datum, x, layerY, tolerance)) {
+        $hitItem = $item;
+        if (selectedItems.indexOf($item) !== -1) { break; }
+      }
+    }
+
+    return $hitItem;
+  }
+
+  /**
+   * Returns the positions of the time boundaries of the items (cf.
+   * `Shape~getTimeBoundaries`), in pixels in the coordinate system of the
+   * track. Is used as snapping targets by the `Snapper`.
+   *
+   * @return {Array<Number>}
+   */
+  getItemBoundaries() {
+    const timeToPixel = this._renderingContext.timeToPixel;
+    const positions = [];
+
+    if (!timeToPixel) { return positions; }
+
+    for (let [$item, datum] of this._$itemDataMap.entries()) {
+      const shape = this._$itemShapeMap.get($item);
+
+      shape.getTimeBoundaries(datum).forEach((time) => {
+        positions.push(timeToPixel(time));
+      });
+    }
+
+    return positions;
+  }
+
   /**
    * Retrieve all the items in a given area as defined in the registered `Shape~inArea` method.
    *
@@ -720,7 +1094,7 @@ export default class Layer extends events.EventEmitter {
    */
   render() {
 
-    const before = performance.now();
+    const before = diagnostics.now();
     
     // render `commonShape` only once
     if (
@@ -781,18 +1155,18 @@ export default class Layer extends events.EventEmitter {
       this._$itemShapeMap.delete($item);
     }
 
-    const after = performance.now();
-    console.log("layer render time = " + Math.round(after - before));
+    diagnostics.time('render', 'layer render time', before);
   }
 
   /**
    * Updates the container of the layer and the attributes of the existing shapes.
+   *
+   * @param {Array<Element>} [$items=null] - if not null, a subset of the
+   *    items whose shapes are updated (e.g. the edited items).
    */
-  update() {
-    console.log("layer update called");
-    
+  update($items = null) {
     this._updateContainer();
-    this._updateShapes();
+    this._updateShapes($items);
   }
 
   /**
@@ -801,13 +1175,7 @@ export default class Layer extends events.EventEmitter {
   _updateContainer() {
     this._updateRenderingContext();
 
-    const timeContext = this.timeContext;
-
-    let width = this._renderingContext.timeToPixel(this.timeContext.duration);
-    if (width > this._renderingContext.visibleWidth) {
-      width = this._renderingContext.visibleWidth;
-    }
-    
+    const width = this._getVisibleWidth();
     const top = this.params.top;
     const height = this.params.height;
     
@@ -824,6 +1192,17 @@ export default class Layer extends events.EventEmitter {
     this.contextShape.update(this._renderingContext, this.timeContext, 0);
   }
 
+  /**
+   * Returns the width of the bounding box of the layer, limited to the
+   * visible area.
+   *
+   * @return {Number}
+   */
+  _getVisibleWidth() {
+    const width = this._renderingContext.timeToPixel(this.timeContext.duration);
+    return Math.min(width, this._renderingContext.visibleWidth);
+  }
+
   _encacheEntity() {
 
     if (this.dataType !== 'entity') return;
@@ -837,10 +1216,10 @@ export default class Layer extends events.EventEmitter {
         const shape = this._$itemShapeMap.get($item);
         const cache = shape.encache(datum);
 	if (cache) {
-	  console.log("replacing our entity data with cached value");
+	  diagnostics.debug('encache', 'replacing entity data with cached value');
 	  this._$itemDataMap.set($item, cache);
           if (typeof(origData.dispose) !== 'undefined') {
-            console.log("and calling dispose on entity data");
+            diagnostics.debug('encache', 'calling dispose on entity data');
             origData.dispose();
           }
 	  this.data = cache;
@@ -853,12 +1232,12 @@ export default class Layer extends events.EventEmitter {
   
   /**
    * Updates the attributes of all the `Shape` instances rendered into the layer.
+   *
+   * @param {Array<Element>} [$items=null] - if not null, only the shapes of
+   *    these items are updated.
    */
-  _updateShapes() {
-
-    console.log("layer updateShapes called");
-    
-    const before = performance.now();
+  _updateShapes($items = null) {
+    const before = diagnostics.now();
     
     this._updateRenderingContext();
 
@@ -869,16 +1248,22 @@ export default class Layer extends events.EventEmitter {
       shape.update(this._renderingContext, this.data);
     });
 
-    console.log("item data map contains " + this._$itemDataMap.size + " entries");
-    
+    if ($items === null) { $items = this._$itemDataMap.keys(); }
+    let count = 0;
+
     // Update specific shapes
-    for (let [$item, datum] of this._$itemDataMap.entries()) {
+    for (let $item of $items) {
+      // the item may have been removed since
+      if (!this._$itemDataMap.has($item)) { continue; }
+
       const shape = this._$itemShapeMap.get($item);
-      shape.update(this._renderingContext, datum);
+      shape.update(this._renderingContext, this._$itemDataMap.get($item));
+      count += 1;
     }
 
-    const after = performance.now();
-    console.log("layer update time = " + Math.round(after - before));
+    diagnostics.debug('update', () => `updated ${count} items`);
+
+    diagnostics.time('update', 'layer update time', before);
   }
 
   describe(x) {
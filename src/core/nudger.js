@@ -0,0 +1,142 @@
+const moves = {
+  nudgeLeft: [-1, 0],
+  nudgeRight: [1, 0],
+  nudgeUp: [0, -1],
+  nudgeDown: [0, 1],
+};
+
+
+/**
+ * Moves the selected items of the layers by a fixed step with the arrow
+ * keys, as a keyboard alternative to dragging. The items are edited through
+ * `Layer~edit`, i.e. by the behavior of their layer, as if their body was
+ * dragged: left and right move the items in time, up and down change their
+ * value for the shapes that have one (e.g. segments, breakpoints). Each
+ * nudge is a single command of the history, and the positions are not
+ * snapped.
+ *
+ * Each `Timeline` owns a nudger through its `nudger` property, which
+ * handles the `nudgeLeft`, `nudgeRight`, `nudgeUp` and `nudgeDown` commands
+ * of the keymap (the arrows, `Shift` + arrows for the larger steps).
+ *
+ * ```js
+ * // nudge by 10 milliseconds, by 100 milliseconds with shift
+ * timeline.nudger.params.unit = 'seconds';
+ * timeline.nudger.params.step = 0.01;
+ * timeline.nudger.params.largeStep = 0.1;
+ * ```
+ */
+export default class Nudger {
+  /**
+   * @param {Timeline} timeline - The timeline of the nudged layers.
+   * @param {Object} [options={}] - Options.
+   * @param {String} [options.unit='pixels'] - Unit of the horizontal steps,
+   *    `'pixels'`, `'seconds'` or `'samples'`.
+   * @param {Number} [options.step=1] - Horizontal step.
+   * @param {Number} [options.largeStep=10] - Horizontal step with `shift`.
+   * @param {Number} [options.sampleRate=44100] - Sample rate of the
+   *    `'samples'` unit.
+   * @param {Number} [options.valueStep=1] - Vertical step in pixels.
+   * @param {Number} [options.largeValueStep=10] - Vertical step in pixels
+   *    with `shift`.
+   */
+  constructor(timeline, options = {}) {
+    this.params = Object.assign({
+      unit: 'pixels',
+      step: 1,
+      largeStep: 10,
+      sampleRate: 44100,
+      valueStep: 1,
+      largeValueStep: 10,
+    }, options);
+
+    /**
+     * The timeline of the nudged layers.
+     * @type {Timeline}
+     */
+    this.timeline = timeline;
+  }
+
+  /**
+   * Returns the horizontal step in pixels, in the time scale of a layer.
+   *
+   * @param {Layer} layer
+   * @param {Boolean} [large=false] - Returns the larger step.
+   * @return {Number}
+   */
+  getStep(layer, large = false) {
+    const { unit, sampleRate } = this.params;
+    const step = large ? this.params.largeStep : this.params.step;
+
+    switch (unit) {
+      case 'pixels':
+        return step;
+      case 'seconds':
+        return layer.timeToPixel(step);
+      case 'samples':
+        return layer.timeToPixel(step / sampleRate);
+    }
+
+    throw new Error(`Invalid nudge unit "${unit}"`);
+  }
+
+  /**
+   * Moves the selected items of the given layers by one step.
+   *
+   * @param {String} command - `'nudgeLeft'`, `'nudgeRight'`, `'nudgeUp'`
+   *    or `'nudgeDown'`.
+   * @param {Boolean} [large=false] - Use the larger steps.
+   * @param {Layer|Array<Layer>} [layers=timeline.layers]
+   * @return {Boolean} - `true` if some items have been moved.
+   */
+  nudge(command, large = false, layers = this.timeline.layers) {
+    const move = moves[command];
+    if (!move) { throw new Error(`Invalid nudge command "${command}"`); }
+
+    if (!Array.isArray(layers)) { layers = [layers]; }
+    layers = layers.filter((layer) => layer.selectedItems.length > 0);
+
+    if (!layers.length) { return false; }
+
+    const { valueStep, largeValueStep } = this.params;
+    const snapper = this.timeline.snapper;
+    const suspended = snapper.suspended;
+    const history = this.timeline.history;
+
+    snapper.suspended = true;
+    // the nudge does not continue the moves of a previous drag
+    snapper.reset();
+    history.begin('nudge');
+
+    layers.forEach((layer) => {
+      const items = layer.selectedItems;
+      const dx = move[0] * this.getStep(layer, large);
+      const dy = move[1] * (large ? largeValueStep : valueStep);
+      // targeting an item (not one of its handlers) moves it
+      layer.edit(items, dx, dy, items[0]);
+      this.timeline.scheduler.update(layer, items);
+    });
+
+    history.end();
+    snapper.suspended = suspended;
+
+    return true;
+  }
+
+  /**
+   * Handles the `nudgeLeft`, `nudgeRight`, `nudgeUp` and `nudgeDown`
+   * commands of the keymap, the larger steps being used if `shift` is
+   * pressed. Is called by the timeline for the commands not consumed by its
+   * state.
+   *
+   * @param {String} command - The name of the command.
+   * @param {WaveEvent} e - The `keydown` event that triggered the command.
+   * @return {Boolean} - `true` if the command has been consumed.
+   */
+  handleCommand(command, e) {
+    if (!moves[command]) { return false; }
+
+    const large = !!(e && e.originalEvent && e.originalEvent.shiftKey);
+    return this.nudge(command, large);
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Moves the cursor(s) of a timeline according to the time given by a clock,
+ * and makes the visible window of the timeline follow the playback.
+ *
+ * The clock is any object with a `currentTime` property in seconds (e.g. an
+ * `HTMLMediaElement`, or a fake clock in tests), or a function returning the
+ * current time (e.g. `() => audioContext.currentTime - startTime`).
+ *
+ * Follow modes:
+ * - `'none'`: the visible window is never moved.
+ * - `'page'`: when the playhead leaves the visible window, the window is
+ *   moved so that it starts at the playhead (page flip).
+ * - `'scroll'`: the visible window scrolls continuously, the playhead being
+ *   kept at the center.
+ *
+ * ```js
+ * const cursorLayer = new ui.helpers.CursorLayer();
+ * timeline.addLayer(cursorLayer, 'main');
+ *
+ * const playhead = new ui.core.Playhead(timeline, cursorLayer, {
+ *   clock: audioElement,
+ *   follow: 'page',
+ * });
+ *
+ * audioElement.addEventListener('play', () => playhead.start());
+ * audioElement.addEventListener('pause', () => playhead.stop());
+ * ```
+ */
+export default class Playhead {
+  /**
+   * @param {Timeline} timeline - The timeline to update.
+   * @param {CursorLayer|Array<CursorLayer>} layers - The cursor layer(s)
+   *    displaying the playhead.
+   * @param {Object} [options={}] - Options.
+   * @param {Object|Function} [options.clock=null] - The clock.
+   * @param {String} [options.follow='none'] - `'none'`, `'page'` or `'scroll'`.
+   */
+  constructor(timeline, layers, options = {}) {
+    this.params = Object.assign({
+      clock: null,
+      follow: 'none',
+    }, options);
+
+    /**
+     * The timeline whose cursors and visible window are updated.
+     * @type {Timeline}
+     */
+    this.timeline = timeline;
+    /**
+     * The cursor layers displaying the playhead.
+     * @type {Array<CursorLayer>}
+     */
+    this.layers = Array.isArray(layers) ? layers : [layers];
+
+    this._frameId = null;
+    this._lastTime = null;
+    this._onDestroy = () => this.stop();
+
+    this.follow = this.params.follow;
+    this.timeline.on('destroy', this._onDestroy);
+  }
+
+  /**
+   * The clock giving the time of the playhead.
+   *
+   * @type {Object|Function}
+   */
+  set clock(value) {
+    this.params.clock = value;
+  }
+
+  get clock() {
+    return this.params.clock;
+  }
+
+  /**
+   * The follow mode, `'none'`, `'page'` or `'scroll'`.
+   *
+   * @type {String}
+   */
+  set follow(value) {
+    if (['none', 'page', 'scroll'].indexOf(value) === -1) {
+      throw new Error(`Invalid follow mode: "${value}"`);
+    }
+
+    this.params.follow = value;
+  }
+
+  get follow() {
+    return this.params.follow;
+  }
+
+  /**
+   * The time given by the clock, `0` if no clock is defined.
+   *
+   * @type {Number}
+   */
+  get currentTime() {
+    const clock = this.params.clock;
+
+    if (clock === null) { return 0; }
+    if (typeof clock === 'function') { return clock(); }
+
+    return clock.currentTime;
+  }
+
+  /**
+   * Returns `true` if the playhead is updated on each frame.
+   *
+   * @type {Boolean}
+   */
+  get running() {
+    return this._frameId !== null;
+  }
+
+  /**
+   * Starts updating the playhead on each animation frame.
+   */
+  start() {
+    if (this.running) { return; }
+
+    const loop = () => {
+      this._frameId = requestAnimationFrame(loop);
+      this.update();
+    };
+
+    loop();
+  }
+
+  /**
+   * Stops updating the playhead.
+   */
+  stop() {
+    if (this._frameId !== null) {
+      cancelAnimationFrame(this._frameId);
+      this._frameId = null;
+    }
+  }
+
+  /**
+   * Moves the cursors to the given time (the time of the clock by default),
+   * applies the follow mode and updates the timeline synchronously. Is called
+   * on each frame when the playhead is started, can also be used to seek.
+   *
+   * @param {Number} [time=this.currentTime]
+   */
+  update(time = this.currentTime) {
+    const scheduler = this.timeline.scheduler;
+
+    if (time !== this._lastTime) {
+      this._lastTime = time;
+      this.layers.forEach((layer) => layer.currentPosition = time);
+      scheduler.update(this.layers);
+    }
+
+    if (this._follow(time)) {
+      scheduler.update();
+    }
+
+    // applies the pending updates of the states too
+    if (scheduler.pending) {
+      scheduler.flush();
+    }
+  }
+
+  /**
+   * Moves the visible window according to the follow mode.
+   *
+   * @param {Number} time
+   * @return {Boolean} - `true` if the window has moved.
+   */
+  _follow(time) {
+    const timeContext = this.timeline.timeContext;
+    const duration = timeContext.visibleDuration;
+    const start = -timeContext.offset;
+    let offset = timeContext.offset;
+
+    switch (this.params.follow) {
+      case 'page':
+        if (time < start || time >= start + duration) {
+          offset = -time;
+        }
+        break;
+      case 'scroll':
+        offset = duration / 2 - time;
+        break;
+    }
+
+    if (offset === timeContext.offset) { return false; }
+
+    timeContext.offset = offset;
+    return true;
+  }
+
+  /**
+   * Stops the playhead and removes its listener on the timeline.
+   */
+  destroy() {
+    this.stop();
+    this.timeline.removeListener('destroy', this._onDestroy);
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Coalesces the updates of a timeline: the layers to update (or only some of
+ * their items) are marked as dirty and are all updated once at the next
+ * animation frame, no matter how many times they have been marked during the
+ * frame. Is used by the states to avoid recomputing the same layers several
+ * times per frame during fast interactions (e.g. dragging on a large layer,
+ * where only the dragged items are updated).
+ *
+ * Each `Timeline` owns a scheduler through its `scheduler` property.
+ *
+ * ```js
+ * // during a mousemove
+ * layer.edit(items, e.dx, e.dy, target);
+ * timeline.scheduler.update(layer, items);
+ * // in tests, apply the pending updates synchronously
+ * timeline.scheduler.flush();
+ * ```
+ */
+export default class RenderScheduler {
+  /**
+   * @param {Timeline} timeline - The timeline whose tracks are updated.
+   */
+  constructor(timeline) {
+    this.timeline = timeline;
+
+    // layer => Set of the dirty items, `null` if the whole layer is dirty
+    this._dirtyLayers = new Map();
+    this._dirtyTracks = new Set();
+    this._updateAll = false;
+    this._frameId = null;
+  }
+
+  /**
+   * Returns `true` if some updates are waiting for the next frame.
+   *
+   * @type {Boolean}
+   */
+  get pending() {
+    return this._updateAll ||
+      this._dirtyLayers.size > 0 ||
+      this._dirtyTracks.size > 0;
+  }
+
+  /**
+   * Marks layers, or some items of layers, as dirty and requests an update
+   * at the next animation frame. The update is made through
+   * `timeline.tracks.update`, so the `update` event of the timeline is
+   * emitted at most once per frame for the whole layers, and once per layer
+   * whose items only are dirty.
+   *
+   * @param {Layer|String|Array<Layer>} [layerOrGroup=null] - The `Layer`
+   *    instance(s) or the `groupId` to update, all the layers if not defined.
+   * @param {Array<Element>} [$items=null] - The items to update, all the
+   *    items of the layers if not defined.
+   */
+  update(layerOrGroup = null, $items = null) {
+    if (layerOrGroup === null || layerOrGroup === undefined) {
+      this._updateAll = true;
+    } else if (!this._updateAll) {
+      const layers = this.timeline.tracks._getLayersOrGroups(layerOrGroup);
+
+      layers.forEach((layer) => {
+        const dirtyItems = this._dirtyLayers.get(layer);
+
+        if ($items === null) {
+          this._dirtyLayers.set(layer, null);
+        } else if (dirtyItems === undefined) {
+          this._dirtyLayers.set(layer, new Set($items));
+        } else if (dirtyItems !== null) {
+          $items.forEach(($item) => dirtyItems.add($item));
+        }
+      });
+    }
+
+    this._request();
+  }
+
+  /**
+   * Marks a track as dirty, its DOM structure (e.g. its height) and all its
+   * layers are updated at the next animation frame.
+   *
+   * @param {Track} track - The track to update.
+   */
+  updateTrack(track) {
+    this._dirtyTracks.add(track);
+    this._request();
+  }
+
+  /** @private */
+  _request() {
+    if (this._frameId === null) {
+      this._frameId = requestAnimationFrame(() => {
+        this._frameId = null;
+        this.flush();
+      });
+    }
+  }
+
+  /**
+   * Applies the pending updates synchronously.
+   */
+  flush() {
+    this.cancel(false);
+
+    const tracks = [...this._dirtyTracks];
+    this._dirtyTracks.clear();
+    tracks.forEach((track) => track.update());
+
+    if (this._updateAll) {
+      this._updateAll = false;
+      this._dirtyLayers.clear();
+      this.timeline.tracks.update();
+    } else if (this._dirtyLayers.size > 0) {
+      const dirtyLayers = [...this._dirtyLayers];
+      this._dirtyLayers.clear();
+
+      const layers = dirtyLayers
+        .filter(([layer, $items]) => $items === null)
+        .map(([layer, $items]) => layer);
+
+      if (layers.length > 0) { this.timeline.tracks.update(layers); }
+
+      dirtyLayers.forEach(([layer, $items]) => {
+        if ($items !== null) { this.timeline.tracks.update(layer, [...$items]); }
+      });
+    }
+  }
+
+  /**
+   * Cancels the requested frame.
+   *
+   * @param {Boolean} [clear=true] - If `true`, the pending updates are
+   *    dropped too.
+   */
+  cancel(clear = true) {
+    if (this._frameId !== null) {
+      cancelAnimationFrame(this._frameId);
+      this._frameId = null;
+    }
+
+    if (clear) {
+      this._updateAll = false;
+      this._dirtyLayers.clear();
+      this._dirtyTracks.clear();
+    }
+  }
+}
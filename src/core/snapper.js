@@ -0,0 +1,327 @@
+/**
+ * Snaps the positions edited by the behaviors (items and layers' time
+ * contexts) to remarkable times of the timeline:
+ * - the lines of a grid, e.g. given by a `gridAxisGenerator`,
+ * - the ticks of a time axis, e.g. given by a `timeAxisGenerator`,
+ * - the time boundaries of the items of the other layers (cf.
+ *   `BaseShape~getTimeBoundaries`),
+ * - the edges of the `timeSelection` of the timeline.
+ *
+ * The positions are snapped if they are closer than `tolerance` pixels to a
+ * target. Snapping can be temporarily disabled by holding the `modifier` key
+ * during the interaction.
+ *
+ * Each `Timeline` owns a snapper through its `snapper` property, which is
+ * disabled by default. The positions are handled in pixels, relative to the
+ * left edge of the tracks.
+ *
+ * ```js
+ * const snapper = timeline.snapper;
+ * snapper.enabled = true;
+ * snapper.params.grid = ui.axis.gridAxisGenerator(120, '4/4');
+ * snapper.params.modifier = 'shiftKey';
+ * ```
+ */
+export default class Snapper {
+  /**
+   * @param {Timeline} timeline - The timeline of the edited layers.
+   * @param {Object} [options={}] - Options.
+   * @param {Boolean} [options.enabled=false] - Defines if the positions are
+   *    snapped.
+   * @param {Number} [options.tolerance=8] - Maximum distance (in pixels) to
+   *    a target.
+   * @param {String} [options.modifier='altKey'] - The modifier key of the
+   *    events (`'altKey'`, `'shiftKey'`, `'ctrlKey'`, `'metaKey'`) that
+   *    disables the snapping while held, `null` to ignore.
+   * @param {Function} [options.grid=null] - A generator returning the grid
+   *    lines (`{ time }` objects) for the timeline's time context.
+   * @param {Function} [options.ticks=null] - A generator returning the ticks
+   *    of a time axis (`{ time }` objects) for the timeline's time context.
+   * @param {Boolean} [options.items=true] - Snap to the items of the other
+   *    layers.
+   * @param {Boolean} [options.selection=true] - Snap to the edges of the
+   *    time selection.
+   */
+  constructor(timeline, options = {}) {
+    this.params = Object.assign({
+      enabled: false,
+      tolerance: 8,
+      modifier: 'altKey',
+      grid: null,
+      ticks: null,
+      items: true,
+      selection: true,
+    }, options);
+
+    /**
+     * The timeline of the edited layers.
+     * @type {Timeline}
+     */
+    this.timeline = timeline;
+    /**
+     * Defines if the snapping is suspended, i.e. the modifier key is held
+     * during the current interaction. Is set by the timeline.
+     * @type {Boolean}
+     */
+    this.suspended = false;
+
+    this._targets = new Map(); // excluded layer => sorted positions
+    this._drags = new WeakMap(); // dragged object => { [name]: { raw, x } }
+
+    this._onChange = () => this.reset();
+    this.timeline.on('change:offset', this._onChange);
+    this.timeline.on('change:zoom', this._onChange);
+    // the dragged positions are forgotten at the end of each gesture
+    this.timeline.history.on('end', this._onChange);
+  }
+
+  /**
+   * Defines if the positions are snapped.
+   *
+   * @type {Boolean}
+   */
+  set enabled(value) {
+    this.params.enabled = value;
+    this.reset();
+  }
+
+  get enabled() {
+    return this.params.enabled;
+  }
+
+  /**
+   * Returns `true` if the positions are currently snapped.
+   *
+   * @type {Boolean}
+   */
+  get active() {
+    return this.params.enabled && !this.suspended;
+  }
+
+  /**
+   * Updates the `suspended` state according to the modifier key of an
+   * interaction event.
+   *
+   * @param {WaveEvent} e
+   */
+  handleModifier(e) {
+    const modifier = this.params.modifier;
+    const originalEvent = e.originalEvent;
+
+    this.suspended = !!(modifier && originalEvent && originalEvent[modifier]);
+  }
+
+  /**
+   * Clears the cached targets and the state of the dragged positions. Is
+   * called by the timeline at the beginning of each interaction, and at the
+   * end of each gesture of its `history`.
+   */
+  reset() {
+    this._targets.clear();
+    this._drags = new WeakMap();
+  }
+
+  /**
+   * Returns the sorted positions (in pixels) of all the targets.
+   *
+   * @param {Layer} [exclude=null] - The layer whose items are ignored
+   *    (typically the edited layer).
+   * @return {Array<Number>}
+   */
+  getTargets(exclude = null) {
+    if (this._targets.has(exclude)) { return this._targets.get(exclude); }
+
+    const { grid, ticks, items, selection } = this.params;
+    const timeContext = this.timeline.timeContext;
+    const timeToX = (time) => timeContext.timeToPixel(time + timeContext.offset);
+    let targets = [];
+
+    [grid, ticks].forEach((generator) => {
+      if (!generator) { return; }
+
+      generator(timeContext).forEach((datum) => {
+        targets.push(timeToX(parseFloat(datum.time)));
+      });
+    });
+
+    if (items) {
+      this.timeline.layers.forEach((layer) => {
+        if (layer === exclude) { return; }
+        targets = targets.concat(layer.getItemBoundaries());
+      });
+    }
+
+    const timeSelection = this.timeline.timeSelection;
+
+    if (selection && timeSelection && !timeSelection.isEmpty) {
+      targets.push(timeToX(timeSelection.start), timeToX(timeSelection.end));
+    }
+
+    targets.sort((a, b) => a - b);
+    this._targets.set(exclude, targets);
+
+    return targets;
+  }
+
+  /**
+   * Returns the closest target of a position, `null` if no target is within
+   * the tolerance or if the snapping is not active.
+   *
+   * @param {Number} x - Position in pixels.
+   * @param {Layer} [exclude=null] - The layer whose items are ignored.
+   * @return {Number|null}
+   */
+  getTarget(x, exclude = null) {
+    if (!this.active) { return null; }
+
+    const targets = this.getTargets(exclude);
+    const tolerance = this.params.tolerance;
+    let closest = null;
+    let minDistance = Infinity;
+
+    // binary search of the first target >= x
+    let low = 0;
+    let high = targets.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (targets[mid] < x) { low = mid + 1; } else { high = mid; }
+    }
+
+    [targets[low - 1], targets[low]].forEach((target) => {
+      if (target === undefined) { return; }
+
+      const distance = Math.abs(target - x);
+
+      if (distance <= tolerance && distance < minDistance) {
+        closest = target;
+        minDistance = distance;
+      }
+    });
+
+    return closest;
+  }
+
+  /**
+   * Snaps a position.
+   *
+   * @param {Number} x - Position in pixels.
+   * @param {Layer} [exclude=null] - The layer whose items are ignored.
+   * @return {Number}
+   */
+  snap(x, exclude = null) {
+    const target = this.getTarget(x, exclude);
+    return target !== null ? target : x;
+  }
+
+  /**
+   * Moves a dragged position by `dx` and snaps the result. The unsnapped
+   * position is kept during the drag, so that the incremental moves of the
+   * interactions are not absorbed by the snapping. If `width` is given, the
+   * position is the start of a range which is snapped by its start or by
+   * its end.
+   *
+   * @param {Object} key - The dragged object (e.g. a datum).
+   * @param {String} name - The name of the dragged position in `key`.
+   * @param {Number} x - The current position in pixels.
+   * @param {Number} dx - The move in pixels.
+   * @param {Layer} [exclude=null] - The layer whose items are ignored.
+   * @param {Number} [width=0] - The width of a dragged range.
+   * @return {Number} - The new position.
+   */
+  drag(key, name, x, dx, exclude = null, width = 0) {
+    let drags = this._drags.get(key);
+
+    if (!drags) {
+      drags = {};
+      this._drags.set(key, drags);
+    }
+
+    const last = drags[name];
+    // the last snapped position is kept if nothing else moved the value
+    const raw = (last && Math.abs(last.x - x) < 1e-6) ? last.raw + dx : x + dx;
+
+    if (!this.active) {
+      delete drags[name];
+      return raw;
+    }
+
+    let snapped = raw;
+    const startTarget = this.getTarget(raw, exclude);
+    const endTarget = width > 0 ? this.getTarget(raw + width, exclude) : null;
+
+    if (startTarget !== null &&
+        (endTarget === null || Math.abs(startTarget - raw) <= Math.abs(endTarget - raw - width))) {
+      snapped = startTarget;
+    } else if (endTarget !== null) {
+      snapped = endTarget - width;
+    }
+
+    drags[name] = { raw, x: snapped };
+
+    return snapped;
+  }
+
+  /**
+   * Moves a group of dragged positions (e.g. the items of a selection) by a
+   * common `dx`, snapped by the position which is the closest to a target,
+   * so that the positions keep their relative distances. As for `drag`, the
+   * unsnapped move is kept during the drag.
+   *
+   * @param {Object} key - The dragged group (e.g. a behavior).
+   * @param {Array<Number>} positions - The current positions in pixels.
+   * @param {Number} dx - The move in pixels.
+   * @param {Layer} [exclude=null] - The layer whose items are ignored.
+   * @return {Number} - The move to apply to all the positions.
+   */
+  dragGroup(key, positions, dx, exclude = null) {
+    if (positions.length === 0) { return dx; }
+
+    let drags = this._drags.get(key);
+
+    if (!drags) {
+      drags = {};
+      this._drags.set(key, drags);
+    }
+
+    // the first position is the reference of the group
+    const reference = positions[0];
+    const last = drags.group;
+    const raw = (last && Math.abs(last.x - reference) < 1e-6) ? last.raw + dx : reference + dx;
+    const rawDx = raw - reference;
+
+    if (!this.active) {
+      delete drags.group;
+      return rawDx;
+    }
+
+    let snappedDx = rawDx;
+    let minDistance = Infinity;
+
+    positions.forEach((x) => {
+      const target = this.getTarget(x + rawDx, exclude);
+      if (target === null) { return; }
+
+      const distance = Math.abs(target - x - rawDx);
+
+      if (distance < minDistance) {
+        snappedDx = target - x;
+        minDistance = distance;
+      }
+    });
+
+    drags.group = { raw, x: reference + snappedDx };
+
+    return snappedDx;
+  }
+
+  /**
+   * Removes the listeners of the snapper on the timeline.
+   */
+  destroy() {
+    this.timeline.removeListener('change:offset', this._onChange);
+    this.timeline.removeListener('change:zoom', this._onChange);
+    this.timeline.history.removeListener('end', this._onChange);
+    this.reset();
+  }
+}
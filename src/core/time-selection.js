@@ -0,0 +1,286 @@
+import events from 'events';
+
+import ns from './namespace';
+
+
+/**
+ * A persistent time range (in seconds) selected on a timeline, independant
+ * of the items of the layers. The selection is drawn as a shaded region,
+ * with its edges highlighted, over all the tracks of the timeline or over
+ * some of them. It can be defined by the user with the `TimeSelectionState`
+ * or through the API, and is the basis of loop regions, exports or zooms to
+ * selection.
+ *
+ * Each `Timeline` owns a time selection through its `timeSelection`
+ * property.
+ *
+ * ```js
+ * const selection = timeline.timeSelection;
+ * selection.on('change', ({ start, end }) => loop.setRange(start, end));
+ * timeline.state = new ui.states.TimeSelectionState(timeline);
+ * // or
+ * selection.set(2, 4.5);
+ * ```
+ *
+ * ### Events
+ *
+ * - `'change'` - `{ start, end, previous }`: the selection has changed,
+ *   `previous` is the former `{ start, end }`. `start` and `end` are `null`
+ *   when the selection is cleared.
+ */
+export default class TimeSelection extends events.EventEmitter {
+  /**
+   * @param {Timeline} timeline - The timeline on which the selection is made.
+   * @param {Object} [options={}] - Options.
+   * @param {String} [options.color='#4682b4'] - Color of the region.
+   * @param {Number} [options.opacity=0.2] - Opacity of the region.
+   * @param {Array<Track|String>} [options.tracks=null] - The tracks (or
+   *    track ids) on which the selection is drawn, all if `null`.
+   */
+  constructor(timeline, options = {}) {
+    super();
+
+    this.params = Object.assign({
+      color: '#4682b4',
+      opacity: 0.2,
+      tracks: null,
+    }, options);
+
+    /**
+     * The timeline on which the selection is made.
+     * @type {Timeline}
+     */
+    this.timeline = timeline;
+
+    this._start = null;
+    this._end = null;
+    this._$groups = new Map(); // track => $g
+
+    this._onUpdate = () => this.render();
+    this.timeline.on('update', this._onUpdate);
+  }
+
+  /**
+   * Start time of the selection in seconds, `null` if nothing is selected.
+   *
+   * @type {Number|null}
+   */
+  get start() {
+    return this._start;
+  }
+
+  /**
+   * End time of the selection in seconds, `null` if nothing is selected.
+   *
+   * @type {Number|null}
+   */
+  get end() {
+    return this._end;
+  }
+
+  /**
+   * Duration of the selection in seconds, `0` if nothing is selected.
+   *
+   * @type {Number}
+   */
+  get duration() {
+    return this.isEmpty ? 0 : this._end - this._start;
+  }
+
+  /**
+   * Returns `true` if nothing is selected.
+   *
+   * @type {Boolean}
+   */
+  get isEmpty() {
+    return this._start === null;
+  }
+
+  /**
+   * The tracks (or track ids) on which the selection is drawn, all the
+   * tracks of the timeline if `null`.
+   *
+   * @type {Array<Track|String>|null}
+   */
+  set tracks(value) {
+    this.params.tracks = value;
+    this.render();
+  }
+
+  get tracks() {
+    return this.params.tracks;
+  }
+
+  /**
+   * Defines the selected range, the bounds are reordered if needed.
+   *
+   * @param {Number} start - Start time in seconds.
+   * @param {Number} end - End time in seconds.
+   */
+  set(start, end) {
+    if (end < start) { [start, end] = [end, start]; }
+
+    this._change(start, end);
+  }
+
+  /**
+   * Removes the selection.
+   */
+  clear() {
+    this._change(null, null);
+  }
+
+  /**
+   * Tests if a time is inside the selection.
+   *
+   * @param {Number} time
+   * @return {Boolean}
+   */
+  contains(time) {
+    return !this.isEmpty && time >= this._start && time <= this._end;
+  }
+
+  /**
+   * Returns the edge of the selection at a given position of the tracks.
+   *
+   * @param {Number} x - Position in pixels, relative to the tracks.
+   * @param {Number} [tolerance=4] - Maximum distance in pixels to the edge.
+   * @return {String|null} - `'start'`, `'end'` or `null`.
+   */
+  getEdgeFromPosition(x, tolerance = 4) {
+    if (this.isEmpty) { return null; }
+
+    const { x: left, width } = this.getPosition();
+    const distStart = Math.abs(x - left);
+    const distEnd = Math.abs(x - (left + width));
+
+    if (distStart > tolerance && distEnd > tolerance) { return null; }
+
+    return distStart <= distEnd ? 'start' : 'end';
+  }
+
+  /**
+   * Returns the horizontal position and width (in pixels, in the tracks of
+   * the timeline) of the selection.
+   *
+   * @return {Object} - `{ x, width }`
+   */
+  getPosition() {
+    const timeContext = this.timeline.timeContext;
+    const x = timeContext.timeToPixel(this._start + timeContext.offset);
+    const width = timeContext.timeToPixel(this._end - this._start);
+
+    return { x, width };
+  }
+
+  /**
+   * Draws the selection on the tracks. Is called on each `update` of the
+   * timeline.
+   */
+  render() {
+    const tracks = this._getTracks();
+
+    // remove the drawing from the tracks that are no longer concerned
+    this._$groups.forEach(($group, track) => {
+      if (tracks.indexOf(track) !== -1) { return; }
+
+      this._removeGroup(track);
+    });
+
+    if (this.isEmpty) {
+      tracks.forEach((track) => this._removeGroup(track));
+      return;
+    }
+
+    const { x, width } = this.getPosition();
+
+    tracks.forEach((track) => {
+      let $group = this._$groups.get(track);
+
+      if (!$group) {
+        $group = this._createGroup();
+        // below the other interactions (brushes, ...)
+        track.$interactions.insertBefore($group, track.$interactions.firstChild);
+        this._$groups.set(track, $group);
+      }
+
+      const [$region, $start, $end] = $group.childNodes;
+
+      $region.setAttributeNS(null, 'x', x);
+      $region.setAttributeNS(null, 'width', Math.max(width, 0));
+      $region.setAttributeNS(null, 'height', track.height);
+
+      $start.setAttributeNS(null, 'x1', x);
+      $start.setAttributeNS(null, 'x2', x);
+      $start.setAttributeNS(null, 'y2', track.height);
+
+      $end.setAttributeNS(null, 'x1', x + width);
+      $end.setAttributeNS(null, 'x2', x + width);
+      $end.setAttributeNS(null, 'y2', track.height);
+    });
+  }
+
+  /**
+   * Removes the drawing of the selection and the listener on the timeline.
+   */
+  destroy() {
+    this.timeline.removeListener('update', this._onUpdate);
+    this._$groups.forEach(($group, track) => this._removeGroup(track));
+    this.removeAllListeners();
+  }
+
+  _change(start, end) {
+    if (start === this._start && end === this._end) { return; }
+
+    const previous = { start: this._start, end: this._end };
+
+    this._start = start;
+    this._end = end;
+
+    this.render();
+    this.emit('change', { start, end, previous });
+  }
+
+  _getTracks() {
+    const tracks = this.timeline.tracks;
+    if (this.params.tracks === null) { return tracks.slice(0); }
+
+    return this.params.tracks
+      .map((track) => {
+        return typeof track === 'string' ?
+          this.timeline.getTrackById(track) : track;
+      })
+      .filter((track) => tracks.indexOf(track) !== -1);
+  }
+
+  _createGroup() {
+    const $group = document.createElementNS(ns, 'g');
+    $group.classList.add('time-selection');
+    $group.style.pointerEvents = 'none';
+
+    const $region = document.createElementNS(ns, 'rect');
+    $region.setAttributeNS(null, 'y', 0);
+    $region.style.fill = this.params.color;
+    $region.style.opacity = this.params.opacity;
+    $group.appendChild($region);
+
+    ['start', 'end'].forEach((edge) => {
+      const $line = document.createElementNS(ns, 'line');
+      $line.classList.add(edge);
+      $line.setAttributeNS(null, 'y1', 0);
+      $line.style.stroke = this.params.color;
+      $line.style.strokeWidth = 2;
+      $group.appendChild($line);
+    });
+
+    return $group;
+  }
+
+  _removeGroup(track) {
+    const $group = this._$groups.get(track);
+    if (!$group) { return; }
+
+    if ($group.parentNode) { $group.parentNode.removeChild($group); }
+    this._$groups.delete(track);
+  }
+}
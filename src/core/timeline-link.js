@@ -0,0 +1,215 @@
+import ns from './namespace';
+
+
+/**
+ * Links two `Timeline` instances so that the navigation in one of them
+ * (changes of the `offset` and `zoom` of its `TimelineTimeContext`) is
+ * propagated to the other one. Changes are detected on the `update` event
+ * of the timelines, i.e. each time `timeline.tracks.update()` is called.
+ *
+ * Two modes are available:
+ * - `'sync'`: both timelines display the exact same time window (same
+ *   offset and same number of pixels per second), the link goes both ways.
+ * - `'overview'`: the first timeline is an overview of the second one (the
+ *   detail view). The overview keeps its own offset and zoom but displays
+ *   the visible window of the detail view as a rectangle drawn on each of its
+ *   tracks. The window can be moved or resized from the overview with the
+ *   `OverviewState`, or programmatically with `setDetailWindow`.
+ *
+ * ```js
+ * const link = new ui.core.TimelineLink(overview, detail, { mode: 'overview' });
+ * overview.state = new ui.states.OverviewState(overview, link);
+ * ```
+ */
+export default class TimelineLink {
+  /**
+   * @param {Timeline} timeline - The first timeline (the overview in
+   *    `'overview'` mode).
+   * @param {Timeline} other - The second timeline (the detail view in
+   *    `'overview'` mode).
+   * @param {Object} [options={}] - Options.
+   * @param {String} [options.mode='sync'] - `'sync'` or `'overview'`.
+   * @param {String} [options.color='#787878'] - Color of the rectangle
+   *    displaying the detail window in `'overview'` mode.
+   * @param {Number} [options.opacity=0.3] - Opacity of the rectangle.
+   */
+  constructor(timeline, other, options = {}) {
+    this.params = Object.assign({
+      mode: 'sync',
+      color: '#787878',
+      opacity: 0.3,
+    }, options);
+
+    /**
+     * The first linked timeline (overview in `'overview'` mode).
+     * @type {Timeline}
+     */
+    this.timeline = timeline;
+    /**
+     * The second linked timeline (detail in `'overview'` mode).
+     * @type {Timeline}
+     */
+    this.other = other;
+
+    this._propagating = false;
+    this._$windows = new Map(); // track => $rect
+
+    this._onTimelineUpdate = () => this._onUpdate(this.timeline, this.other);
+    this._onOtherUpdate = () => this._onUpdate(this.other, this.timeline);
+    this.timeline.on('update', this._onTimelineUpdate);
+    this.other.on('update', this._onOtherUpdate);
+
+    if (this.params.mode === 'sync') {
+      this._propagate(this.timeline, this.other);
+    } else {
+      this._updateWindow();
+    }
+  }
+
+  /**
+   * Alias of `timeline` in `'overview'` mode.
+   *
+   * @type {Timeline}
+   */
+  get overview() {
+    return this.timeline;
+  }
+
+  /**
+   * Alias of `other` in `'overview'` mode.
+   *
+   * @type {Timeline}
+   */
+  get detail() {
+    return this.other;
+  }
+
+  /**
+   * Unlinks the timelines and removes the rectangles from the overview.
+   */
+  destroy() {
+    this.timeline.removeListener('update', this._onTimelineUpdate);
+    this.other.removeListener('update', this._onOtherUpdate);
+
+    this._$windows.forEach(($rect) => {
+      if ($rect.parentNode) { $rect.parentNode.removeChild($rect); }
+    });
+
+    this._$windows.clear();
+  }
+
+  /**
+   * Returns the time window (in seconds) currently displayed by the detail
+   * timeline.
+   *
+   * @return {Object} - `{ start, end }`
+   */
+  getDetailWindow() {
+    const start = 0 - this.other.offset;
+    const end = start + this.other.visibleDuration;
+
+    return { start, end };
+  }
+
+  /**
+   * Defines the time window (in seconds) displayed by the detail timeline,
+   * and updates it.
+   *
+   * @param {Number} start - The time at the left edge of the detail view.
+   * @param {Number} end - The time at the right edge of the detail view.
+   */
+  setDetailWindow(start, end) {
+    const timeContext = this.other.timeContext;
+
+    if (end <= start) { return; }
+
+    timeContext.zoom = timeContext.visibleWidth /
+      ((end - start) * timeContext.pixelsPerSecond);
+    timeContext.offset = - start;
+
+    this.other.tracks.update();
+  }
+
+  /**
+   * Returns the horizontal position and width (in pixels, in the overview
+   * tracks) of the detail window.
+   *
+   * @return {Object} - `{ x, width }`
+   */
+  getWindowPosition() {
+    const timeContext = this.timeline.timeContext;
+    const { start, end } = this.getDetailWindow();
+    const x = timeContext.timeToPixel(start + timeContext.offset);
+    const width = timeContext.timeToPixel(end - start);
+
+    return { x, width };
+  }
+
+  /**
+   * Callback of the `update` events of both timelines.
+   *
+   * @param {Timeline} source - The updated timeline.
+   * @param {Timeline} target - The other timeline.
+   */
+  _onUpdate(source, target) {
+    if (this._propagating) { return; }
+
+    if (this.params.mode === 'sync') {
+      this._propagate(source, target);
+    } else {
+      this._updateWindow();
+    }
+  }
+
+  /**
+   * Copies the view of `source` into `target` in `'sync'` mode, and updates
+   * `target` if needed.
+   */
+  _propagate(source, target) {
+    const sourceContext = source.timeContext;
+    const targetContext = target.timeContext;
+
+    if (
+      targetContext.offset === sourceContext.offset &&
+      targetContext.computedPixelsPerSecond === sourceContext.computedPixelsPerSecond
+    ) {
+      return;
+    }
+
+    // share the same scale even if the base `pixelsPerSecond` differ
+    targetContext.zoom = sourceContext.computedPixelsPerSecond /
+      targetContext.pixelsPerSecond;
+    targetContext.offset = sourceContext.offset;
+
+    this._propagating = true;
+    target.tracks.update();
+    this._propagating = false;
+  }
+
+  /**
+   * Draws the detail window on each track of the overview.
+   */
+  _updateWindow() {
+    const { x, width } = this.getWindowPosition();
+
+    this.timeline.tracks.forEach((track) => {
+      let $rect = this._$windows.get(track);
+
+      if (!$rect) {
+        $rect = document.createElementNS(ns, 'rect');
+        $rect.classList.add('detail-window');
+        $rect.style.fill = this.params.color;
+        $rect.style.opacity = this.params.opacity;
+        $rect.style.cursor = 'move';
+
+        track.$interactions.appendChild($rect);
+        this._$windows.set(track, $rect);
+      }
+
+      $rect.setAttributeNS(null, 'x', x);
+      $rect.setAttributeNS(null, 'y', 0);
+      $rect.setAttributeNS(null, 'width', Math.max(width, 1));
+      $rect.setAttributeNS(null, 'height', track.height);
+    });
+  }
+}
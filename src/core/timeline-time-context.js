@@ -1,3 +1,4 @@
+import events from 'events';
 import scales from '../utils/scales';
 
 
@@ -15,9 +16,13 @@ import scales from '../utils/scales';
  * It also maintain an array of all references to `LayerTimeContext` instances
  * to propagate to `layers`, changes made on the time to pixel representation.
  *
+ * The `offset` and `zoom` setters emit a `change:offset` (`{ offset,
+ * previous }`) and a `change:zoom` (`{ zoom, previous }`) event when the
+ * value is modified. These events are also emitted by the `Timeline`.
+ *
  * [example usage](./examples/time-contexts.html)
  */
-export default class TimelineTimeContext {
+export default class TimelineTimeContext extends events.EventEmitter {
   /**
    * @param {Number} pixelsPerSecond - The number of pixels that should be
    *    used to display one second.
@@ -25,6 +30,8 @@ export default class TimelineTimeContext {
    *    displayed in `tracks` (in pixels).
    */
   constructor(pixelsPerSecond, visibleWidth) {
+    super();
+
     this._children = [];
 
     this._timeToPixel = null;
@@ -99,7 +106,12 @@ export default class TimelineTimeContext {
    * @type {Number}
    */
   set offset(value) {
+    const previous = this._offset;
     this._offset = value;
+
+    if (value !== previous) {
+      this.emit('change:offset', { offset: value, previous });
+    }
   }
 
   /**
@@ -118,7 +130,8 @@ export default class TimelineTimeContext {
    */
   set zoom(value) {
     // Compute change to propagate to children who have their own timeToPixel
-    const ratioChange = value / this._zoom;
+    const previous = this._zoom;
+    const ratioChange = value / previous;
     this._zoom = value;
     this._computedPixelsPerSecond = this._originalPixelsPerSecond * value;
     this._updateTimeToPixelRange();
@@ -127,6 +140,10 @@ export default class TimelineTimeContext {
       if (child.stretchRatio === 1) { return; }
       child.stretchRatio = child.stretchRatio * ratioChange;
     });
+
+    if (value !== previous) {
+      this.emit('change:zoom', { zoom: value, previous });
+    }
   }
 
   /**
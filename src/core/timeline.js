@@ -1,8 +1,15 @@
 import events from 'events';
 
+import Clipboard from './clipboard';
+import History from './history';
 import Keyboard from '../interactions/keyboard';
+import Keymap from '../interactions/keymap';
 import LayerTimeContext from './layer-time-context';
+import Nudger from './nudger';
+import RenderScheduler from './render-scheduler';
+import Snapper from './snapper';
 import Surface from '../interactions/surface';
+import TimeSelection from './time-selection';
 import TimelineTimeContext from './timeline-time-context';
 import Track from './track';
 import TrackCollection from './track-collection';
@@ -34,14 +41,40 @@ import TrackCollection from './track-collection';
  * const pixelsPerSeconds = visibleWidth / duration;
  * const timeline = new ui.core.Timeline(pixelsPerSecond, width);
  * ```
+ *
+ * ## Events
+ *
+ * - `'event'` - `(e, hitLayers)`: any interaction event, before the state.
+ *   The `keydown` events bound in the `keymap` define a `command`.
+ * - `'render'`, `'update'` - `(layers)`, `'update:layers'` - `(layers)`:
+ *   emitted by the `TrackCollection` methods.
+ * - `'change:offset'` - `{ offset, previous }`: the offset of the
+ *   `TimelineTimeContext` has changed.
+ * - `'change:zoom'` - `{ zoom, previous }`: the zoom of the
+ *   `TimelineTimeContext` has changed.
+ * - `'destroy'`: the timeline is destroyed, cf. `destroy`.
+ *
+ * The changes made on the layers (selection, edition, ...) are emitted by
+ * the layers themselves, cf. `Layer`.
  */
 export default class Timeline extends events.EventEmitter {
   /**
    * @param {Number} [pixelsPerSecond=100] - the default scaling between time and pixels.
    * @param {Number} [visibleWidth=1000] - the default visible area for all registered tracks.
+   * @param {Object} [options={}] - Options.
+   * @param {Boolean} [options.registerKeyboard=true] - Listen to the keyboard.
+   * @param {String} [options.keyboardScope='focus'] - If `'focus'`, the
+   *    keyboard events are only received when a track container (made
+   *    focusable) has the focus. If `'global'`, the keyboard events are
+   *    received from the whole document.
+   * @param {Boolean} [options.autoVisibleWidth=false] - Update the
+   *    `visibleWidth` each time the containers of the tracks are resized
+   *    (cf. `autoVisibleWidth`).
    */
   constructor(pixelsPerSecond = 100, visibleWidth = 1000, {
-    registerKeyboard = true
+    registerKeyboard = true,
+    keyboardScope = 'focus',
+    autoVisibleWidth = false
   } = {}) {
 
     super();
@@ -51,8 +84,11 @@ export default class Timeline extends events.EventEmitter {
 
     // default interactions
     this._surfaceCtor = Surface;
+    this._interactions = []; // { interaction, $el, callback }
+    this._scopedKeyboard = registerKeyboard && keyboardScope === 'focus';
+    this._focusableContainers = new Set(); // containers made focusable
 
-    if (registerKeyboard) {
+    if (registerKeyboard && keyboardScope === 'global') {
       this.createInteraction(Keyboard, document);
     }
 
@@ -62,6 +98,40 @@ export default class Timeline extends events.EventEmitter {
 
     /** @type {TimelineTimeContext} - master time context for the visualization. */
     this.timeContext = new TimelineTimeContext(pixelsPerSecond, visibleWidth);
+    this.timeContext.on('change:offset', (e) => this.emit('change:offset', e));
+    this.timeContext.on('change:zoom', (e) => this.emit('change:zoom', e));
+
+    /** @type {History} - undo / redo history of the edits made on the layers. */
+    this.history = new History();
+
+    /** @type {Keymap} - maps the keyboard chords to the commands given to the states. */
+    this.keymap = new Keymap();
+
+    /** @type {TimeSelection} - time range selected across the tracks. */
+    this.timeSelection = new TimeSelection(this);
+
+    /** @type {Snapper} - snaps the positions edited in the layers (disabled by default). */
+    this.snapper = new Snapper(this);
+
+    /** @type {Clipboard} - copies, cuts and pastes the selected items. */
+    this.clipboard = new Clipboard(this);
+
+    /** @type {Nudger} - moves the selected items with the arrow keys. */
+    this.nudger = new Nudger(this);
+
+    /** @type {RenderScheduler} - coalesces the updates once per frame. */
+    this.scheduler = new RenderScheduler(this);
+
+    this._autoVisibleWidth = false;
+    this._resizeObserver = null;
+    this._resizeRequestId = null;
+    this._onContainerResize = () => this._requestResize();
+
+    // the end of a gesture is lost when the window loses the focus
+    this._onBlur = () => this.history.close();
+    window.addEventListener('blur', this._onBlur, false);
+
+    this.autoVisibleWidth = autoVisibleWidth;
   }
 
   /**
@@ -136,6 +206,91 @@ export default class Timeline extends events.EventEmitter {
     this.timeContext.visibleWidth = value;
   }
 
+  /**
+   * Defines if the `visibleWidth` should follow the width of the containers
+   * of the tracks. When enabled, the containers are watched (with a
+   * `ResizeObserver` if available, or on window `resize` otherwise) and all
+   * the resizes occuring in the same frame result in a single update of the
+   * tracks. If `maintainVisibleDuration` is `true`, the displayed duration
+   * is kept, otherwise the zoom level is kept and more time is displayed.
+   *
+   * @type {Boolean}
+   */
+  set autoVisibleWidth(bool) {
+    if (bool === this._autoVisibleWidth) { return; }
+
+    this._autoVisibleWidth = bool;
+
+    if (bool) {
+      if (typeof ResizeObserver !== 'undefined') {
+        this._resizeObserver = new ResizeObserver(this._onContainerResize);
+        this.tracks.forEach((track) => this._resizeObserver.observe(track.$el));
+      } else {
+        window.addEventListener('resize', this._onContainerResize, false);
+      }
+
+      this._requestResize();
+    } else {
+      if (this._resizeObserver !== null) {
+        this._resizeObserver.disconnect();
+        this._resizeObserver = null;
+      } else {
+        window.removeEventListener('resize', this._onContainerResize, false);
+      }
+
+      if (this._resizeRequestId !== null) {
+        cancelAnimationFrame(this._resizeRequestId);
+        this._resizeRequestId = null;
+      }
+    }
+  }
+
+  /**
+   * Returns if the `visibleWidth` follows the width of the containers of
+   * the tracks.
+   *
+   * @type {Boolean}
+   */
+  get autoVisibleWidth() {
+    return this._autoVisibleWidth;
+  }
+
+  /**
+   * Sets the `visibleWidth` to the width of the containers of the tracks
+   * (the smallest one if they differ) and updates the tracks if it changed.
+   * Is called automatically when `autoVisibleWidth` is `true`.
+   *
+   * @return {Boolean} - `true` if the `visibleWidth` has been updated.
+   */
+  fitToContainers() {
+    let width = Infinity;
+
+    this.tracks.forEach((track) => {
+      const trackWidth = track.$el.clientWidth;
+      // ignore containers that are not displayed
+      if (trackWidth > 0) { width = Math.min(width, trackWidth); }
+    });
+
+    if (width === Infinity || width === this.visibleWidth) { return false; }
+
+    this.timeContext.visibleWidth = width;
+    this.tracks.update();
+
+    return true;
+  }
+
+  /**
+   * Batches the resizes of the containers into a single update.
+   */
+  _requestResize() {
+    if (this._resizeRequestId !== null) { return; }
+
+    this._resizeRequestId = requestAnimationFrame(() => {
+      this._resizeRequestId = null;
+      this.fitToContainers();
+    });
+  }
+
   /**
    * Returns `TimelineTimeContext`'s `timeToPixel` transfert function.
    *
@@ -187,7 +342,8 @@ export default class Timeline extends events.EventEmitter {
   /**
    * Overrides the default `Surface` that is instanciated on each `Track`
    * instance. This methos should be called before adding any `Track` instance
-   * to the current `timeline`.
+   * to the current `timeline`. Use `PointerSurface` to support pen and
+   * touch devices.
    *
    * @param {EventSource} ctor - The constructor to use in order to catch mouse
    *    events on each `Track` instances.
@@ -198,43 +354,76 @@ export default class Timeline extends events.EventEmitter {
 
   /**
    * Factory method to add interaction modules the timeline should listen to.
-   * By default, the timeline instanciate a global `Keyboard` instance and a
-   * `Surface` instance on each container.
-   * Should be used to install new interactions implementing the `EventSource` interface.
+   * By default, the timeline instanciate a `Surface` and a `Keyboard`
+   * instance on each container (cf. `keyboardScope` option).
+   * Should be used to install new interactions implementing the `EventSource`
+   * interface. The interactions are destroyed with the track bound to the
+   * same element, or with the timeline.
    *
    * @param {EventSource} ctor - The contructor of the interaction module to instanciate.
    * @param {Element} $el - The DOM element which will be binded to the `EventSource` module.
    * @param {Object} [options={}] - Options to be applied to the `ctor`.
+   * @return {EventSource} - The created interaction.
    */
   createInteraction(ctor, $el, options = {}) {
     const interaction = new ctor($el, options);
-    interaction.on('event', (e) => this._handleEvent(e));
+    const callback = (e) => this._handleEvent(e);
+
+    interaction.on('event', callback);
+    this._interactions.push({ interaction, $el, callback });
+
+    return interaction;
+  }
+
+  /**
+   * Removes and destroys the interactions bound to a given element, or all
+   * the interactions if `$el` is `null`.
+   *
+   * @param {Element} [$el=null]
+   */
+  _destroyInteractions($el = null) {
+    this._interactions = this._interactions.filter((entry) => {
+      if ($el !== null && entry.$el !== $el) { return true; }
+
+      entry.interaction.removeListener('event', entry.callback);
+      if (entry.interaction.destroy) { entry.interaction.destroy(); }
+
+      return false;
+    });
+  }
+
+  /**
+   * Returns the track in which a surface event occured, i.e. the track
+   * whose container is listened by the `Surface` that emitted the event.
+   *
+   * @param {WaveEvent} e - An event triggered by a `Surface`.
+   * @return {Track|null}
+   */
+  getTrackFromEvent(e) {
+    if (!e.$container) { return null; }
+
+    for (let track of this.tracks) {
+      if (track.$el === e.$container) { return track; }
+    }
+
+    return null;
   }
 
   /**
    * Returns a list of the layers situated under the position of a `WaveEvent`.
+   * The test is made from the geometry of the tracks and layers (cf.
+   * `Layer~hitTest`) to avoid forcing the layout of the DOM on each event.
    *
    * @param {WavesEvent} e - An event triggered by a `WaveEvent`
    * @return {Array} - Matched layers
    */
   getHitLayers(e) {
-    const clientX = e.originalEvent.clientX;
-    const clientY = e.originalEvent.clientY;
-    let layers = [];
-
-    this.layers.forEach((layer) => {
-      if (!layer.params.hittable) { return; }
-      const br = layer.$el.getBoundingClientRect();
-
-      if (
-        clientX > br.left && clientX < br.right &&
-        clientY > br.top && clientY < br.bottom
-      ) {
-        layers.push(layer);
-      }
-    });
+    const track = this.getTrackFromEvent(e);
+    if (track === null) { return []; }
 
-    return layers;
+    return track.layers.filter((layer) => {
+      return layer.params.hittable && layer.hitTest(e.x, e.y);
+    });
   }
 
   /**
@@ -245,13 +434,94 @@ export default class Timeline extends events.EventEmitter {
   _handleEvent(e) {
     const hitLayers = (e.source === 'surface') ?
       this.getHitLayers(e) : null;
+    // the keys bound in the keymap are defined as commands
+    if (e.source === 'keyboard' && e.type === 'keydown') {
+      e.command = this.keymap.getCommand(e);
+    }
+    // each gesture starts with fresh snapping targets
+    if (e.source === 'surface') {
+      if (e.type === 'mousedown') {
+        // a gesture whose `mouseup` has been lost is closed
+        this.history.close();
+        this.snapper.reset();
+      }
+      this.snapper.handleModifier(e);
+    }
     // emit event as a middleware
     this.emit('event', e, hitLayers);
+    // a consumed command is not propagated as a key event
+    if (e.command && this._handleCommand(e.command, e)) {
+      e.originalEvent.preventDefault();
+      return;
+    }
     // propagate to the state
     if (!this._state) { return; }
     this._state.handleEvent(e, hitLayers);
   }
 
+  /**
+   * Gives a command to the current state. The `undo` and `redo` commands
+   * not consumed by the state are handled by the timeline itself, the
+   * `copy`, `cut` and `paste` commands by its `clipboard` and the `nudge*`
+   * commands by its `nudger`.
+   *
+   * @param {String} command - The name of the command (cf. `Keymap`).
+   * @param {WaveEvent} e - The keyboard event that triggered the command.
+   * @return {Boolean} - `true` if the command has been consumed.
+   */
+  _handleCommand(command, e) {
+    if (this._state && this._state.handleCommand &&
+        this._state.handleCommand(command, e)) {
+      return true;
+    }
+
+    switch (command) {
+      case 'undo':
+        this.undo();
+        return true;
+      case 'redo':
+        this.redo();
+        return true;
+    }
+
+    return this.clipboard.handleCommand(command, e) ||
+      this.nudger.handleCommand(command, e);
+  }
+
+  /**
+   * Reverts the last edit gesture recorded in the `history`, and renders and
+   * updates the layers accordingly.
+   *
+   * @return {Boolean} - `true` if a command has been reverted.
+   */
+  undo() {
+    const done = this.history.undo();
+
+    if (done) {
+      this.tracks.render();
+      this.tracks.update();
+    }
+
+    return done;
+  }
+
+  /**
+   * Applies again the last reverted edit gesture, and renders and updates
+   * the layers accordingly.
+   *
+   * @return {Boolean} - `true` if a command has been applied.
+   */
+  redo() {
+    const done = this.history.redo();
+
+    if (done) {
+      this.tracks.render();
+      this.tracks.update();
+    }
+
+    return done;
+  }
+
   /**
    * Updates the state of the timeline.
    *
@@ -259,6 +529,9 @@ export default class Timeline extends events.EventEmitter {
    */
   set state(state) {
     if (this._state) { this._state.exit(); }
+    // close any gesture left open by the previous state
+    this.history.close();
+
     this._state = state;
     if (this._state) { this._state.enter(); }
   }
@@ -308,16 +581,84 @@ export default class Timeline extends events.EventEmitter {
 
     this.tracks.push(track);
     this.createInteraction(this._surfaceCtor, track.$el);
+
+    if (this._scopedKeyboard) {
+      // the container must be focusable to receive keyboard events
+      if (!track.$el.hasAttribute('tabindex')) {
+        track.$el.setAttribute('tabindex', 0);
+        this._focusableContainers.add(track.$el);
+      }
+
+      this.createInteraction(Keyboard, track.$el);
+    }
+
+    if (this._autoVisibleWidth) {
+      if (this._resizeObserver !== null) {
+        this._resizeObserver.observe(track.$el);
+      }
+
+      this._requestResize();
+    }
   }
 
   /**
-   * Removes a track from the timeline.
+   * Removes a track from the timeline. The interactions bound to its
+   * container are destroyed and its layers are detached from the timeline.
+   * The track is not destroyed and can be added to another timeline.
    *
    * @param {Track} track - the track to remove from the timeline.
-   * @todo not implemented.
    */
   remove(track) {
-    // should destroy interaction too, avoid ghost eventListeners
+    const index = this.tracks.indexOf(track);
+    if (index === -1) { return; }
+
+    this.tracks.splice(index, 1);
+    // the track is no longer in the collection, so its layers are only
+    // detached from the timeline (history, groups) and stay in the track
+    track.layers.forEach((layer) => this.removeLayer(layer));
+
+    const trackId = this.getTrackId(track);
+    if (trackId !== null) { delete this._trackById[trackId]; }
+
+    this._destroyInteractions(track.$el);
+
+    if (this._focusableContainers.has(track.$el)) {
+      track.$el.removeAttribute('tabindex');
+      this._focusableContainers.delete(track.$el);
+    }
+
+    if (this._resizeObserver !== null) {
+      this._resizeObserver.unobserve(track.$el);
+    }
+  }
+
+  /**
+   * Destroys the timeline: the current state is exited, the tracks are
+   * removed from the timeline and from the DOM, and all the interactions
+   * and listeners of the timeline are removed. The layers are only detached
+   * and can be reused (or destroyed with `Layer~destroy`). When done, the
+   * timeline triggers a `destroy` event before removing its own listeners.
+   */
+  destroy() {
+    this.state = null;
+
+    this.tracks.slice(0).forEach((track) => {
+      this.remove(track);
+      track.destroy();
+    });
+
+    this._destroyInteractions();
+    this.timeSelection.destroy();
+    this.snapper.destroy();
+    this.clipboard.destroy();
+    this.autoVisibleWidth = false;
+    this.scheduler.cancel();
+    this.history.clear();
+    window.removeEventListener('blur', this._onBlur, false);
+    this.timeContext.removeAllListeners();
+
+    this.emit('destroy');
+    this.removeAllListeners();
   }
 
   /**
@@ -385,6 +726,8 @@ export default class Timeline extends events.EventEmitter {
 
     // we should have a Track instance at this point
     track.add(layer);
+    layer.history = this.history;
+    layer.snapper = this.snapper;
 
     if (!this._groupedLayers[groupId]) {
       this._groupedLayers[groupId] = [];
@@ -408,12 +751,15 @@ export default class Timeline extends events.EventEmitter {
       if (index !== -1) { track.remove(layer); }
     });
 
+    layer.history = null;
+    layer.snapper = null;
+
     // clean references in helpers
     for (let groupId in this._groupedLayers) {
       const group = this._groupedLayers[groupId];
       const index = group.indexOf(layer);
 
-      if (index !== -1) { group.splice(layer, 1); }
+      if (index !== -1) { group.splice(index, 1); }
 
       if (!group.length) {
         delete this._groupedLayers[groupId];
@@ -465,6 +811,185 @@ export default class Timeline extends events.EventEmitter {
     return this._groupedLayers[groupId];
   }
 
+  /**
+   * Returns the id associated to a track in `add` or `createTrack`, null if
+   * the track has no id.
+   *
+   * @param {Track} track
+   * @return {String|null}
+   */
+  getTrackId(track) {
+    for (let trackId in this._trackById) {
+      if (this._trackById[trackId] === track) { return trackId; }
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns the current state of the view as a plain object that can be
+   * serialized as JSON and given back to `setViewState` later on, e.g. to
+   * restore a session.
+   *
+   * Only the tracks registered with an id are described, layers are
+   * described in the order they have been added to their group (cf.
+   * `addLayer`). Layers sharing the timeline's `TimelineTimeContext`
+   * (i.e. axis) have no `timeContext` entry. The `visibleWidth` is not part
+   * of the state, as it depends on the containers of the restored view.
+   *
+   * ```js
+   * {
+   *   offset, zoom, pixelsPerSecond,
+   *   tracks: [{ id, height }, ...],
+   *   layers: {
+   *     [groupId]: [{ trackId, yDomain, opacity, timeContext }, ...]
+   *   }
+   * }
+   * ```
+   *
+   * @return {Object}
+   */
+  getViewState() {
+    const tracks = [];
+    const layers = {};
+
+    this.tracks.forEach((track) => {
+      const id = this.getTrackId(track);
+      if (id !== null) { tracks.push({ id, height: track.height }); }
+    });
+
+    for (let groupId in this._groupedLayers) {
+      layers[groupId] = this._groupedLayers[groupId].map((layer) => {
+        const track = this.tracks.find((track) => track.layers.indexOf(layer) !== -1);
+        const desc = {
+          trackId: track ? this.getTrackId(track) : null,
+          yDomain: layer.yDomain.slice(0),
+          opacity: layer.opacity,
+        };
+
+        if (layer.timeContext !== this.timeContext) {
+          const timeContext = layer.timeContext;
+
+          desc.timeContext = {
+            start: timeContext.start,
+            duration: timeContext.duration,
+            offset: timeContext.offset,
+            stretchRatio: timeContext.stretchRatio,
+          };
+        }
+
+        return desc;
+      });
+    }
+
+    return {
+      offset: this.offset,
+      zoom: this.zoom,
+      pixelsPerSecond: this.pixelsPerSecond,
+      tracks: tracks,
+      layers: layers,
+    };
+  }
+
+  /**
+   * Restores a view state as returned by `getViewState`. Tracks and layers
+   * are matched by track id and group id, entries that do not match any
+   * existing track or layer are ignored, as well as missing fields (e.g. a
+   * state saved by a previous version). The tracks are reordered (in the
+   * `tracks` collection and in the DOM) and everything is updated.
+   *
+   * @param {Object|String} viewState - The view state, or its JSON
+   *    serialization.
+   */
+  setViewState(viewState) {
+    if (typeof viewState === 'string') {
+      viewState = JSON.parse(viewState);
+    }
+
+    const timeContext = this.timeContext;
+    // `pixelsPerSecond` must be set before `zoom` which depends on it
+    if (viewState.pixelsPerSecond !== undefined) {
+      timeContext.pixelsPerSecond = viewState.pixelsPerSecond;
+    }
+
+    if (viewState.zoom !== undefined) { timeContext.zoom = viewState.zoom; }
+    if (viewState.offset !== undefined) { timeContext.offset = viewState.offset; }
+
+    if (viewState.tracks) {
+      const orderedTracks = [];
+
+      viewState.tracks.forEach((desc) => {
+        const track = this.getTrackById(desc.id);
+        if (!track) { return; }
+
+        if (desc.height !== undefined) { track.height = desc.height; }
+        orderedTracks.push(track);
+      });
+
+      this._reorderTracks(orderedTracks);
+    }
+
+    if (viewState.layers) {
+      for (let groupId in viewState.layers) {
+        const group = this._groupedLayers[groupId];
+        if (!group) { continue; }
+
+        viewState.layers[groupId].forEach((desc, index) => {
+          const layer = group[index];
+          if (!layer) { return; }
+
+          if (desc.yDomain) { layer.yDomain = desc.yDomain.slice(0); }
+          if (desc.opacity !== undefined) { layer.opacity = desc.opacity; }
+
+          if (desc.timeContext && layer.timeContext !== this.timeContext) {
+            const layerTimeContext = layer.timeContext;
+            // `stretchRatio` first, as it rescales the duration
+            ['stretchRatio', 'start', 'duration', 'offset'].forEach((name) => {
+              const value = desc.timeContext[name];
+              if (value !== undefined) { layerTimeContext[name] = value; }
+            });
+          }
+        });
+      }
+    }
+
+    this.tracks.update();
+  }
+
+  /**
+   * Moves the given tracks to the beginning of the `tracks` collection, in
+   * the given order. The DOM containers of all the tracks are moved
+   * accordingly, each container taking the place in the document of the
+   * container of the track previously at the same index.
+   *
+   * @param {Array<Track>} orderedTracks
+   */
+  _reorderTracks(orderedTracks) {
+    const tracks = this.tracks;
+    const previousOrder = tracks.slice(0);
+    const newOrder = orderedTracks.concat(
+      previousOrder.filter((track) => orderedTracks.indexOf(track) === -1)
+    );
+
+    // keep the same `TrackCollection` reference
+    newOrder.forEach((track, index) => { tracks[index] = track; });
+
+    // containers must be in the DOM to be reordered
+    if (previousOrder.some((track) => !track.$el.parentNode)) { return; }
+
+    // replace each container with a placeholder in the DOM, then put
+    // the containers back in the new order
+    const placeholders = previousOrder.map((track) => {
+      const $placeholder = document.createComment('track');
+      track.$el.parentNode.replaceChild($placeholder, track.$el);
+      return $placeholder;
+    });
+
+    placeholders.forEach(($placeholder, index) => {
+      $placeholder.parentNode.replaceChild(newOrder[index].$el, $placeholder);
+    });
+  }
+
   /**
    * Iterates through the added tracks.
    */
@@ -14,12 +14,13 @@ export default class TrackCollection extends Array {
   }
 
   // @note - should be in the timeline ?
-  // @todo - allow to pass an array of layers
   _getLayersOrGroups(layerOrGroup = null) {
     let layers = null;
 
     if (typeof layerOrGroup === 'string') {
       layers = this._timeline.groupedLayers[layerOrGroup];
+    } else if (Array.isArray(layerOrGroup)) {
+      layers = layerOrGroup;
     } else if (layerOrGroup instanceof Layer) {
       layers = [layerOrGroup];
     } else {
@@ -29,20 +30,22 @@ export default class TrackCollection extends Array {
     return layers;
   }
 
-  // @NOTE keep this ?
-  // could prepare some vertical resizing ability
-  // this should be able to modify the layers yScale to be really usefull
-
   /**
-   * @type {Number} - Updates the height of all tracks at once.
-   * @todo - Propagate to layers, not usefull for now.
+   * @type {Number} - Updates the height of all tracks at once, the layers
+   *    of each track are laid out again (cf. `Track~height`).
    */
-/*
   set height(value) {
     this.forEach((track) => track.height = value);
   }
-*/
-    
+
+  /**
+   * @type {Number} - The height of the first track, `undefined` if no track
+   *    is registered.
+   */
+  get height() {
+    return this.length > 0 ? this[0].height : undefined;
+  }
+
   /**
    * An array of all registered layers.
    *
@@ -67,20 +70,22 @@ export default class TrackCollection extends Array {
    * Updates all tracks and layers. When done, the timeline triggers a
    * `update` event.
    *
-   * @param {Layer|String} layerOrGroup - Filter the layers to update by
-   *    passing the `Layer` instance to update or a `groupId`
+   * @param {Layer|String|Array<Layer>} layerOrGroup - Filter the layers to
+   *    update by passing the `Layer` instance(s) to update or a `groupId`
+   * @param {Array<Element>} [$items=null] - Filter the items of the layers
+   *    to update (e.g. the items of a layer being edited).
    */
-  update(layerOrGroup) {
+  update(layerOrGroup, $items = null) {
     const layers = this._getLayersOrGroups(layerOrGroup);
-    this.forEach((track) => track.update(layers));
+    this.forEach((track) => track.update(layers, $items));
     this._timeline.emit('update', layers);
   }
 
   /**
    * Updates all layers. When done, the timeline triggers a `update:layers` event.
    *
-   * @param {Layer|String} layerOrGroup - Filter the layers to update by
-   *    passing the `Layer` instance to update or a `groupId`
+   * @param {Layer|String|Array<Layer>} layerOrGroup - Filter the layers to
+   *    update by passing the `Layer` instance(s) to update or a `groupId`
    */
   updateLayers(layerOrGroup) {
     const layers = this._getLayersOrGroups(layerOrGroup);
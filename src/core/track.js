@@ -81,6 +81,7 @@ export default class Track {
      */
     this.renderingContext = null;
 
+    this._layerLayouts = new Map();
     this._createContainer();
   }
 
@@ -94,14 +95,73 @@ export default class Track {
   }
 
   /**
-   * Sets the height of the track.
+   * Sets the height of the track. The layers of the track are laid out
+   * again: a layer with a layout rule (cf. `setLayerLayout`) applies it,
+   * other layers keep their proportion of the track. The track and its
+   * layers must be updated afterward to reflect the change.
    *
-   * @todo propagate to layers, keeping ratio? could be handy for vertical
-   *    resize. This is why a set/get is implemented here.
    * @type {Number}
    */
   set height(value) {
+    const previous = this._height;
     this._height = value;
+
+    this.layers.forEach((layer) => this._layoutLayer(layer, previous));
+  }
+
+  /**
+   * Defines explicit `top` and `height` rules for a layer, to apply each
+   * time the height of the track changes. Each rule can be a number of
+   * pixels, a percentage of the height of the track (e.g. `'50%'`), or a
+   * function receiving the height of the track and returning a number of
+   * pixels. A missing rule keeps the proportion of the layer in the track.
+   *
+   * ```js
+   * // a scale on the whole track and a waveform below a 20px ruler
+   * track.setLayerLayout(scaleLayer, { top: 0, height: '100%' });
+   * track.setLayerLayout(waveformLayer, { top: 20, height: (h) => h - 20 });
+   * ```
+   *
+   * @param {Layer} layer - A layer of the track.
+   * @param {Object|null} rules - `{ top, height }`, `null` to remove the
+   *    rules of the layer.
+   */
+  setLayerLayout(layer, rules) {
+    if (rules === null) {
+      this._layerLayouts.delete(layer);
+    } else {
+      this._layerLayouts.set(layer, rules);
+      this._layoutLayer(layer, this._height);
+    }
+  }
+
+  /**
+   * Computes the `top` and `height` of a layer from its layout rules or
+   * from its proportion in the previous height of the track.
+   *
+   * @private
+   * @param {Layer} layer
+   * @param {Number} previousHeight - The height of the track before the change.
+   */
+  _layoutLayer(layer, previousHeight) {
+    const height = this._height;
+    const rules = this._layerLayouts.get(layer) || {};
+    const ratio = previousHeight > 0 ? height / previousHeight : 1;
+
+    const resolve = (rule, value) => {
+      if (rule === undefined || rule === null) {
+        return value * ratio;
+      } else if (typeof rule === 'function') {
+        return rule(height);
+      } else if (typeof rule === 'string' && /%$/.test(rule)) {
+        return parseFloat(rule) / 100 * height;
+      }
+
+      return parseFloat(rule);
+    };
+
+    layer.top = resolve(rules.top, layer.top);
+    layer.height = Math.max(resolve(rules.height, layer.height), 0);
   }
 
   /**
@@ -126,6 +186,7 @@ export default class Track {
     this.$el = null;
     this.renderingContext = null;
     this.layers.length = 0;
+    this._layerLayouts.clear();
   }
 
   /**
@@ -174,7 +235,6 @@ export default class Track {
    * @param {Layer} layer - the layer to add to the track.
    */
   add(layer) {
-    console.log(layer);
     this.layers.push(layer);
     // Create a default renderingContext for the layer if missing
     this.$layout.appendChild(layer.$el);
@@ -187,6 +247,7 @@ export default class Track {
    */
   remove(layer) {
     this.layers.splice(this.layers.indexOf(layer), 1);
+    this._layerLayouts.delete(layer);
     // Removes layer from its container
     this.$layout.removeChild(layer.$el);
   }
@@ -220,10 +281,12 @@ export default class Track {
    * Updates the track DOM structure and updates the layers.
    *
    * @param {Array<Layer>} [layers=null] - if not null, a subset of the layers to update.
+   * @param {Array<Element>} [$items=null] - if not null, a subset of the
+   *    items of the layers to update.
    */
-  update(layers = null) {
+  update(layers = null, $items = null) {
     this._updateContainer();
-    this.updateLayers(layers);
+    this.updateLayers(layers, $items);
   }
 
   /**
@@ -246,13 +309,15 @@ export default class Track {
    * Updates the layers.
    *
    * @param {Array<Layer>} [layers=null] - if not null, a subset of the layers to update.
+   * @param {Array<Element>} [$items=null] - if not null, a subset of the
+   *    items of the layers to update.
    */
-  updateLayers(layers = null) {
+  updateLayers(layers = null, $items = null) {
     layers = (layers === null) ? this.layers : layers;
 
     layers.forEach((layer) => {
       if (this.layers.indexOf(layer) === -1) { return; }
-      layer.update();
+      layer.update($items);
     });
   }
 
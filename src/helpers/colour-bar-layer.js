@@ -0,0 +1,101 @@
+import ColourBar from '../shapes/colour-bar';
+import colourMaps from '../utils/colour-maps';
+import Layer from '../core/layer';
+
+
+/**
+ * Helper to create a colour bar layer, the legend of the colour map of a
+ * `MatrixLayer` (cf. `followLayer`).
+ *
+ * ```js
+ * const colourBar = new ui.helpers.ColourBarLayer({ height: 200 });
+ * colourBar.followLayer(matrixLayer);
+ * timeline.addLayer(colourBar, 'main');
+ * ```
+ *
+ * [example usage](./examples/layer-matrix.html)
+ */
+export default class ColourBarLayer extends Layer {
+  /**
+   * @param {Object} options - An object to configure the layer.
+   * @param {String} [options.colourMap='greys'] - The name of a colour map
+   *    of `utils/colour-maps`.
+   * @param {Boolean} [options.invertColourMap=false] - Reverses the colour
+   *    map.
+   * @param {String} [options.side='right'] - The edge of the visible area
+   *    at which the bar is displayed, `'left'` or `'right'`.
+   * @param {Number} [options.offset=0] - The distance in pixels between the
+   *    bar and the edge.
+   * @param {Number} [options.width=12] - The width of the bar in pixels.
+   */
+  constructor(options = {}) {
+    const defaults = {
+      colourMap: 'greys',
+      invertColourMap: false,
+      side: 'right',
+      offset: 0,
+      width: 12,
+      textColor: '#000000',
+      hittable: false, // kind of pass through layer
+    };
+
+    const data = { };
+
+    options = Object.assign(defaults, options);
+    super('entity', data, options);
+
+    this.configureShape(ColourBar, { }, {
+      mapper: colourMaps.getMapper(options.colourMap, options.invertColourMap),
+      side: options.side,
+      offset: options.offset,
+      width: options.width,
+      textColor: options.textColor,
+    });
+
+    this._followedLayer = null;
+    this._onFollowedColourMapChange = (e) => {
+      this._setMapper(e.mapper);
+    };
+  }
+
+  /**
+   * Changes the displayed colour map.
+   *
+   * @param {String} colourMap - The name of a colour map of `utils/colour-maps`.
+   * @param {Boolean} [inverted=false] - Reverses the colour map.
+   */
+  setColourMap(colourMap, inverted = false) {
+    this.params.colourMap = colourMap;
+    this.params.invertColourMap = inverted;
+    this._setMapper(colourMaps.getMapper(colourMap, inverted));
+  }
+
+  /**
+   * Displays the colour map of a `MatrixLayer`, and follows its changes
+   * (cf. `MatrixLayer~setColourMap`).
+   *
+   * @param {MatrixLayer|null} layer - The layer to follow, `null` to stop
+   *    following the current one.
+   */
+  followLayer(layer) {
+    if (this._followedLayer) {
+      this._followedLayer.removeListener(
+        'change:colourMap', this._onFollowedColourMapChange);
+    }
+
+    this._followedLayer = layer;
+
+    if (layer) {
+      layer.on('change:colourMap', this._onFollowedColourMapChange);
+      // `null` for the default grey ramp of the matrix
+      this._setMapper(layer.mapper || null);
+    }
+  }
+
+  _setMapper(mapper) {
+    this._shapeConfiguration.options.mapper = mapper;
+    this._$itemShapeMap.forEach((shape) => shape.params.mapper = mapper);
+    // the layer may not be added to a track yet
+    if (this.timeContext) { this.update(); }
+  }
+}
@@ -3,7 +3,8 @@ import Cursor from '../shapes/cursor';
 
 
 /**
- * Helper to create a cursor layer.
+ * Helper to create a cursor layer. The cursor can be driven by a clock
+ * (e.g. a media element) with a `Playhead`.
  *
  * [example usage](./examples/layer-cursor.html)
  */
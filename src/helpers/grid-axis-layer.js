@@ -1,6 +1,7 @@
 import AxisLayer from '../axis/axis-layer';
 import Ticks from '../shapes/ticks';
 import gridAxisGenerator from '../axis/grid-axis-generator';
+import tempoAxisGenerator from '../axis/tempo-axis-generator';
 
 
 /**
@@ -11,15 +12,24 @@ import gridAxisGenerator from '../axis/grid-axis-generator';
 export default class GridAxisLayer extends AxisLayer {
   /**
    * @param {Object} options - An object to configure the layer.
+   * @param {Number} [options.bpm=60] - The tempo of the grid.
+   * @param {String} [options.signature='4/4'] - The meter of the grid.
+   * @param {TempoMap} [options.tempoMap=null] - A tempo map with tempo and
+   *    meter changes, replaces `bpm` and `signature` if defined.
    */
   constructor(options) {
     options = Object.assign({
       color: 'steelblue',
       bpm: 60,
-      signature: '4/4'
+      signature: '4/4',
+      tempoMap: null
     }, options);
 
-    super(gridAxisGenerator(options.bpm, options.signature), options);
+    const generator = options.tempoMap !== null ?
+      tempoAxisGenerator(options.tempoMap) :
+      gridAxisGenerator(options.bpm, options.signature);
+
+    super(generator, options);
 
     this.configureShape(Ticks, {}, {
       color: options.color
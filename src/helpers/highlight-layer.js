@@ -1,5 +1,6 @@
 import Layer from '../core/layer';
 import Crosshairs from '../shapes/crosshairs';
+import diagnostics from '../utils/diagnostics';
 
 /**
  * Helper to create a crosshair layer that highlights the value
@@ -32,9 +33,9 @@ export default class HighlightLayer extends Layer {
         if (pos !== this.lastDescribedPosition || this.lastDescription === null) {
           this.lastDescription = this.describing.describe(pos);
           this.lastDescribedPosition = pos;
-          console.log("requesting new description for cx = " + pos);
+          diagnostics.debug('update', () => `requesting new description for cx = ${pos}`);
         } else {
-          console.log("reusing last description");
+          diagnostics.debug('update', 'reusing last description');
         }
         return this.lastDescription;
       }
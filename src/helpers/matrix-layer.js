@@ -1,26 +1,85 @@
+import colourMaps from '../utils/colour-maps';
 import Layer from '../core/layer';
 import Matrix from '../shapes/matrix';
 
 const defaults = {
   normalise: 'none',
   gain: 1.0,
-  channel: 0
+  channel: 0,
+  colourMap: null,
+  invertColourMap: false,
 };
 
 /**
  * Helper to create a matrix layer.
+ *
+ * The layer emits a `'change:colourMap'` event (`{ colourMap, inverted,
+ * mapper }`) when its colour map is changed, allowing a `ColourBarLayer`
+ * to follow it.
  */
 export default class MatrixLayer extends Layer {
   /**
    * @param {AudioBuffer} buffer - The audio buffer to display.
    * @param {Object} options - An object to configure the layer.
+   * @param {String} [options.colourMap=null] - The name of a colour map of
+   *    `utils/colour-maps` (e.g. `'viridis'`), overrides the `mapper` option.
+   * @param {Boolean} [options.invertColourMap=false] - Reverses the colour
+   *    map.
    */
   constructor(matrixEntity, options) {
 
     options = Object.assign({}, defaults, options);
 
+    if (options.colourMap !== null) {
+      options.mapper = colourMaps.getMapper(options.colourMap, options.invertColourMap);
+    }
+
     super('entity', matrixEntity, options);
 
     this.configureShape(Matrix, {}, options);
   }
+
+  /**
+   * Changes the colour map of the layer, the displayed images are encoded
+   * again with the new colours.
+   *
+   * @param {String|Function} colourMap - The name of a colour map of
+   *    `utils/colour-maps`, or a mapper function (cf. `Matrix`).
+   * @param {Boolean} [inverted=false] - Reverses the colour map.
+   */
+  setColourMap(colourMap, inverted = false) {
+    let mapper;
+
+    if (typeof colourMap === 'function') {
+      // wrapped to keep the `signed` property off the caller's function
+      mapper = inverted ? (value) => colourMap(1 - value) : (value) => colourMap(value);
+      mapper.signed = !!colourMap.signed;
+    } else {
+      mapper = colourMaps.getMapper(colourMap, inverted);
+    }
+
+    this.params.colourMap = colourMap;
+    this.params.invertColourMap = inverted;
+    this.params.mapper = mapper;
+    // for the shapes not rendered yet
+    this._shapeConfiguration.options.mapper = mapper;
+
+    for (let [$item, shape] of this._$itemShapeMap.entries()) {
+      const cache = this._$itemDataMap.get($item);
+      shape.params.mapper = mapper;
+
+      if (this._cached && cache.levels) { shape.recolour(cache); }
+    }
+
+    this.emit('change:colourMap', { colourMap, inverted, mapper });
+  }
+
+  /**
+   * Returns the mapper function of the current colour map.
+   *
+   * @type {Function}
+   */
+  get mapper() {
+    return this.params.mapper;
+  }
 }
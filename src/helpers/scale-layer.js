@@ -3,19 +3,55 @@ import Scale from '../shapes/scale';
 
 
 /**
- * Helper to create a scale layer.
+ * Helper to create a scale layer. Several scale layers can be added to a
+ * track, each one following a layer (cf. `followLayer`):
+ *
+ * ```js
+ * const pitchScale = new ui.helpers.ScaleLayer({
+ *   side: 'left', title: 'pitch', formatter: ui.utils.format.noteName,
+ * });
+ * const energyScale = new ui.helpers.ScaleLayer({ side: 'right', unit: 'dB' });
+ *
+ * pitchScale.followLayer(pitchLayer);
+ * energyScale.followLayer(energyLayer);
+ * ```
  *
  * [example usage](./examples/layer-scale.html)
  */
 export default class ScaleLayer extends Layer {
   /**
    * @param {Object} options - An object to configure the layer.
+   * @param {String} [options.side='left'] - The edge of the visible area at
+   *    which the scale is displayed, `'left'` or `'right'`.
+   * @param {Number} [options.offset=0] - The distance in pixels between the
+   *    scale and the edge, to display several scales on the same side.
+   * @param {Number} [options.width=null] - The width of the scale in
+   *    pixels, computed from the labels if `null`.
+   * @param {String} [options.unit=''] - A unit added to the labels, e.g.
+   *    `'Hz'`.
+   * @param {String} [options.title=null] - A title displayed along the scale.
+   * @param {Number} [options.tickSpacing=10] - The approximate distance in
+   *    pixels between two ticks, the number of ticks depends on the height
+   *    of the layer.
+   * @param {Function} [options.formatter=null] - Returns the label of a
+   *    tick from its value, e.g. `format.frequency`.
+   * @param {Number} [options.fontSize=10] - Font size of the labels in pixels.
+   * @param {String} [options.fontFamily='monospace'] - Font of the labels.
    */
   constructor(options = {}) {
     const defaults = {
       background: '#ffffff',
       tickColor: 'red',
       textColor: 'red',
+      side: 'left',
+      offset: 0,
+      width: null,
+      unit: '',
+      title: null,
+      tickSpacing: 10,
+      formatter: null,
+      fontSize: 10,
+      fontFamily: 'monospace',
       hittable: false, // kind of pass through layer
     };
 
@@ -27,7 +63,46 @@ export default class ScaleLayer extends Layer {
     this.configureShape(Scale, { }, {
       background: options.background,
       tickColor: options.tickColor,
-      textColor: options.textColor
+      textColor: options.textColor,
+      side: options.side,
+      offset: options.offset,
+      width: options.width,
+      unit: options.unit,
+      title: options.title,
+      tickSpacing: options.tickSpacing,
+      formatter: options.formatter,
+      fontSize: options.fontSize,
+      fontFamily: options.fontFamily,
     });
+
+    this._followedLayer = null;
+    this._onFollowedYDomainChange = (e) => {
+      this.yDomain = e.yDomain.slice(0);
+      // the layer may not be added to a track yet
+      if (this.timeContext) { this.update(); }
+    };
+  }
+
+  /**
+   * Displays the scale of another layer: the scale layer uses the same kind
+   * of scale (e.g. `log`) and its `yDomain` is kept in sync with the one of
+   * the followed layer (e.g. when it is zoomed with the `VerticalZoomState`).
+   *
+   * @param {Layer|null} layer - The layer to follow, `null` to stop
+   *    following the current one.
+   */
+  followLayer(layer) {
+    if (this._followedLayer) {
+      this._followedLayer.removeListener(
+        'change:yDomain', this._onFollowedYDomainChange);
+    }
+
+    this._followedLayer = layer;
+
+    if (layer) {
+      layer.on('change:yDomain', this._onFollowedYDomainChange);
+      this.yDomain = layer.yDomain.slice(0);
+      this.valueToPixel = layer.valueToPixel.copy();
+    }
   }
 }
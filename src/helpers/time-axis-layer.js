@@ -10,11 +10,13 @@ import timeAxisGenerator from '../axis/time-axis-generator';
  */
 export default class TimeAxisLayer extends AxisLayer {
   /**
-   * @param {Object} options - An object to configure the layer.
+   * @param {Object} options - An object to configure the layer, the
+   *    `format`, `frameRate`, `sampleRate` and `tempoMap` options configure
+   *    the labels (cf. `timeAxisGenerator`).
    */
   constructor(options) {
     options = Object.assign({ color: 'steelblue' }, options);
-    super(timeAxisGenerator(), options);
+    super(timeAxisGenerator(options), options);
 
     this.configureShape(Ticks, {}, {
       color: options.color,
@@ -20,4 +20,13 @@ export default class EventSource extends events.EventEmitter {
   _createEvent(type, e) {}
 
   _bindEvents() {}
+
+  /**
+   * Removes the DOM listeners installed by `_bindEvents` and the listeners
+   * of the source. Should be extended by sources to remove their own DOM
+   * listeners.
+   */
+  destroy() {
+    this.removeAllListeners();
+  }
 }
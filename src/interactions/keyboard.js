@@ -3,26 +3,23 @@ import WaveEvent from './wave-event';
 
 
 /**
- * A global event sourve for the keyboard. Only one instance of this source
- * can be created. The first created timeline instanciate the singleton, each
- * subsequent instanciation returns the first created instance.
+ * An event source for the keyboard. The events are received from the given
+ * element, i.e. when it or one of its descendants has the focus (or from
+ * anywhere if the element is the `document`). A timeline creates one
+ * `Keyboard` instance per track container, so that the keyboard events are
+ * only delivered to the timeline that has the focus.
  */
 export default class Keyboard extends EventSource {
   /**
    * @param {Element} $el - The element on which to install the listener.
    */
   constructor($el) {
-    // kind of singleton
-    if (Keyboard._instance) { return Keyboard._instance; }
-
     super($el);
     /**
      * The name of the source
      * @type {String}
      */
     this.sourceName = 'keyboard';
-
-    Keyboard._instance = this;
   }
 
   _createEvent(type, e) {
@@ -50,5 +47,18 @@ export default class Keyboard extends EventSource {
 
     this.$el.addEventListener('keydown', onKeyDown, false);
     this.$el.addEventListener('keyup', onKeyUp, false);
+
+    this._listeners = { keydown: onKeyDown, keyup: onKeyUp };
+  }
+
+  /**
+   * Removes the listeners installed on the element.
+   */
+  destroy() {
+    for (let type in this._listeners) {
+      this.$el.removeEventListener(type, this._listeners[type], false);
+    }
+
+    super.destroy();
   }
 }
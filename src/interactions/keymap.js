@@ -0,0 +1,266 @@
+// order of the modifiers in the normalized chords
+const modifiers = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+// aliases accepted in the chords, mapped to the `key` of the events
+const keyAliases = {
+  space: ' ',
+  plus: '+',
+  del: 'Delete',
+  esc: 'Escape',
+  left: 'ArrowLeft',
+  right: 'ArrowRight',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+};
+
+// names of the keys that have no `key` (old browsers), by `keyCode`
+const keyCodes = {
+  8: 'Backspace', 13: 'Enter', 27: 'Escape', 32: ' ', 37: 'ArrowLeft',
+  38: 'ArrowUp', 39: 'ArrowRight', 40: 'ArrowDown', 46: 'Delete',
+};
+
+const defaultBindings = {
+  'Mod+Z': 'undo',
+  'Mod+Shift+Z': 'redo',
+  'Mod+Y': 'redo',
+  'G': 'zoomIn',
+  '+': 'zoomIn',
+  'H': 'zoomOut',
+  '-': 'zoomOut',
+  'Space': 'resetZoom',
+  'Delete': 'deleteSelection',
+  'Backspace': 'deleteSelection',
+  'Left': 'nudgeLeft',
+  'Shift+Left': 'nudgeLeft',
+  'Right': 'nudgeRight',
+  'Shift+Right': 'nudgeRight',
+  'Up': 'nudgeUp',
+  'Shift+Up': 'nudgeUp',
+  'Down': 'nudgeDown',
+  'Shift+Down': 'nudgeDown',
+  'Mod+A': 'selectAll',
+  'Mod+C': 'copy',
+  'Mod+X': 'cut',
+  'Mod+V': 'paste',
+};
+
+function normalizeKey(key) {
+  const alias = keyAliases[key.toLowerCase()];
+  if (alias) { key = alias; }
+
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// a printable character already includes the `shift` modifier ('+', '?')
+function isCharacter(key) {
+  return key.length === 1 && key.toUpperCase() === key.toLowerCase() && key !== ' ';
+}
+
+function serialize(mods, key) {
+  return modifiers
+    .filter((name) => mods[name])
+    .concat(key)
+    .join('+');
+}
+
+/**
+ * Parses a chord (e.g. `'Mod+Shift+Z'`) into its normalized forms, the `Mod`
+ * modifier being either `Ctrl` or `Meta` (`cmd` on OSX).
+ */
+function parse(chord) {
+  // the `+` key itself is given as a trailing `+` (e.g. `'Ctrl++'`)
+  const parts = chord.replace(/(^|\+)\+$/, '$1Plus').split('+');
+  const key = normalizeKey(parts.pop());
+  const mods = {};
+  let mod = false;
+
+  parts.forEach((part) => {
+    const name = part.charAt(0).toUpperCase() + part.slice(1).toLowerCase();
+
+    if (name === 'Mod') {
+      mod = true;
+    } else if (name === 'Cmd' || name === 'Meta') {
+      mods.Meta = true;
+    } else if (name === 'Control' || name === 'Ctrl') {
+      mods.Ctrl = true;
+    } else if (name === 'Alt' || name === 'Option') {
+      mods.Alt = true;
+    } else if (name === 'Shift') {
+      mods.Shift = true;
+    } else {
+      throw new Error(`Invalid modifier "${part}" in key chord "${chord}"`);
+    }
+  });
+
+  if (isCharacter(key)) { delete mods.Shift; }
+
+  if (!mod) { return [serialize(mods, key)]; }
+
+  return [
+    serialize(Object.assign({ Ctrl: true }, mods), key),
+    serialize(Object.assign({ Meta: true }, mods), key),
+  ];
+}
+
+/**
+ * Maps key chords to named commands. Each timeline owns a keymap (cf.
+ * `Timeline~keymap`): the `keydown` events matching a binding are
+ * transformed into commands given to the state (cf.
+ * `BaseState~handleCommand`), which keeps the states independant from the
+ * actual keys.
+ *
+ * A chord is a key, optionnaly prefixed with modifiers (`Ctrl`, `Alt`,
+ * `Shift`, `Meta` or `Cmd`, and `Mod` which means `Ctrl` or `Cmd`), e.g.
+ * `'Mod+Shift+Z'`. Keys are named after the `key` property of the keyboard
+ * events (`'A'`, `'Delete'`, `'ArrowLeft'`, ...), `Space`, `Left`, `Right`,
+ * `Up`, `Down`, `Del` and `Esc` are accepted as aliases.
+ *
+ * Default bindings:
+ *
+ * | Command           | Chords                             |
+ * |-------------------|------------------------------------|
+ * | `undo`            | `Mod+Z`                            |
+ * | `redo`            | `Mod+Shift+Z`, `Mod+Y`             |
+ * | `zoomIn`          | `G`, `+`                           |
+ * | `zoomOut`         | `H`, `-`                           |
+ * | `resetZoom`       | `Space`                            |
+ * | `deleteSelection` | `Delete`, `Backspace`              |
+ * | `nudgeLeft`, ...  | arrows, `Shift` + arrows (larger)  |
+ * | `selectAll`       | `Mod+A`                            |
+ * | `copy`            | `Mod+C`                            |
+ * | `cut`             | `Mod+X`                            |
+ * | `paste`           | `Mod+V`                            |
+ *
+ * ```js
+ * // play on space bar, reset the zoom on `0`
+ * timeline.keymap.bind('Space', 'togglePlay');
+ * timeline.keymap.bind('0', 'resetZoom');
+ * // help overlay
+ * timeline.keymap.getBindings(); // [{ chord: 'Mod+Z', command: 'undo' }, ...]
+ * ```
+ */
+export default class Keymap {
+  /**
+   * @param {Object} [bindings=null] - Commands by chord, replace the default
+   *    bindings if defined.
+   */
+  constructor(bindings = null) {
+    this._bindings = new Map(); // chord => { command, normalized }
+    this._commands = new Map(); // normalized chord => command
+
+    this.setBindings(bindings || defaultBindings);
+  }
+
+  /**
+   * The default bindings (commands by chord).
+   *
+   * @type {Object}
+   */
+  static get defaultBindings() {
+    return Object.assign({}, defaultBindings);
+  }
+
+  /**
+   * Binds a chord to a command, replacing the previous binding of the chord.
+   *
+   * @param {String} chord - e.g. `'Mod+Shift+Z'`
+   * @param {String} command - The name of the command.
+   */
+  bind(chord, command) {
+    this.unbind(chord);
+
+    const normalized = parse(chord);
+    normalized.forEach((key) => this._commands.set(key, command));
+    this._bindings.set(chord, { command, normalized });
+  }
+
+  /**
+   * Removes the binding of a chord, and of the chords matching the same
+   * keys (e.g. `'Ctrl+Z'` removes `'Mod+Z'`).
+   *
+   * @param {String} chord
+   */
+  unbind(chord) {
+    const normalized = parse(chord);
+
+    this._bindings.forEach((binding, boundChord) => {
+      const overlaps = binding.normalized.some((key) => normalized.indexOf(key) !== -1);
+      if (!overlaps) { return; }
+
+      binding.normalized.forEach((key) => this._commands.delete(key));
+      this._bindings.delete(boundChord);
+    });
+  }
+
+  /**
+   * Removes all the bindings of a command.
+   *
+   * @param {String} command
+   */
+  unbindCommand(command) {
+    this.getChords(command).forEach((chord) => this.unbind(chord));
+  }
+
+  /**
+   * Replaces all the bindings.
+   *
+   * @param {Object} bindings - Commands by chord.
+   */
+  setBindings(bindings) {
+    this._bindings.clear();
+    this._commands.clear();
+
+    for (let chord in bindings) {
+      this.bind(chord, bindings[chord]);
+    }
+  }
+
+  /**
+   * Returns the active bindings, e.g. to display a help overlay.
+   *
+   * @return {Array<Object>} - `{ chord, command }` objects.
+   */
+  getBindings() {
+    const bindings = [];
+    this._bindings.forEach(({ command }, chord) => bindings.push({ chord, command }));
+
+    return bindings;
+  }
+
+  /**
+   * Returns the chords bound to a command.
+   *
+   * @param {String} command
+   * @return {Array<String>}
+   */
+  getChords(command) {
+    return this.getBindings()
+      .filter((binding) => binding.command === command)
+      .map((binding) => binding.chord);
+  }
+
+  /**
+   * Returns the command bound to a keyboard event, `null` if none.
+   *
+   * @param {WaveEvent} e - A `keydown` event of a `Keyboard`.
+   * @return {String|null}
+   */
+  getCommand(e) {
+    const original = e.originalEvent || {};
+    let key = original.key || keyCodes[original.keyCode] || e.char;
+
+    if (!key) { return null; }
+
+    key = normalizeKey(key);
+
+    const mods = {
+      Ctrl: e.ctrlKey,
+      Alt: e.altKey,
+      Shift: e.shiftKey && !isCharacter(key),
+      Meta: e.metaKey,
+    };
+
+    const command = this._commands.get(serialize(mods, key));
+    return command !== undefined ? command : null;
+  }
+}
@@ -0,0 +1,253 @@
+import Surface from './surface';
+
+
+/**
+ * A `Surface` based on the pointer events, which normalizes the mouse, pen
+ * and touch interactions. The emitted events keep the names and the fields
+ * of the mouse events of `Surface` (`mousedown`, `mousemove`, `mouseup`,
+ * `click`, `dblclick`, `mouseover`, `mouseout` with `x`, `y`, `dx`, `dy` and
+ * `area`, and `wheel`), so the existing states work with any kind of pointer. The events
+ * also define the `pointerType` (`'mouse'`, `'pen'` or `'touch'`) and the
+ * `pointerId` of the original event.
+ *
+ * The pointer is captured by the container once it has moved more than
+ * `captureThreshold` pixels, so a drag goes on when the pointer leaves the
+ * track. A simple press is not captured, so the `click` that follows it
+ * keeps targeting the element under the pointer.
+ *
+ * When a second finger touches the surface, the current drag is ended (a
+ * `mouseup` is emitted) and the gesture is reported as a pinch:
+ * - `pinchstart`, `pinch`, `pinchend` - `x`, `y` are the position of the
+ *   center of the two pointers, `dx`, `dy` the move of the center since the
+ *   last event, and `scale` the ratio between the current distance of the
+ *   pointers and their distance at `pinchstart`.
+ *
+ * ```js
+ * timeline.configureSurface(ui.interactions.PointerSurface);
+ * // must be called before the creation of the tracks
+ * timeline.createTrack($track);
+ * ```
+ */
+export default class PointerSurface extends Surface {
+  constructor($el) {
+    super($el);
+
+    /**
+     * Distance in pixels a pointer must move before being captured.
+     * @type {Number}
+     */
+    this.captureThreshold = 3;
+
+    this._pointers = new Map(); // pointerId => { x, y }
+    this._downPositions = new Map(); // pointerId => { x, y }
+    this._pinchStartDistance = null;
+    this._lastPinchEvent = null;
+  }
+
+  _createEvent(type, e) {
+    const event = super._createEvent(type, e);
+
+    event.pointerType = e.pointerType || 'mouse';
+    event.pointerId = e.pointerId;
+
+    return event;
+  }
+
+  /**
+   * Returns the center and the distance of the two first active pointers.
+   */
+  _getPinchGeometry() {
+    const [a, b] = [...this._pointers.values()];
+    const x = (a.x + b.x) / 2;
+    const y = (a.y + b.y) / 2;
+    const distance = Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+
+    return { x, y, distance };
+  }
+
+  /**
+   * Captures the pointer if it moved far enough from its initial position.
+   */
+  _capture(e, pos) {
+    const down = this._downPositions.get(e.pointerId);
+
+    if (!down || !this.$el.setPointerCapture) { return; }
+
+    const distance = Math.sqrt(Math.pow(pos.x - down.x, 2) + Math.pow(pos.y - down.y, 2));
+
+    if (distance > this.captureThreshold) {
+      this._downPositions.delete(e.pointerId);
+      this.$el.setPointerCapture(e.pointerId);
+    }
+  }
+
+  _createPinchEvent(type, e) {
+    const event = this._createEvent(type, e);
+    const { x, y, distance } = this._getPinchGeometry();
+
+    event.x = x;
+    event.y = y;
+    event.dx = this._lastPinchEvent ? x - this._lastPinchEvent.x : 0;
+    event.dy = this._lastPinchEvent ? y - this._lastPinchEvent.y : 0;
+    event.scale = this._pinchStartDistance ?
+      distance / this._pinchStartDistance : 1;
+
+    return event;
+  }
+
+  _bindEvents() {
+    const onPointerDown = (e) => {
+      // only the main button of a mouse starts a drag
+      if (e.pointerType === 'mouse' && e.button !== 0) { return; }
+
+      const event = this._createEvent('mousedown', e);
+      this._pointers.set(e.pointerId, { x: event.x, y: event.y });
+      this._downPositions.set(e.pointerId, { x: event.x, y: event.y });
+
+      if (this._pointers.size === 1) {
+        window.getSelection().removeAllRanges();
+
+        this._mouseDownEvent = event;
+        this._lastEvent = event;
+
+        this.emit('event', event);
+      } else if (this._pointers.size === 2) {
+        // end the current drag before starting the pinch
+        if (this._mouseDownEvent !== null) {
+          const mouseUpEvent = this._createEvent('mouseup', e);
+          const first = this._pointers.get(this._mouseDownEvent.pointerId);
+
+          if (first) {
+            mouseUpEvent.x = first.x;
+            mouseUpEvent.y = first.y;
+          }
+
+          this._defineArea(mouseUpEvent, this._mouseDownEvent, this._lastEvent);
+          this._mouseDownEvent = null;
+          this._lastEvent = null;
+
+          this.emit('event', mouseUpEvent);
+        }
+
+        this._pinchStartDistance = this._getPinchGeometry().distance;
+        const pinchEvent = this._createPinchEvent('pinchstart', e);
+        this._lastPinchEvent = pinchEvent;
+
+        this.emit('event', pinchEvent);
+      }
+    };
+
+    const onPointerMove = (e) => {
+      if (!this._pointers.has(e.pointerId)) { return; }
+
+      const pos = this._getRelativePosition(e);
+      this._pointers.set(e.pointerId, pos);
+      this._capture(e, pos);
+
+      if (this._pinchStartDistance !== null) {
+        const pinchEvent = this._createPinchEvent('pinch', e);
+        this._lastPinchEvent = pinchEvent;
+
+        this.emit('event', pinchEvent);
+      } else if (this._mouseDownEvent !== null) {
+        const event = this._createEvent('mousemove', e);
+        this._defineArea(event, this._mouseDownEvent, this._lastEvent);
+        this._lastEvent = event;
+
+        this.emit('event', event);
+      }
+    };
+
+    const onPointerUp = (e) => {
+      if (!this._pointers.has(e.pointerId)) { return; }
+
+      if (this._pinchStartDistance !== null) {
+        const pinchEvent = this._createPinchEvent('pinchend', e);
+        this.emit('event', pinchEvent);
+
+        this._pinchStartDistance = null;
+        this._lastPinchEvent = null;
+      } else if (this._mouseDownEvent !== null) {
+        const event = this._createEvent('mouseup', e);
+        this._defineArea(event, this._mouseDownEvent, this._lastEvent);
+
+        this._mouseDownEvent = null;
+        this._lastEvent = null;
+
+        this.emit('event', event);
+      }
+
+      // the remaining pointer of a pinch does not start a new drag
+      this._pointers.delete(e.pointerId);
+      this._downPositions.delete(e.pointerId);
+
+      if (this.$el.releasePointerCapture && this.$el.hasPointerCapture &&
+          this.$el.hasPointerCapture(e.pointerId)) {
+        this.$el.releasePointerCapture(e.pointerId);
+      }
+    };
+
+    const onClick = (e) => {
+      let event = this._createEvent('click', e);
+      this.emit('event', event);
+    };
+
+    const onDblClick = (e) => {
+      let event = this._createEvent('dblclick', e);
+      this.emit('event', event);
+    };
+
+    const onPointerOver = (e) => {
+      let event = this._createEvent('mouseover', e);
+      this.emit('event', event);
+    };
+
+    const onPointerOut = (e) => {
+      let event = this._createEvent('mouseout', e);
+      this.emit('event', event);
+    };
+
+    const onWheel = (e) => {
+      let event = this._createWheelEvent(e);
+      this.emit('event', event);
+    };
+
+    // Bind callbacks
+    this._listeners = {
+      pointerdown: onPointerDown,
+      pointermove: onPointerMove,
+      pointerup: onPointerUp,
+      pointercancel: onPointerUp,
+      click: onClick,
+      dblclick: onDblClick,
+      pointerover: onPointerOver,
+      pointerout: onPointerOut,
+      wheel: onWheel,
+    };
+
+    for (let type in this._listeners) {
+      this.$el.addEventListener(type, this._listeners[type], false);
+    }
+
+    // the pointer is captured by the element, nothing to listen on window
+    this._windowListeners = {};
+
+    // prevent the browser from scrolling or zooming the page on touch
+    this._touchAction = this.$el.style.touchAction || '';
+    this.$el.style.touchAction = 'none';
+  }
+
+  /**
+   * Removes the listeners and restores the `touch-action` of the element.
+   */
+  destroy() {
+    this.$el.style.touchAction = this._touchAction;
+
+    this._pointers.clear();
+    this._downPositions.clear();
+    this._pinchStartDistance = null;
+    this._lastPinchEvent = null;
+
+    super.destroy();
+  }
+}
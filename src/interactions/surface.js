@@ -2,10 +2,21 @@ import EventSource from './event-source';
 import WaveEvent from './wave-event';
 
 
+// size in pixels of a line and of a page when the `deltaMode` of a wheel
+// event is not in pixels
+const LINE_HEIGHT = 16;
+const DEFAULT_PAGE_SIZE = 800;
+
 /**
  * Normalizes mouse user interactions with the timeline upon the DOM
  * container element of `Track` instances. As soon as a `track` is added to a
  * `timeline`, its attached `Surface` instance will emit the mouse events.
+ *
+ * The wheel and trackpad scrolls are emitted as `wheel` events, with the
+ * `deltaX` and `deltaY` of the original event normalized in pixels whatever
+ * its `deltaMode`, and the state of the modifier keys (`shiftKey`,
+ * `ctrlKey`, `altKey`, `metaKey`). Note that the trackpads pinch gestures
+ * are reported by the browsers as wheel events with `ctrlKey` set.
  */
 export default class Surface extends EventSource {
   /**
@@ -33,6 +44,8 @@ export default class Surface extends EventSource {
     const pos = this._getRelativePosition(e);
     event.x = pos.x;
     event.y = pos.y;
+    // the element in which `x` and `y` are defined (the track container)
+    event.$container = this.$el;
 
     return event;
   }
@@ -69,6 +82,34 @@ export default class Surface extends EventSource {
     return { x, y };
   }
 
+  /**
+   * Factory method for the `wheel` events.
+   *
+   * @param {WheelEvent} e - Raw event from listener.
+   * @return {WaveEvent}
+   */
+  _createWheelEvent(e) {
+    const event = this._createEvent('wheel', e);
+    let unitX = 1;
+    let unitY = 1;
+
+    if (e.deltaMode === 1) { // lines
+      unitX = unitY = LINE_HEIGHT;
+    } else if (e.deltaMode === 2) { // pages
+      unitX = this.$el.clientWidth || DEFAULT_PAGE_SIZE;
+      unitY = this.$el.clientHeight || DEFAULT_PAGE_SIZE;
+    }
+
+    event.deltaX = (e.deltaX || 0) * unitX;
+    event.deltaY = (e.deltaY || 0) * unitY;
+    event.shiftKey = e.shiftKey;
+    event.ctrlKey = e.ctrlKey;
+    event.altKey = e.altKey;
+    event.metaKey = e.metaKey;
+
+    return event;
+  }
+
   _defineArea(e, mouseDownEvent, lastEvent) {
     if (!mouseDownEvent || !lastEvent) { return; }
     e.dx = e.x - lastEvent.x;
@@ -146,11 +187,44 @@ export default class Surface extends EventSource {
       this.emit('event', event);
     };
 
+    const onWheel = (e) => {
+      let event = this._createWheelEvent(e);
+      this.emit('event', event);
+    };
+
     // Bind callbacks
-    this.$el.addEventListener('mousedown', onMouseDown, false);
-    this.$el.addEventListener('click', onClick, false);
-    this.$el.addEventListener('dblclick', onDblClick, false);
-    this.$el.addEventListener('mouseover', onMouseOver, false);
-    this.$el.addEventListener('mouseout', onMouseOut, false);
+    this._listeners = {
+      mousedown: onMouseDown,
+      click: onClick,
+      dblclick: onDblClick,
+      mouseover: onMouseOver,
+      mouseout: onMouseOut,
+      wheel: onWheel,
+    };
+
+    for (let type in this._listeners) {
+      this.$el.addEventListener(type, this._listeners[type], false);
+    }
+
+    this._windowListeners = { mousemove: onMouseMove, mouseup: onMouseUp };
+  }
+
+  /**
+   * Removes all the listeners installed on the element and on the window
+   * (if destroyed during a drag).
+   */
+  destroy() {
+    for (let type in this._listeners) {
+      this.$el.removeEventListener(type, this._listeners[type], false);
+    }
+
+    for (let type in this._windowListeners) {
+      window.removeEventListener(type, this._windowListeners[type], false);
+    }
+
+    this._mouseDownEvent = null;
+    this._lastEvent = null;
+
+    super.destroy();
   }
 }
@@ -105,6 +105,17 @@ export default class BaseShape {
     for (let key in accessors) { this[key] = accessors[key]; }
   }
 
+  /**
+   * Returns the names of the accessors of the shape (e.g. `['x', 'width',
+   * ...]` for a `Segment`), which describe a datum independently of its
+   * actual structure (cf. `Clipboard`).
+   *
+   * @return {Array<String>}
+   */
+  getAccessorNames() {
+    return Object.keys(this._accessors);
+  }
+
   /**
    * Generic method to create accessors. Adds getters en setters to the
    * prototype if not already present.
@@ -200,6 +211,51 @@ export default class BaseShape {
    */
   inArea(renderingContext, datum, x1, y1, x2, y2) {}
 
+  /**
+   * Interface method called by `Layer~getItemFromPosition`. Defines if the
+   * shape is located at the given point, from the geometry of the datum only
+   * (i.e. without relying on the DOM). Arguments are passed in pixel domain,
+   * in the coordinate system of the layer (y axis pointing up). The default
+   * implementation tests `inArea` against a square of `2 * tolerance` pixels
+   * around the point.
+   *
+   * @param {Object} renderingContext - the renderingContext of the layer which
+   *    owns this shape.
+   * @param {Object|Array} datum - The datum associated to the shape.
+   * @param {Number} x - The x component of the point to test.
+   * @param {Number} y - The y component of the point to test.
+   * @param {Number} [tolerance=2] - The distance (in pixels) under which the
+   *    point is considered on the shape.
+   * @return {Boolean}
+   */
+  hitTest(renderingContext, datum, x, y, tolerance = 2) {
+    const x1 = x - tolerance;
+    const x2 = x + tolerance;
+    const y1 = y - tolerance;
+    const y2 = y + tolerance;
+
+    return !!this.inArea(renderingContext, datum, x1, y1, x2, y2);
+  }
+
+  /**
+   * Interface method that returns the times (in the time coordinate of the
+   * layer) of the boundaries of the shape, used as snapping targets when
+   * editing other items (cf. `Snapper`). Returns no boundary by default.
+   *
+   * @param {Object} datum - The datum associated to the shape.
+   * @return {Array<Number>}
+   */
+  getTimeBoundaries(datum) { return []; }
+
+  /**
+   * Interface method that returns the names of the accessors giving the
+   * position of the shape in time, to be shifted when the shape is moved to
+   * another time (e.g. pasted). Durations must not be included.
+   *
+   * @return {Array<String>}
+   */
+  getTimeAccessors() { return []; }
+
   /**
    * Interface method that returns a value or description for salient
    * features of the shape at the given x-coordinate (in time).
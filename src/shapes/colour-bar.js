@@ -0,0 +1,140 @@
+import BaseShape from './base-shape';
+import colourMaps from '../utils/colour-maps';
+import ns from '../core/namespace';
+
+const greys = colourMaps.getMapper('greys');
+
+
+/**
+ * A shape to display the legend of a colour map: a vertical bar showing
+ * the colours of the normalised values of a `Matrix` (from `0` at the bottom
+ * to `1` at the top, from `-1` for the signed maps), at the left or right
+ * edge of the visible area of the layer (cf. `ColourBarLayer`).
+ *
+ * [example usage](./examples/layer-matrix.html)
+ */
+export default class ColourBar extends BaseShape {
+  getClassName() { return 'colour-bar'; }
+
+  _getDefaults() {
+    return {
+      mapper: null,
+      side: 'right',
+      offset: 0,
+      width: 12,
+      steps: 64,
+      textColor: '#000000',
+      fontSize: 10,
+      fontFamily: 'monospace',
+      opacity: 1,
+    };
+  }
+
+  render(renderingContext) {
+    if (this.$el) { return this.$el; }
+
+    this.$el = document.createElementNS(this.ns, 'g');
+    this.$el.style.opacity = this.params.opacity;
+
+    this.$bar = document.createElementNS(ns, 'g');
+    this.$el.appendChild(this.$bar);
+
+    this.$border = document.createElementNS(ns, 'rect');
+    this.$border.setAttributeNS(null, 'fill', 'none');
+    this.$border.setAttributeNS(null, 'stroke-width', '0.7');
+    this.$border.style.stroke = this.params.textColor;
+    this.$el.appendChild(this.$border);
+
+    this.$rects = [];
+    this.$labels = [];
+
+    return this.$el;
+  }
+
+  /**
+   * Returns the mapper displayed by the bar, the grey ramp of `Matrix` if
+   * the `mapper` parameter is `null`.
+   *
+   * @return {Function}
+   */
+  getMapper() {
+    return this.params.mapper || greys;
+  }
+
+  update(renderingContext, datum) {
+    const h = renderingContext.height;
+    const w = renderingContext.visibleWidth;
+    const mapper = this.getMapper();
+
+    if (this.lastMapper === mapper && this.lastH === h && this.lastW === w) {
+      return;
+    }
+
+    this.lastMapper = mapper;
+    this.lastH = h;
+    this.lastW = w;
+
+    const { side, offset, width, steps, fontSize } = this.params;
+    const labelWidth = 3 * fontSize * 0.65 + 6;
+    // the labels are at the inner side of the bar
+    const left = side === 'right' ? w - offset - width : offset;
+    const lx = side === 'right' ? left - labelWidth : left + width + 4;
+
+    this.$rects.forEach(($rect) => this.$bar.removeChild($rect));
+    this.$labels.forEach(($label) => this.$el.removeChild($label));
+    this.$rects = [];
+    this.$labels = [];
+
+    for (let i = 0; i < steps; i++) {
+      const [r, g, b] = mapper((i + 0.5) / steps).map((c) => {
+        return Math.round(Math.min(Math.max(c, 0), 1) * 255);
+      });
+
+      const $rect = document.createElementNS(ns, 'rect');
+      $rect.setAttributeNS(null, 'x', left);
+      $rect.setAttributeNS(null, 'y', i * h / steps);
+      $rect.setAttributeNS(null, 'width', width);
+      // overlap to avoid gaps between the rects
+      $rect.setAttributeNS(null, 'height', h / steps + 0.5);
+      $rect.setAttributeNS(null, 'fill', `rgb(${r}, ${g}, ${b})`);
+
+      this.$rects.push($rect);
+      this.$bar.appendChild($rect);
+    }
+
+    this.$border.setAttributeNS(null, 'x', left);
+    this.$border.setAttributeNS(null, 'y', 0);
+    this.$border.setAttributeNS(null, 'width', width);
+    this.$border.setAttributeNS(null, 'height', h);
+
+    const labels = mapper.signed ?
+      [['-1', 0], ['0', 0.5], ['1', 1]] :
+      [['0', 0], ['0.5', 0.5], ['1', 1]];
+
+    labels.forEach(([text, position]) => {
+      // keep the labels inside the layer
+      const ly = Math.min(Math.max(h - position * h + fontSize / 3, fontSize), h - 2);
+
+      const $label = document.createElementNS(this.ns, 'text');
+      $label.classList.add('label');
+      $label.style.fontSize = `${fontSize}px`;
+      $label.style.fontFamily = this.params.fontFamily;
+      $label.style.fill = this.params.textColor;
+      $label.style.mozUserSelect = 'none';
+      $label.style.webkitUserSelect = 'none';
+      $label.style.userSelect = 'none';
+      $label.setAttributeNS(null, 'transform', `matrix(1, 0, 0, -1, ${lx}, ${h})`);
+      $label.setAttributeNS(null, 'y', ly);
+      $label.appendChild(document.createTextNode(text));
+
+      this.$labels.push($label);
+      this.$el.appendChild($label);
+    });
+  }
+
+  /**
+   * The colour bar cannot be selected.
+   * @return {Boolean} false
+   */
+  inArea() { return false; }
+}
@@ -1,4 +1,5 @@
 import BaseShape from './base-shape';
+import diagnostics from '../utils/diagnostics';
 import ns from '../core/namespace';
 
 
@@ -58,9 +59,8 @@ export default class Crosshairs extends BaseShape {
   }
 
   update(renderingContext, datum) {
+    diagnostics.debug('update', () => `crosshairs update: datum = ${datum}`);
 
-    console.log("crosshairs update: datum = " + datum);
-    
     const cx = this.cx(datum);
     const cy = this.cy(datum);
 
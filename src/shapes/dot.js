@@ -53,4 +53,20 @@ export default class Dot extends BaseShape {
 
     return false;
   }
+
+  getTimeBoundaries(datum) {
+    return [this.cx(datum)];
+  }
+
+  getTimeAccessors() {
+    return ['cx'];
+  }
+
+  hitTest(renderingContext, datum, x, y, tolerance = 2) {
+    const cx = renderingContext.timeToPixel(this.cx(datum));
+    const cy = renderingContext.valueToPixel(this.cy(datum));
+    const r = this.r(datum) + tolerance;
+
+    return (x - cx) * (x - cx) + (y - cy) * (y - cy) <= r * r;
+  }
 }
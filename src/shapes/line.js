@@ -1,4 +1,5 @@
 import BaseShape from './base-shape';
+import diagnostics from '../utils/diagnostics';
 
 /**
  * A shape to display a line. Its main use is as common shape to create a
@@ -69,12 +70,12 @@ export default class Line extends BaseShape {
   
   update(renderingContext, data) { // data array is sorted already
     
-    const before = performance.now();
+    const before = diagnostics.now();
 
     const minX = Math.floor(renderingContext.minX);
     const maxX = Math.ceil(renderingContext.maxX);
 
-    console.log("minX = " + minX + ", maxX = " + maxX);
+    diagnostics.debug('update', () => `line update: minX = ${minX}, maxX = ${maxX}`);
     
     let instructions = [];
     const n = data.length;
@@ -108,7 +109,7 @@ export default class Line extends BaseShape {
       }
     }          
 
-    console.log("line instructions have " + instructions.length + " elements");
+    diagnostics.debug('update', () => `line instructions have ${instructions.length} elements`);
 
     const instructionStr = 'M' + instructions.join('L');
     this.$el.setAttributeNS(null, 'd', instructionStr);
@@ -117,8 +118,7 @@ export default class Line extends BaseShape {
     this.$el.style.strokeWidth = 2;
     this.$el.style.fill = 'none';
 
-    const after = performance.now();
-    console.log("line update time = " + Math.round(after - before));
+    diagnostics.time('update', 'line update time', before);
     
     data = null;
   }
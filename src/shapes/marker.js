@@ -26,8 +26,6 @@ export default class Marker extends BaseShape {
   render(renderingContext) {
     if (this.$el) { return this.$el; }
 
-    console.log("marker render");
-    
     const height = renderingContext.height;
 
     this.$el = document.createElementNS(this.ns, 'g');
@@ -79,8 +77,6 @@ export default class Marker extends BaseShape {
     if (this.params.displayHandlers) {
       this.$handler.style.fill = color;
     }
-    
-    const after = performance.now();
   }
 
   inArea(renderingContext, datum, x1, y1, x2, y2) {
@@ -97,4 +93,23 @@ export default class Marker extends BaseShape {
 
     return area > 0;
   }
+
+  getTimeBoundaries(datum) {
+    return [this.x(datum)];
+  }
+
+  getTimeAccessors() {
+    return ['x'];
+  }
+
+  hitTest(renderingContext, datum, x, y, tolerance = 2) {
+    const markerX = renderingContext.timeToPixel(this.x(datum));
+
+    // the line, on the whole height of the layer
+    if (Math.abs(x - markerX) <= tolerance && y >= 0 && y <= renderingContext.height) {
+      return true;
+    }
+
+    return super.hitTest(renderingContext, datum, x, y, tolerance);
+  }
 }
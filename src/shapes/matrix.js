@@ -1,11 +1,17 @@
 
 import BaseShape from './base-shape';
+import diagnostics from '../utils/diagnostics';
 import TimelineTimeContext from '../core/timeline-time-context';
 import LayerTimeContext from '../core/layer-time-context';
 import PNGEncoder from '../utils/png.js';
 
 const xhtmlNS = 'http://www.w3.org/1999/xhtml';
 
+// the debug message of an encached tile, built only if it is logged
+function tileMessage(index, resource, width, height) {
+  return () => `image ${index}: length ${resource.length} (dimensions ${width} x ${height})`;
+}
+
 export default class Matrix extends BaseShape {
 
   getClassName() {
@@ -25,7 +31,9 @@ export default class Matrix extends BaseShape {
         // The mapper accepts a value, which is guaranteed to be in
         // the range [0,1], and returns r, g, b components which are
         // also in the range [0,1]. This example mapper just returns a
-        // grey level.
+        // grey level. A mapper with a `signed` property set to true
+        // receives the values of [-1,1] rescaled to [0,1] (cf.
+        // `utils/colour-maps`).
         let level = 1.0 - value;
         return [ level, level, level ];
       }),
@@ -36,14 +44,13 @@ export default class Matrix extends BaseShape {
   }
 
   render(renderingCtx) {
-    console.log("matrix render called");
     if (this.$el) { return this.$el; }
     this.$el = document.createElementNS(this.ns, 'g');
     if (!this.params.smoothing) {
       // for Chrome
       this.$el.setAttributeNS(null, 'image-rendering', 'pixelated');
     }
-    console.log("matrix render returning");
+    diagnostics.debug('render', 'matrix rendered');
     return this.$el;
   }
 
@@ -102,11 +109,72 @@ export default class Matrix extends BaseShape {
     });
   }      
   
-  encache(matrixEntity) {
+  // colours of the 256 levels of the palette, according to the mapper,
+  // `signedLevels` telling if the levels quantize [-1,1] or [0,1]
+  _getColours(signedLevels) {
+    const mapper = this.params.mapper;
+    const colours = [];
+
+    for (let level = 0; level < 256; ++level) {
+      let value = signedLevels ? level / 255 * 2 - 1 : level / 255;
+      if (mapper.signed) value = (value + 1) / 2;
+      if (value < 0) value = 0;
+      let [ r, g, b ] = mapper(value);
+      if (r < 0) r = 0;
+      if (r > 1) r = 1;
+      if (g < 0) g = 0;
+      if (g > 1) g = 1;
+      if (b < 0) b = 0;
+      if (b > 1) b = 1;
+      colours.push([ Math.round(r * 255), Math.round(g * 255), Math.round(b * 255) ]);
+    }
+
+    return colours;
+  }
 
-    const before = performance.now();
+  _encodeTile(p, tileLevels, colours) {
+    const height = p.height;
 
-    console.log("matrix cache called");
+    for (let i = 0; i < p.width; ++i) {
+      for (let y = 0; y < height; ++y) {
+        const [ r, g, b ] = colours[tileLevels[i * height + y]];
+        p.buffer[p.index(i, y)] = p.color(r, g, b, 255);
+      }
+    }
+
+    return 'data:image/png;base64,' + p.getBase64();
+  }
+
+  /**
+   * Encodes again the images of a cache (cf. `encache`) with the current
+   * `mapper`, e.g. when the colour map of the layer is changed. The images
+   * already displayed are updated. If the values have been quantized for
+   * an unsigned mapper, the negative values are lost for a signed one (and
+   * inversely, half of the levels are lost).
+   *
+   * @param {Object} cache - The cache returned by `encache`.
+   */
+  recolour(cache) {
+    const before = diagnostics.now();
+    const colours = this._getColours(cache.signed);
+
+    for (let i = 0; i < cache.levels.length; ++i) {
+      // a new encoder to start from an empty palette
+      const p = new PNGEncoder(cache.tileWidths[i], cache.height, 256);
+      const resource = this._encodeTile(p, cache.levels[i], colours);
+      cache.resources[i] = resource;
+
+      if (cache.elements[i]) {
+        cache.elements[i].setAttributeNS('http://www.w3.org/1999/xlink', 'href', resource);
+      }
+    }
+
+    diagnostics.time('encache', 'matrix recolour time', before);
+  }
+
+  encache(matrixEntity) {
+
+    const before = diagnostics.now();
 
     const height = matrixEntity.getColumnHeight();
     const totalWidth = matrixEntity.getColumnCount();
@@ -119,13 +187,12 @@ export default class Matrix extends BaseShape {
     const maxPixels = Math.floor((this.params.maxDataUriLength * 3) / 4 - 1530);
     let tileWidth = Math.floor(maxPixels / height);
     if (tileWidth < 1) {
-      console.log("WARNING: Matrix shape tile width of " + tileWidth +
-                  " calculated for height " + height +
-                  ", using 1 instead: this may exceed maxDataUriLength of " +
-                  this.params.maxDataUriLength);
+      diagnostics.warn('encache', () => `Matrix shape tile width of ${tileWidth} ` +
+        `calculated for height ${height}, using 1 instead: this may exceed ` +
+        `maxDataUriLength of ${this.params.maxDataUriLength}`);
       tileWidth = 1;
     }
-    console.log("totalWidth = " + totalWidth + ", tileWidth = " + tileWidth);
+    diagnostics.debug('encache', () => `matrix encache: totalWidth = ${totalWidth}, tileWidth = ${tileWidth}`);
 
     let resources = [];
     let widths = [];
@@ -153,6 +220,10 @@ export default class Matrix extends BaseShape {
       return n;
     });
 
+    const signed = !!this.params.mapper.signed;
+    const colours = this._getColours(signed);
+    let levels = [];
+
     const usualWidth = tileWidth;
     const usualEncoder = new PNGEncoder(usualWidth, height, 256);
     
@@ -167,6 +238,9 @@ export default class Matrix extends BaseShape {
                usualEncoder :
                new PNGEncoder(w, height, 256));
 
+      // the quantized values are kept to change the colours later
+      const tileLevels = new Uint8Array(w * height);
+
       for (let i = 0; i < w; ++i) {
 
 	const x = x0 + i;
@@ -176,43 +250,31 @@ export default class Matrix extends BaseShape {
 	for (let y = 0; y < height; ++y) {
           let value = col[y];
           // The value must be in the range [0,1] to pass to the
-          // mapper. We also quantize the range, as the PNG encoder
-          // uses a 256-level palette.
+          // mapper (from [-1,1] for the signed mappers). We also
+          // quantize the range, as the PNG encoder uses a 256-level
+          // palette.
+          if (signed) value = (value + 1) / 2;
           if (value < 0) value = 0;
           if (value > 1) value = 1;
-          value = Math.round(value * 255) / 255;
-          let [ r, g, b ] = this.params.mapper(value);
-          if (r < 0) r = 0;
-          if (r > 1) r = 1;
-          if (g < 0) g = 0;
-          if (g > 1) g = 1;
-          if (b < 0) b = 0;
-          if (b > 1) b = 1;
-          const colour = p.color(Math.round(r * 255),
-                                 Math.round(g * 255),
-                                 Math.round(b * 255),
-                                 255);
-          const index = p.index(i, y);
-	  p.buffer[index] = colour;
+          tileLevels[i * height + y] = Math.round(value * 255);
 	}
       }
 
-      const resource = 'data:image/png;base64,' + p.getBase64();
+      const resource = this._encodeTile(p, tileLevels, colours);
       resources.push(resource);
       widths.push(w);
+      levels.push(tileLevels);
 
-      console.log("image " + resources.length + ": length " + resource.length +
-		  " (dimensions " + w + " x " + height + ")");
+      diagnostics.debug('encache', tileMessage(resources.length, resource, w, height));
     }
 
-    console.log("drawing complete");
+    diagnostics.time('encache', 'matrix cache time', before);
 
-    const after = performance.now();
-    console.log("matrix cache time = " + Math.round(after - before));
-    
     return {
       resources: resources,
       tileWidths: widths,
+      levels: levels,
+      signed: signed,
       totalWidth: totalWidth,
       height: height,
       startTime: matrixEntity.getStartTime(),
@@ -223,19 +285,17 @@ export default class Matrix extends BaseShape {
   
   update(renderingContext, cache) {
 
-    const before = performance.now();
-
-    console.log("matrix update called");
+    const before = diagnostics.now();
 
     if (!cache.totalWidth || !cache.height ||
 	!renderingContext.width || !renderingContext.height) {
-      console.log("nothing to update");
+      diagnostics.debug('update', 'matrix update: nothing to update');
       return;
     }
 
     if (cache.elements.length === 0) {
-      console.log("About to add " + cache.resources.length +
-		  " image resources to SVG...");
+      diagnostics.debug('update', () => `matrix update: adding ` +
+        `${cache.resources.length} image resources`);
       for (let i = 0; i < cache.resources.length; ++i) {
 	const resource = cache.resources[i];
 	const elt = document.createElementNS(this.ns, 'image');
@@ -249,11 +309,8 @@ export default class Matrix extends BaseShape {
 	this.$el.appendChild(elt);
 	cache.elements.push(elt);
       }
-      console.log("Done that");
     }
 
-    console.log("Render width = " + renderingContext.width);
-
     let startX = renderingContext.timeToPixel(cache.startTime);
     const drawnWidth = renderingContext.width - startX;
     let widthScaleFactor = drawnWidth / cache.totalWidth;
@@ -284,7 +341,6 @@ export default class Matrix extends BaseShape {
       widthAccumulated += tileWidth;
     }
     
-    const after = performance.now();
-    console.log("matrix update time = " + Math.round(after - before));
+    diagnostics.time('update', 'matrix update time', before);
   }
 }
@@ -1,12 +1,19 @@
 import BaseShape from './base-shape';
+import diagnostics from '../utils/diagnostics';
 import ns from '../core/namespace';
 import ScaleTickIntervals from '../utils/scale-tick-intervals';
 
 
 /**
- * A shape to display a vertical scale at the left edge of the visible
- * area of the layer. Scale values are taken from the yDomain of the
- * layer.
+ * A shape to display a vertical scale at the left or right edge of the
+ * visible area of the layer. Scale values are taken from the yDomain of the
+ * layer, the ticks match the kind of its `valueToPixel` scale (e.g. `log`,
+ * cf. `ScaleTickIntervals~fromScale`).
+ *
+ * Several scales can be displayed side by side in a track (e.g. for layers
+ * with different yDomains) by giving them a fixed `width` and different
+ * `offset`s, or by placing them on both sides (cf. `ScaleLayer` for the
+ * options).
  *
  * [example usage](./examples/layer-scale.html)
  */
@@ -18,7 +25,16 @@ export default class Scale extends BaseShape {
       background: '#ffffff',
       tickColor: '#000000',
       textColor: '#000000',
-      opacity: 1
+      opacity: 1,
+      side: 'left',
+      offset: 0,
+      width: null,
+      unit: '',
+      title: null,
+      tickSpacing: 10,
+      formatter: null,
+      fontSize: 10,
+      fontFamily: 'monospace',
     };
   }
 
@@ -45,74 +61,111 @@ export default class Scale extends BaseShape {
     return this.$el;
   }
 
-  update(renderingContext, datum) {
+  /**
+   * Returns the ticks of the scale, `{ value, label }` objects.
+   *
+   * @param {Object} renderingContext
+   * @return {Array<Object>}
+   */
+  getTicks(renderingContext) {
+    const { tickSpacing, formatter, unit } = this.params;
+    const n = Math.max(1, Math.round(renderingContext.height / tickSpacing));
+    const ticks = (new ScaleTickIntervals()).fromScale(renderingContext.valueToPixel, n);
+
+    return ticks.map(({ value, label }) => {
+      if (formatter !== null) { label = formatter(value); }
+      if (unit) { label = `${label} ${unit}`; }
 
-    console.log("scale update");
+      return { value, label };
+    });
+  }
 
+  update(renderingContext, datum) {
     const h = renderingContext.height;
+    const w = renderingContext.visibleWidth;
     const cy0 = renderingContext.valueToPixel.domain()[0];
     const cy1 = renderingContext.valueToPixel.domain()[1];
 
     if (typeof(this.lastCy0) !== 'undefined') {
       if (this.lastCy0 === cy0 &&
 	  this.lastCy1 === cy1 &&
-	  this.lastH === h) {
-	console.log("scale unchanged");
+	  this.lastH === h &&
+	  this.lastW === w &&
+	  this.lastScale === renderingContext.valueToPixel) {
 	return;
       }
     }
     this.lastCy0 = cy0;
     this.lastCy1 = cy1;
     this.lastH = h;
-    
-    console.log("cy0 = " + cy0);
-    console.log("cy1 = " + cy1);
+    this.lastW = w;
+    this.lastScale = renderingContext.valueToPixel;
+
+    diagnostics.debug('update', () => `scale update: cy0 = ${cy0}, cy1 = ${cy1}`);
 
     for (let i = 0; i < this.$labels.length; ++i) {
       this.$el.removeChild(this.$labels[i]);
     }
     this.$labels = [];
 
-    const ticks = (new ScaleTickIntervals()).linear(cy0, cy1, 10);
+    const { side, offset, title, fontSize } = this.params;
+    const ticks = this.getTicks(renderingContext);
 
     let maxLength = ticks.reduce((acc, t) => Math.max(acc, t.label.length), 0);
-    
-    let scaleWidth = maxLength * 6.5 + 12;
 
+    const titleWidth = title ? fontSize + 4 : 0;
+    let scaleWidth = this.params.width !== null ?
+      this.params.width : maxLength * fontSize * 0.65 + 12 + titleWidth;
+
+    // left edge of the scale and x of the axis line
+    const left = side === 'right' ? w - offset - scaleWidth : offset;
+    const axis = side === 'right' ? left : left + scaleWidth;
+    // the ticks point towards the labels
+    const direction = side === 'right' ? 1 : -1;
+
+    this.$bg.setAttributeNS(null, 'x', left);
     this.$bg.setAttributeNS(null, 'width', scaleWidth);
     this.$bg.setAttributeNS(null, 'height', h);
-    
-    let path = `M${scaleWidth},0L${scaleWidth},${h}`;
 
-    const addLabel = ((text, x, y) => {
-    
+    let path = `M${axis},0L${axis},${h}`;
+
+    const addLabel = ((text, matrix, y) => {
+
       const $label = document.createElementNS(this.ns, 'text');
       $label.classList.add('label');
-      $label.style.fontSize = '10px';
-      $label.style.lineHeight = '10px';
-      $label.style.fontFamily = 'monospace';
+      $label.style.fontSize = `${fontSize}px`;
+      $label.style.lineHeight = `${fontSize}px`;
+      $label.style.fontFamily = this.params.fontFamily;
       $label.style.fill = this.params.textColor;
       $label.style.opacity = this.params.opacity;
       $label.style.mozUserSelect = 'none';
       $label.style.webkitUserSelect = 'none';
       $label.style.userSelect = 'none';
-      
-      $label.setAttributeNS(
-	null, 'transform', `matrix(1, 0, 0, -1, ${x}, ${h})`
-      );
-      
+
+      $label.setAttributeNS(null, 'transform', `matrix(${matrix.join(', ')})`);
+
       $label.setAttributeNS(null, 'y', y);
       const $text = document.createTextNode(text);
       $label.appendChild($text);
 
       this.$labels.push($label);
       this.$el.appendChild($label);
+      return $label;
     });
 
-    const lx = 2;
-    
+    // the title is at the outer side of the labels
+    const lx = side === 'right' ? axis + 10 : left + titleWidth + 2;
+
+    if (title) {
+      const tx = side === 'right' ? left + scaleWidth - 4 : left + fontSize;
+      // rotated to be read from bottom to top
+      const $title = addLabel(title, [0, 1, 1, 0, tx, h / 2], 0);
+      $title.classList.add('title');
+      $title.setAttributeNS(null, 'text-anchor', 'middle');
+    }
+
     let prevy = h + 2;
-    
+
     for (let i = 0; i < ticks.length; ++i) {
 
       let y = renderingContext.valueToPixel(ticks[i].value);
@@ -120,20 +173,17 @@ export default class Scale extends BaseShape {
       let ly = h - y + 3;
 
       let showText = true;
-      if (ly > h - 8 || ly < 8 || ly > prevy - 20) {
+      if (ly > h - 8 || ly < 8 || ly > prevy - 2 * fontSize) {
 	// not enough space
 	showText = false;
       }
 
-      if (!showText) {
-	
-	path = path + `M${scaleWidth-5},${y}L${scaleWidth},${y}`;
-
-      } else {
+      const length = showText ? 8 : 5;
+      path = path + `M${axis + direction * length},${y}L${axis},${y}`;
 
-	path = path + `M${scaleWidth-8},${y}L${scaleWidth},${y}`;
+      if (showText) {
 	prevy = ly;
-	addLabel(ticks[i].label, lx, ly);
+	addLabel(ticks[i].label, [1, 0, 0, -1, lx, h], ly);
       }
     }
 
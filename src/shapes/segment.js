@@ -22,6 +22,15 @@ export default class Segment extends BaseShape {
     };
   }
 
+  getTimeBoundaries(datum) {
+    const x = this.x(datum);
+    return [x, x + this.width(datum)];
+  }
+
+  getTimeAccessors() {
+    return ['x'];
+  }
+
   render(renderingContext) {
     if (this.$el) { return this.$el; }
 
@@ -74,7 +83,8 @@ export default class Segment extends BaseShape {
     const width = renderingContext.timeToPixel(this.x(datum) +
                                                this.width(datum)) - x;
 
-    const height = renderingContext.valueToPixel(this.height(datum));
+    const height = renderingContext.valueToPixel(this.y(datum) +
+                                                 this.height(datum)) - y;
 
     this.$segment.setAttributeNS(null, 'x', x);
     this.$segment.setAttributeNS(null, 'y', y);
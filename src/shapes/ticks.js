@@ -1,4 +1,5 @@
 import BaseShape from './base-shape';
+import diagnostics from '../utils/diagnostics';
 
 /**
  * Kind of Marker for entity oriented data. Useful to display a grid.
@@ -36,7 +37,7 @@ export default class Ticks extends BaseShape {
 
   update(renderingContext, data) {
 
-    const before = performance.now();
+    const before = diagnostics.now();
 
     while (this.$el.firstChild) {
       this.$el.removeChild(this.$el.firstChild);
@@ -181,7 +182,6 @@ export default class Ticks extends BaseShape {
     const d = instructions.join('');
     ticks.setAttributeNS(null, 'd', d);
 
-    const after = performance.now();
-    console.log("ticks update time = " + Math.round(after - before) + "ms");
+    diagnostics.time('update', 'ticks update time', before);
   }
 }
@@ -73,10 +73,10 @@ export default class TraceDots extends BaseShape {
 
   inArea(renderingContext, datum, x1, y1, x2, y2) {
     const x = renderingContext.timeToPixel(this.x(datum));
-    const mean = renderingContext.valueToPixel(this.mean(datum));
-    const range = renderingContext.valueToPixel(this.range(datum));
-    const min = mean - (range / 2);
-    const max = mean + (range / 2);
+    const mean = this.mean(datum);
+    const halfRange = this.range(datum) / 2;
+    const min = renderingContext.valueToPixel(mean - halfRange);
+    const max = renderingContext.valueToPixel(mean + halfRange);
 
     if (x > x1 && x < x2 && (min > y1 || max < y2)) {
       return true;
@@ -1,4 +1,5 @@
 import BaseShape from './base-shape';
+import diagnostics from '../utils/diagnostics';
 import Oversampler from '../utils/oversample';
 
 const xhtmlNS = 'http://www.w3.org/1999/xhtml';
@@ -42,8 +43,6 @@ export default class Waveform extends BaseShape {
 
   encache(samples) {
 
-    console.log("waveform encache called");
-
     // The cache is an array of peak caches (holding the min and max
     // values within each block for a given block size) with each peak
     // cache represented as an object with blockSize, min array, and
@@ -66,7 +65,7 @@ export default class Waveform extends BaseShape {
     // size at the moment, but it's useful to record that block size
     // in the cache rather than have to fix it here in the shape.
 
-    const before = performance.now();
+    const before = diagnostics.now();
 
     const peakCacheFor = ((arr, blockSize) => {
     
@@ -102,7 +101,9 @@ export default class Waveform extends BaseShape {
     
     const blockSize = this.params.peakCacheBlockSize;
     let [ peaks, troughs ] = peakCacheFor(samples, blockSize);
-    
+
+    diagnostics.time('encache', 'waveform cache time', before);
+
     return {
       samples,
       peakCaches: [
@@ -116,7 +117,7 @@ export default class Waveform extends BaseShape {
   
   summarise(cache, minX, maxX, pixelToSample) {
 
-    const before = performance.now();
+    const before = diagnostics.now();
 
     const samples = cache.samples;
     
@@ -194,16 +195,12 @@ export default class Waveform extends BaseShape {
       minMax.push([px, min, max]);
     }
 
-    const after = performance.now();
-    console.log("waveform summarisation time = " + Math.round(after - before));
-    
+    diagnostics.time('update', 'waveform summarisation time', before);
+
     return minMax;
   }
 
   _updateSummarising(renderingContext, cache, pixelToSample) {
-
-    console.log("waveform updateSummarising");
-    
     const minX = renderingContext.minX;
     const maxX = renderingContext.maxX;
     
@@ -225,9 +222,6 @@ export default class Waveform extends BaseShape {
   }
 
   _updateInterpolating(renderingContext, cache, pixelToSample, sampleToPixel) {
-
-    console.log("waveform updateInterpolating");
-    
     const minX = renderingContext.minX;
     const maxX = renderingContext.maxX;
 
@@ -237,7 +231,8 @@ export default class Waveform extends BaseShape {
     const samples = cache.samples;
     const n = samples.length;
 
-    console.log("minX = " + minX + ", maxX = " + maxX + ", s0 = " + s0 + ", s1 = " + s1);
+    diagnostics.debug('update', () => `waveform interpolation: minX = ${minX}, ` +
+      `maxX = ${maxX}, s0 = ${s0}, s1 = ${s1}`);
 
     let instructions = [];
 
@@ -276,9 +271,7 @@ export default class Waveform extends BaseShape {
   
   update(renderingContext, cache) {
 
-    console.log("waveform update called");
-    
-    const before = performance.now();
+    const before = diagnostics.now();
 
     const sampleRate = this.params.sampleRate;
     const minX = renderingContext.minX;
@@ -288,7 +281,8 @@ export default class Waveform extends BaseShape {
 
     const snapToCacheBoundaries = (step >= this.params.peakCacheBlockSize * 2);
     
-    console.log("waveform update: pixel step = " + step + " samples, snapToCacheBoundaries = " + snapToCacheBoundaries);
+    diagnostics.debug('update', () => `waveform update: pixel step = ${step} ` +
+      `samples, snapToCacheBoundaries = ${snapToCacheBoundaries}`);
 
     const pixelToSampleSnapped = (pixel => {
       return this.params.peakCacheBlockSize *
@@ -315,7 +309,6 @@ export default class Waveform extends BaseShape {
 				pixelToSample, sampleToPixel);
     }
 
-    const after = performance.now();
-    console.log("waveform update time = " + Math.round(after - before));
+    diagnostics.time('update', 'waveform update time', before);
   }
 }
@@ -61,4 +61,18 @@ export default class BaseState {
    * event).
    */
   handleEvent(e, hitLayers) {}
+
+  /**
+   * Interface method to override to react to the commands of the timeline's
+   * `Keymap` (e.g. `'zoomIn'`, `'deleteSelection'`), triggered by the
+   * keyboard. A consumed command is not given to `handleEvent` as a
+   * `keydown` event.
+   *
+   * @param {String} command - The name of the command.
+   * @param {WaveEvent} e - The `keydown` event that triggered the command.
+   * @return {Boolean} - `true` if the command has been consumed.
+   */
+  handleCommand(command, e) {
+    return false;
+  }
 }
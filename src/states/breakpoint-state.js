@@ -38,12 +38,16 @@ export default class BreakpointState extends BaseState {
     // keep target consistent with mouse down
     this.currentTarget = e.target;
     let updatedLayer = null;
+    let dataChange = null;
+    // creation, deletion and the following drag are a single command
+    const history = this.timeline.history;
+    history.begin('edit');
 
     const layers = hitLayers;
 
     layers.forEach((layer) => {
       layer.unselect();
-      const item = layer.getItemFromDOMElement(e.target);
+      const item = layer.getItemFromPosition(e.x, e.y);
 
       if (item === null) {
         // create an item
@@ -51,6 +55,8 @@ export default class BreakpointState extends BaseState {
         const value = layer.valueToPixel.invert(layer.params.height - e.y);
         const datum = this.datumGenerator(time, value);
 
+        history.recordData(layer.data);
+        dataChange = { previous: layer.data.slice(0), datums: [datum], removed: [] };
         layer.data.push(datum);
         updatedLayer = layer;
       } else {
@@ -58,6 +64,8 @@ export default class BreakpointState extends BaseState {
         if (e.originalEvent.shiftKey) {
           const data = layer.data;
           const datum = layer.getDatumFromItem(item);
+          history.recordData(data);
+          dataChange = { previous: data.slice(0), datums: [], removed: [datum] };
           data.splice(data.indexOf(datum), 1);
 
           updatedLayer = layer;
@@ -71,6 +79,10 @@ export default class BreakpointState extends BaseState {
     if (updatedLayer) {
       this.timeline.tracks.render(updatedLayer);
       this.timeline.tracks.update(updatedLayer);
+
+      dataChange.items = dataChange.datums
+        .map((datum) => updatedLayer.getItemFromDatum(datum));
+      updatedLayer.emit('change:data', dataChange);
     }
   }
 
@@ -84,11 +96,12 @@ export default class BreakpointState extends BaseState {
       layer.edit(item, e.dx, e.dy, this.currentTarget);
     });
 
-    layer.update(items);
+    this.timeline.scheduler.update(layer, items);
   }
 
   onMouseUp(e) {
     this.currentEditedLayer = null;
     this.mouseDown = false;
+    this.timeline.history.end();
   }
 }
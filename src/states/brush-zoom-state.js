@@ -1,17 +1,27 @@
 import ns from '../core/namespace';
 import BaseState from './base-state';
+import CenteredZoomState from './centered-zoom-state';
 
 
 /**
- * Protools like zoom with zone selection. Press space bar to reset zoom.
+ * Protools like zoom with zone selection. Handles the `resetZoom` (space
+ * bar), `zoomIn` (`g`) and `zoomOut` (`h`) commands of the keymap.
  *
  * [example usage](./examples/states-zoom.html)
- *
- * @todo - could also handle `g` and `h` keys to zoom-in, zoom-out.
  */
 export default class BrushZoomState extends BaseState {
   constructor(timeline) {
     super(timeline);
+
+    const { minZoom, maxZoom } =
+      CenteredZoomState.getZoomLimits(this.timeline.timeContext);
+
+    this.maxZoom = maxZoom;
+    this.minZoom = minZoom;
+  }
+
+  _clampZoom(zoom) {
+    return Math.min(Math.max(zoom, this.minZoom), this.maxZoom);
   }
 
   handleEvent(e) {
@@ -25,10 +35,33 @@ export default class BrushZoomState extends BaseState {
       case 'mouseup':
         this.onMouseUp(e);
         break;
-      case 'keydown':
-        this.onKeyDown(e);
+    }
+  }
+
+  handleCommand(command, e) {
+    const timeline = this.timeline;
+
+    switch (command) {
+      case 'resetZoom':
+        timeline.offset = 0;
+        timeline.zoom = 1;
+        break;
+      case 'zoomIn':
+      case 'zoomOut': {
+        // zoom around the center of the visible area
+        const factor = command === 'zoomIn' ? 2 : 0.5;
+        const centerTime = timeline.visibleDuration / 2 - timeline.offset;
+
+        timeline.zoom = this._clampZoom(timeline.zoom * factor);
+        timeline.offset = timeline.visibleDuration / 2 - centerTime;
         break;
+      }
+      default:
+        return false;
     }
+
+    this.tracks.update();
+    return true;
   }
 
   onMouseDown(e) {
@@ -83,17 +116,8 @@ export default class BrushZoomState extends BaseState {
     const zoom = this.timeline.visibleDuration / deltaDuration;
 
     this.timeline.offset -= minTime;
-    this.timeline.zoom *= zoom;
+    this.timeline.zoom = this._clampZoom(this.timeline.zoom * zoom);
 
     this.tracks.update();
   }
-
-  onKeyDown(e) {
-    // reset on space bar
-    if (e.originalEvent.keyCode === 32) {
-      this.timeline.offset = 0;
-      this.timeline.zoom = 1;
-      this.tracks.update();
-    }
-  }
 }
@@ -1,5 +1,6 @@
-import scales from '../utils/scales';
 import BaseState from './base-state';
+import diagnostics from '../utils/diagnostics';
+import scales from '../utils/scales';
 
 
 /**
@@ -9,18 +10,37 @@ import BaseState from './base-state';
  * - moving left to move in time, after
  * - moving right to move in time, before
  *
+ * On touch devices (cf. `PointerSurface`), pinching zooms around the center
+ * of the two fingers, and moving them moves in time.
+ *
  * [example usage](./examples/states-zoom.html)
  */
 export default class CenteredZoomState extends BaseState {
   constructor(timeline) {
     super(timeline);
     this.currentLayer = null;
-    // Set max/min zoom
-    // maxZoom: 1px per sample
-    // minZoom: 10 000 px per 1 hour
-    // with a default to 44.1kHz sample rate
-    this.maxZoom = 44100 * 16 / this.timeline.timeContext.pixelsPerSecond;
-    this.minZoom = 10000 / 3600 / this.timeline.timeContext.pixelsPerSecond;
+
+    const { minZoom, maxZoom } =
+      CenteredZoomState.getZoomLimits(this.timeline.timeContext);
+
+    this.maxZoom = maxZoom;
+    this.minZoom = minZoom;
+  }
+
+  /**
+   * Returns the default zoom limits of the zoom states for a time context:
+   * - maxZoom: 16px per sample
+   * - minZoom: 10 000 px per 1 hour
+   *
+   * @param {TimelineTimeContext} timeContext
+   * @param {Number} [sampleRate=44100]
+   * @return {Object} - `{ minZoom, maxZoom }`
+   */
+  static getZoomLimits(timeContext, sampleRate = 44100) {
+    return {
+      minZoom: 10000 / 3600 / timeContext.pixelsPerSecond,
+      maxZoom: sampleRate * 16 / timeContext.pixelsPerSecond,
+    };
   }
 
   handleEvent(e) {
@@ -34,6 +54,12 @@ export default class CenteredZoomState extends BaseState {
       case 'mouseup':
         this.onMouseUp(e);
         break;
+      case 'pinchstart':
+        this.onPinchStart(e);
+        break;
+      case 'pinch':
+        this.onPinch(e);
+        break;
     }
   }
 
@@ -115,19 +141,11 @@ export default class CenteredZoomState extends BaseState {
     // regardless of drag mode -- even if we're only intending to drag
     // vertically (i.e. zooming), we still want to ensure the point
     // under the mouse doesn't wander off
-    const timeMovedTo =
-          timeContext.timeToPixel(this.initialCenterTime +
-                                  timeContext.offset);
-    
-    const delta = e.x - timeMovedTo;
-    const deltaTime = timeContext.timeToPixel.invert(delta);
-
-    if (deltaTime !== 0) {
-      timeContext.offset += deltaTime;
+    if (this._keepCenterTimeAt(e.x)) {
       changed = true;
     }
 
-    console.log("mouse move: time context offset is now " + timeContext.offset);
+    diagnostics.debug('interaction', () => `centered zoom: offset is now ${timeContext.offset}`);
     
     // Other possible experiments with centered-zoom-state
     //
@@ -143,11 +161,65 @@ export default class CenteredZoomState extends BaseState {
     // }
 
     if (changed) {
-      this.timeline.tracks.update();
+      this.timeline.scheduler.update();
     }
   }
 
   onMouseUp(e) {
     this.dragMode = 'unresolved';
   }
+
+  onPinchStart(e) {
+    this.initialOffset = this.timeline.timeContext.offset;
+    this.initialCenterTime =
+      this.timeline.timeContext.timeToPixel.invert(e.x) - this.initialOffset;
+    this.initialZoom = this.timeline.timeContext.zoom;
+  }
+
+  onPinch(e) {
+    e.originalEvent.preventDefault();
+
+    const timeContext = this.timeline.timeContext;
+    const targetZoom = this.initialZoom * e.scale;
+    const clampedZoom = Math.min(Math.max(targetZoom, this.minZoom),
+                                 this.maxZoom);
+    let changed = false;
+
+    if (timeContext.zoom !== clampedZoom) {
+      timeContext.zoom = clampedZoom;
+      changed = true;
+    }
+
+    // the time initially under the center of the fingers follows the center
+    if (this._keepCenterTimeAt(e.x)) {
+      changed = true;
+    }
+
+    if (changed) {
+      this.timeline.scheduler.update();
+    }
+  }
+
+  /**
+   * Moves the offset so that `initialCenterTime` is displayed at `x`.
+   *
+   * @param {Number} x - Position in pixels.
+   * @return {Boolean} - `true` if the offset has changed.
+   */
+  _keepCenterTimeAt(x) {
+    const timeContext = this.timeline.timeContext;
+    const timeMovedTo =
+          timeContext.timeToPixel(this.initialCenterTime +
+                                  timeContext.offset);
+
+    const delta = x - timeMovedTo;
+    const deltaTime = timeContext.timeToPixel.invert(delta);
+
+    if (deltaTime !== 0) {
+      timeContext.offset += deltaTime;
+      return true;
+    }
+
+    return false;
+  }
 }
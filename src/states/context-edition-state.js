@@ -29,10 +29,12 @@ export default class ContextEditionState extends BaseState {
   onMouseDown(e) {
     this.mouseDown = true;
     this.currentTarget = e.target;
+    // the whole drag is recorded as a single command
+    this.timeline.history.begin('editContext');
 
     for (let i = 0, l = this.layers.length; i < l; i++) {
       const layer = this.layers[i];
-      if (layer.hasElement(e.target)) {
+      if (layer.hitTest(e.x, e.y)) {
         this.currentLayer = layer;
         break;
       }
@@ -52,12 +54,13 @@ export default class ContextEditionState extends BaseState {
       layer.stretchContext(e.dx, e.dy, target);
     }
 
-    this.timeline.tracks.update(layer);
+    this.timeline.scheduler.update(layer);
   }
 
   onMouseUp(e) {
     this.mouseDown = false;
     this.currentTarget = null;
     this.currentLayer = null;
+    this.timeline.history.end();
   }
 }
@@ -0,0 +1,206 @@
+import BaseState from './base-state';
+
+
+/**
+ * Base class of the states creating and deleting the items of the layers
+ * rendering a given kind of shape (cf. `SegmentCreationState` and
+ * `MarkerCreationState`). Clicking an item selects it (`shift` toggles the
+ * selection) and dragging edits the selected items, the `deleteSelection`
+ * command of the keymap (`Delete` / `Backspace`) removes the selected items.
+ * Other layers are ignored.
+ *
+ * The new datums are given by a `datumGenerator(time, value)` callback, as
+ * in the `BreakpointState`, `time` being in the time of the layer and
+ * `value` in its `yDomain`.
+ */
+export default class CreationState extends BaseState {
+  /**
+   * @param {Timeline} timeline - The timeline on which the state is installed.
+   * @param {Function} datumGenerator - Returns a new datum from a time and
+   *    a value.
+   * @param {BaseShape} shapeCtor - The constructor of the shape of the
+   *    handled layers (subclasses of the shape are accepted).
+   */
+  constructor(timeline, datumGenerator, shapeCtor) {
+    super(timeline);
+
+    this.datumGenerator = datumGenerator;
+    this.shapeCtor = shapeCtor;
+    this.currentEditedLayer = null;
+    this.currentTarget = null;
+  }
+
+  enter() {}
+  exit() {}
+
+  handleEvent(e, hitLayers) {
+    const layers = hitLayers ?
+      hitLayers.filter((layer) => this.acceptsLayer(layer)) : [];
+
+    switch (e.type) {
+      case 'mousedown':
+        this.onMouseDown(e, layers);
+        break;
+      case 'mousemove':
+        this.onMouseMove(e, layers);
+        break;
+      case 'mouseup':
+        this.onMouseUp(e, layers);
+        break;
+      case 'dblclick':
+        this.onDblClick(e, layers);
+        break;
+    }
+  }
+
+  handleCommand(command, e) {
+    if (command !== 'deleteSelection') { return false; }
+
+    const layers = this.layers.filter((layer) => {
+      return this.acceptsLayer(layer) && layer.selectedItems.length > 0;
+    });
+
+    if (!layers.length) { return false; }
+
+    const history = this.timeline.history;
+    history.begin('delete');
+
+    layers.forEach((layer) => {
+      const data = layer.data;
+      const removed = layer.selectedItems
+        .map(($item) => layer.getDatumFromItem($item));
+
+      history.recordData(data);
+      const previous = data.slice(0);
+      removed.forEach((datum) => data.splice(data.indexOf(datum), 1));
+
+      this.timeline.tracks.render(layer);
+      this.timeline.tracks.update(layer);
+      layer.emit('change:data', { items: [], datums: [], removed, previous });
+    });
+
+    history.end();
+    return true;
+  }
+
+  /**
+   * Tests if the items of a layer are handled by the state.
+   *
+   * @param {Layer} layer
+   * @return {Boolean}
+   */
+  acceptsLayer(layer) {
+    return layer.dataType === 'collection' &&
+      layer.getShape() instanceof this.shapeCtor;
+  }
+
+  onMouseDown(e, layers) {
+    this.mouseDown = true;
+    // keep target consistent with mouse down
+    this.currentTarget = e.target;
+    // creation and the following drag are a single command
+    this.timeline.history.begin('edit');
+
+    const shiftKey = e.originalEvent.shiftKey;
+
+    layers.forEach((layer) => {
+      const item = layer.getItemFromPosition(e.x, e.y);
+
+      if (!shiftKey) { layer.unselect(); }
+      if (item === null) { return; }
+
+      if (shiftKey) {
+        layer.toggleSelection(item);
+      } else {
+        layer.select(item);
+      }
+
+      this.currentEditedLayer = layer;
+    });
+  }
+
+  onMouseMove(e, layers) {
+    if (!this.mouseDown || !this.currentEditedLayer) { return; }
+
+    const layer = this.currentEditedLayer;
+    const items = layer.selectedItems;
+
+    layer.edit(items, e.dx, e.dy, this.currentTarget);
+    this.timeline.scheduler.update(layer, items);
+  }
+
+  onMouseUp(e, layers) {
+    this.currentEditedLayer = null;
+    this.mouseDown = false;
+    this.timeline.history.end();
+  }
+
+  onDblClick(e, layers) {}
+
+  /**
+   * Returns the time, in the time of a layer, at a position of the track.
+   * The position is snapped by the `snapper` of the timeline.
+   *
+   * @param {Layer} layer
+   * @param {Number} x
+   * @return {Number}
+   */
+  _getTime(layer, x) {
+    const timeContext = this.timeline.timeContext;
+    const snapped = this.timeline.snapper.snap(x, layer);
+    const time = timeContext.timeToPixel.invert(snapped) - timeContext.offset;
+
+    return time - layer.start - layer.offset;
+  }
+
+  /**
+   * Returns the value, in the `yDomain` of a layer, at a position of the
+   * track.
+   *
+   * @param {Layer} layer
+   * @param {Number} y
+   * @return {Number}
+   */
+  _getValue(layer, y) {
+    return layer.valueToPixel.invert(layer.params.top + layer.params.height - y);
+  }
+
+  /**
+   * Adds a datum created by the `datumGenerator` to a layer, and renders
+   * the layer.
+   *
+   * @param {Layer} layer
+   * @param {Number} time
+   * @param {Number} value
+   * @return {Object} - The `change:data` event to emit once the creation
+   *    is complete (cf. `_emitCreation`).
+   */
+  _createDatum(layer, time, value) {
+    const datum = this.datumGenerator(time, value);
+    const data = layer.data;
+
+    this.timeline.history.recordData(data);
+    const dataChange = { previous: data.slice(0), datums: [datum], removed: [] };
+    data.push(datum);
+
+    this.timeline.tracks.render(layer);
+    this.timeline.tracks.update(layer);
+
+    return dataChange;
+  }
+
+  /**
+   * Selects the created item and emits the `change:data` event of the layer.
+   *
+   * @param {Layer} layer
+   * @param {Object} dataChange - As returned by `_createDatum`.
+   */
+  _emitCreation(layer, dataChange) {
+    dataChange.items = dataChange.datums
+      .map((datum) => layer.getItemFromDatum(datum));
+
+    layer.unselect();
+    layer.select(dataChange.items);
+    layer.emit('change:data', dataChange);
+  }
+}
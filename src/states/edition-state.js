@@ -31,6 +31,9 @@ export default class EditionState extends BaseState {
 
   onMouseDown(e) {
     this.currentTarget = e.target;
+    this.mouseDown = true;
+    // the whole drag is recorded as a single command
+    this.timeline.history.begin('edit');
   }
 
   onMouseMove(e) {
@@ -38,12 +41,13 @@ export default class EditionState extends BaseState {
       const items = layer.selectedItems;
 
       layer.edit(items, e.dx, e.dy, this.currentTarget);
-      layer.update(items);
+      this.timeline.scheduler.update(layer, items);
     });
   }
 
   onMouseUp(e) {
     this.currentEditedLayer = null;
     this.mouseDown = false;
+    this.timeline.history.end();
   }
 }
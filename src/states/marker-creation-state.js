@@ -0,0 +1,43 @@
+import CreationState from './creation-state';
+import Marker from '../shapes/marker';
+
+
+/**
+ * A state to drop markers by double-clicking on the empty space of a marker
+ * layer (`MarkerLayer`, `AnnotatedMarkerLayer`), and to select, edit and
+ * delete them (cf. `CreationState`).
+ *
+ * ```js
+ * timeline.state = new ui.states.MarkerCreationState(timeline, (time, value) => {
+ *   return { x: time, text: 'new marker' };
+ * });
+ * ```
+ */
+export default class MarkerCreationState extends CreationState {
+  /**
+   * @param {Timeline} timeline - The timeline on which the state is installed.
+   * @param {Function} datumGenerator - Returns a new datum from a time and
+   *    a value.
+   */
+  constructor(timeline, datumGenerator) {
+    super(timeline, datumGenerator, Marker);
+  }
+
+  onDblClick(e, layers) {
+    if (!layers.length) { return; }
+
+    // create in the top most layer
+    const layer = layers[layers.length - 1];
+    if (layer.getItemFromPosition(e.x, e.y) !== null) { return; }
+
+    const history = this.timeline.history;
+    history.begin('create');
+
+    const time = this._getTime(layer, e.x);
+    const value = this._getValue(layer, e.y);
+    const dataChange = this._createDatum(layer, time, value);
+
+    history.end();
+    this._emitCreation(layer, dataChange);
+  }
+}
@@ -0,0 +1,155 @@
+import ns from '../core/namespace';
+import BaseState from './base-state';
+
+
+/**
+ * A state to navigate in a detail timeline from an overview timeline, the
+ * two timelines being linked by a `TimelineLink` in `'overview'` mode. The
+ * rectangle representing the visible window of the detail timeline can be:
+ * - moved by dragging it,
+ * - resized by dragging its left or right edge,
+ * - redefined by drawing a new brush outside of it (as in `BrushZoomState`),
+ * - centered on a given time by clicking outside of it.
+ */
+export default class OverviewState extends BaseState {
+  /**
+   * @param {Timeline} timeline - The overview timeline.
+   * @param {TimelineLink} link - The link between the overview and the
+   *    detail timelines.
+   * @param {Object} [options={}] - Options.
+   * @param {Number} [options.handlerWidth=4] - The width (in pixels) of the
+   *    area around the edges of the window that allows to resize it.
+   */
+  constructor(timeline, link, options = {}) {
+    super(timeline);
+
+    this.link = link;
+    this.handlerWidth = options.handlerWidth !== undefined ?
+      options.handlerWidth : 4;
+
+    this.action = null;
+    this.brushes = [];
+  }
+
+  exit() {
+    this._removeBrushes();
+    this.action = null;
+  }
+
+  handleEvent(e) {
+    switch(e.type) {
+      case 'mousedown':
+        this.onMouseDown(e);
+        break;
+      case 'mousemove':
+        this.onMouseMove(e);
+        break;
+      case 'mouseup':
+        this.onMouseUp(e);
+        break;
+    }
+  }
+
+  onMouseDown(e) {
+    const { x, width } = this.link.getWindowPosition();
+    const handlerWidth = this.handlerWidth;
+
+    this.startX = e.x;
+    this.initialWindow = this.link.getDetailWindow();
+
+    if (Math.abs(e.x - x) <= handlerWidth) {
+      this.action = 'resizeLeft';
+    } else if (Math.abs(e.x - (x + width)) <= handlerWidth) {
+      this.action = 'resizeRight';
+    } else if (e.x > x && e.x < x + width) {
+      this.action = 'move';
+    } else {
+      this.action = 'brush';
+      this._createBrushes();
+    }
+  }
+
+  onMouseMove(e) {
+    if (this.action === null) { return; }
+    // prevent annoying text selection when dragging
+    e.originalEvent.preventDefault();
+
+    if (this.action === 'brush') {
+      const width = Math.abs(e.x - this.startX);
+      const x = Math.min(e.x, this.startX);
+
+      this.brushes.forEach((brush) => {
+        brush.setAttributeNS(null, 'width', width);
+        brush.setAttributeNS(null, 'x', x);
+      });
+
+      return;
+    }
+
+    const timeContext = this.timeline.timeContext;
+    const dt = timeContext.timeToPixel.invert(e.x - this.startX);
+    const minDuration = timeContext.timeToPixel.invert(1);
+    let { start, end } = this.initialWindow;
+
+    switch (this.action) {
+      case 'move':
+        start += dt;
+        end += dt;
+        break;
+      case 'resizeLeft':
+        start = Math.min(start + dt, end - minDuration);
+        break;
+      case 'resizeRight':
+        end = Math.max(end + dt, start + minDuration);
+        break;
+    }
+
+    this.link.setDetailWindow(start, end);
+  }
+
+  onMouseUp(e) {
+    if (this.action === 'brush') {
+      this._removeBrushes();
+
+      const timeContext = this.timeline.timeContext;
+      const toTime = (x) => timeContext.timeToPixel.invert(x) - timeContext.offset;
+
+      if (Math.abs(e.x - this.startX) < 1) {
+        // click: center the window on the clicked time
+        const { start, end } = this.initialWindow;
+        const halfDuration = (end - start) / 2;
+        const time = toTime(e.x);
+
+        this.link.setDetailWindow(time - halfDuration, time + halfDuration);
+      } else {
+        const start = toTime(Math.min(this.startX, e.x));
+        const end = toTime(Math.max(this.startX, e.x));
+
+        this.link.setDetailWindow(start, end);
+      }
+    }
+
+    this.action = null;
+  }
+
+  _createBrushes() {
+    this.tracks.forEach((track) => {
+      const brush = document.createElementNS(ns, 'rect');
+      brush.setAttributeNS(null, 'height', track.height);
+      brush.setAttributeNS(null, 'y', 0);
+      brush.style.fill = '#787878';
+      brush.style.opacity = 0.2;
+
+      track.$interactions.appendChild(brush);
+      this.brushes.push(brush);
+    });
+  }
+
+  _removeBrushes() {
+    this.brushes.forEach((brush) => {
+      if (brush.parentNode) { brush.parentNode.removeChild(brush); }
+    });
+
+    this.brushes = [];
+  }
+}
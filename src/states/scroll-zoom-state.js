@@ -0,0 +1,155 @@
+import BaseState from './base-state';
+import CenteredZoomState from './centered-zoom-state';
+
+
+/**
+ * A state to navigate in the timeline with the mouse wheel or the trackpad:
+ * - scrolling horizontally (or vertically with `shift`) moves in time
+ * - scrolling with `ctrl` or `cmd` (or pinching on a trackpad) zooms around
+ *   the time under the pointer
+ *
+ * The vertical scrolls without modifier are left to the page, unless the
+ * `verticalPan` option is set. The zoom is clamped to the same limits as the
+ * `CenteredZoomState` (cf. `CenteredZoomState.getZoomLimits`).
+ *
+ * The `zoomIn`, `zoomOut` and `resetZoom` commands of the keymap zoom
+ * around the center of the visible area.
+ *
+ * Events that are not wheel events are forwarded to an optionnal wrapped
+ * state (e.g. `new ScrollZoomState(timeline, { state: editionState })`).
+ */
+export default class ScrollZoomState extends BaseState {
+  /**
+   * @param {Timeline} timeline - The timeline on which the state is installed.
+   * @param {Object} [options={}] - Options.
+   * @param {Number} [options.zoomSpeed=100] - Number of pixels of scroll
+   *    that zoom in or out by a factor 2.
+   * @param {Boolean} [options.verticalPan=false] - Move in time on vertical
+   *    scroll without modifier.
+   * @param {BaseState} [options.state=null] - A state receiving the events
+   *    that are not wheel events.
+   */
+  constructor(timeline, options = {}) {
+    super(timeline);
+
+    this.params = Object.assign({
+      zoomSpeed: 100,
+      verticalPan: false,
+      state: null,
+    }, options);
+
+    const { minZoom, maxZoom } =
+      CenteredZoomState.getZoomLimits(this.timeline.timeContext);
+
+    this.maxZoom = maxZoom;
+    this.minZoom = minZoom;
+  }
+
+  enter() {
+    if (this.params.state) { this.params.state.enter(); }
+  }
+
+  exit() {
+    if (this.params.state) { this.params.state.exit(); }
+  }
+
+  handleEvent(e, hitLayers) {
+    if (e.type === 'wheel') {
+      this.onWheel(e);
+    } else if (this.params.state) {
+      this.params.state.handleEvent(e, hitLayers);
+    }
+  }
+
+  handleCommand(command, e) {
+    if (this.params.state && this.params.state.handleCommand(command, e)) {
+      return true;
+    }
+
+    const timeContext = this.timeline.timeContext;
+    const center = timeContext.visibleWidth / 2;
+
+    switch (command) {
+      case 'zoomIn':
+        this.zoom(center, 2);
+        break;
+      case 'zoomOut':
+        this.zoom(center, 0.5);
+        break;
+      case 'resetZoom':
+        timeContext.offset = 0;
+        timeContext.zoom = 1;
+        break;
+      default:
+        return false;
+    }
+
+    this.timeline.scheduler.update();
+    return true;
+  }
+
+  onWheel(e) {
+    let changed = false;
+
+    if (e.ctrlKey || e.metaKey) {
+      changed = this.zoom(e.x, Math.pow(2, -e.deltaY / this.params.zoomSpeed));
+    } else {
+      let delta = e.deltaX;
+
+      if (e.shiftKey && delta === 0) {
+        delta = e.deltaY;
+      } else if (this.params.verticalPan && Math.abs(e.deltaY) > Math.abs(delta)) {
+        delta = e.deltaY;
+      }
+
+      // vertical scroll is left to the page
+      if (delta === 0) { return; }
+
+      changed = this.pan(delta);
+    }
+
+    // prevent the page from scrolling or zooming
+    e.originalEvent.preventDefault();
+
+    if (changed) {
+      this.timeline.scheduler.update();
+    }
+  }
+
+  /**
+   * Moves the visible window of the timeline.
+   *
+   * @param {Number} dx - The move in pixels, positive to move forward in time.
+   * @return {Boolean} - `true` if the offset has changed.
+   */
+  pan(dx) {
+    const timeContext = this.timeline.timeContext;
+    const dt = timeContext.timeToPixel.invert(dx);
+
+    if (dt === 0) { return false; }
+
+    timeContext.offset -= dt;
+    return true;
+  }
+
+  /**
+   * Zooms in or out, keeping the time displayed at `x` at the same position.
+   *
+   * @param {Number} x - The position in pixels of the zoom center.
+   * @param {Number} factor - The zoom factor (> 1 to zoom in).
+   * @return {Boolean} - `true` if the zoom has changed.
+   */
+  zoom(x, factor) {
+    const timeContext = this.timeline.timeContext;
+    const centerTime = timeContext.timeToPixel.invert(x) - timeContext.offset;
+    const targetZoom = timeContext.zoom * factor;
+    const zoom = Math.min(Math.max(targetZoom, this.minZoom), this.maxZoom);
+
+    if (zoom === timeContext.zoom) { return false; }
+
+    timeContext.zoom = zoom;
+    timeContext.offset = timeContext.timeToPixel.invert(x) - centerTime;
+
+    return true;
+  }
+}
@@ -0,0 +1,89 @@
+import CreationState from './creation-state';
+import Segment from '../shapes/segment';
+
+
+/**
+ * A state to create segments by dragging on the empty space of a segment
+ * layer (`SegmentLayer`, `AnnotatedSegmentLayer`), and to select, edit and
+ * delete them (cf. `CreationState`).
+ *
+ * The datum is created by the `datumGenerator` at the beginning of the
+ * drag, then its `x` and `width` are set through the accessors of the layer
+ * while dragging. A click without drag creates nothing.
+ *
+ * ```js
+ * timeline.state = new ui.states.SegmentCreationState(timeline, (time, value) => {
+ *   return { start: time, duration: 0, label: 'new segment' };
+ * });
+ * ```
+ */
+export default class SegmentCreationState extends CreationState {
+  /**
+   * @param {Timeline} timeline - The timeline on which the state is installed.
+   * @param {Function} datumGenerator - Returns a new datum from a time and
+   *    a value.
+   */
+  constructor(timeline, datumGenerator) {
+    super(timeline, datumGenerator, Segment);
+
+    this._creation = null;
+  }
+
+  exit() {
+    this._creation = null;
+  }
+
+  onMouseDown(e, layers) {
+    super.onMouseDown(e, layers);
+
+    if (this.currentEditedLayer !== null || !layers.length) { return; }
+
+    // create in the top most layer
+    const layer = layers[layers.length - 1];
+
+    this._creation = {
+      layer: layer,
+      anchor: this._getTime(layer, e.x),
+      value: this._getValue(layer, e.y),
+      dataChange: null,
+    };
+  }
+
+  onMouseMove(e, layers) {
+    if (this._creation === null) {
+      super.onMouseMove(e, layers);
+      return;
+    }
+
+    // prevent annoying text selection when dragging
+    e.originalEvent.preventDefault();
+
+    const creation = this._creation;
+    const { layer, anchor } = creation;
+
+    if (creation.dataChange === null) {
+      creation.dataChange = this._createDatum(layer, anchor, creation.value);
+    }
+
+    const shape = layer.getShape();
+    const datum = creation.dataChange.datums[0];
+    const time = this._getTime(layer, e.x);
+
+    shape.x(datum, Math.min(anchor, time));
+    shape.width(datum, Math.abs(time - anchor));
+
+    this.timeline.scheduler.update(layer);
+  }
+
+  onMouseUp(e, layers) {
+    const creation = this._creation;
+    this._creation = null;
+
+    if (creation !== null && creation.dataChange !== null) {
+      this.timeline.scheduler.flush();
+      this._emitCreation(creation.layer, creation.dataChange);
+    }
+
+    super.onMouseUp(e, layers);
+  }
+}
@@ -53,6 +53,13 @@ export default class SelectionState extends BaseState {
     }
   }
 
+  handleCommand(command, e) {
+    if (command !== 'selectAll') { return false; }
+
+    this.layers.forEach((layer) => layer.select());
+    return true;
+  }
+
   _addBrush(track) {
     if (track.$brush) { return; }
 
@@ -94,7 +101,7 @@ export default class SelectionState extends BaseState {
   }
 
   onMouseDown(e) {
-    this._currentTrack = this.timeline.getTrackFromDOMElement(e.target);
+    this._currentTrack = this.timeline.getTrackFromEvent(e);
     if (!this._currentTrack) { return; }
 
     this._addBrush(this._currentTrack);
@@ -155,7 +162,7 @@ export default class SelectionState extends BaseState {
     if (!this._currentTrack) { return; }
 
     this._currentTrack.layers.forEach((layer) => {
-      let item = layer.getItemFromDOMElement(e.target);
+      let item = layer.getItemFromPosition(e.x, e.y);
 
       if (!e.originalEvent.shiftKey) {
         layer.unselect();
@@ -32,15 +32,17 @@ export default class SimpleEditionState extends BaseState {
   onMouseDown(e) {
     // keep target consistent with mouse down
     this.currentTarget = e.target;
+    // the whole drag is recorded as a single command
+    this.timeline.history.begin('edit');
 
     this.layers.forEach((layer) => {
-      if (!layer.hasElement(this.currentTarget)) { return; }
+      if (!layer.hitTest(e.x, e.y)) { return; }
 
       if (!e.originalEvent.shiftKey) {
         layer.unselect();
       }
 
-      const item = layer.getItemFromDOMElement(this.currentTarget);
+      const item = layer.getItemFromPosition(e.x, e.y);
 
       if (item === null) { return; }
 
@@ -56,10 +58,11 @@ export default class SimpleEditionState extends BaseState {
     const items = layer.selectedItems;
 
     layer.edit(items, e.dx, e.dy, this.currentTarget);
-    requestAnimationFrame(function() { layer.update(items); });
+    this.timeline.scheduler.update(layer, items);
   }
 
   onMouseUp(e) {
     this.currentEditedLayer = null;
+    this.timeline.history.end();
   }
 }
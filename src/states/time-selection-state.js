@@ -0,0 +1,100 @@
+import BaseState from './base-state';
+
+
+/**
+ * A state to define the `timeSelection` of the timeline by dragging across
+ * any track. Dragging near an edge of the current selection moves this edge,
+ * a click without drag clears the selection.
+ *
+ * The `selectAll` command of the keymap selects the whole visible window.
+ */
+export default class TimeSelectionState extends BaseState {
+  /**
+   * @param {Timeline} timeline - The timeline on which the state is installed.
+   * @param {Object} [options={}] - Options.
+   * @param {Number} [options.tolerance=4] - Distance (in pixels) to an edge
+   *    of the selection under which the edge is dragged.
+   */
+  constructor(timeline, options = {}) {
+    super(timeline);
+
+    this.params = Object.assign({
+      tolerance: 4,
+    }, options);
+
+    this._anchor = null;
+    this._moved = false;
+  }
+
+  exit() {
+    this._anchor = null;
+  }
+
+  handleEvent(e) {
+    switch (e.type) {
+      case 'mousedown':
+        this.onMouseDown(e);
+        break;
+      case 'mousemove':
+        this.onMouseMove(e);
+        break;
+      case 'mouseup':
+        this.onMouseUp(e);
+        break;
+    }
+  }
+
+  handleCommand(command, e) {
+    if (command !== 'selectAll') { return false; }
+
+    const start = 0 - this.timeline.offset;
+    this.timeline.timeSelection.set(start, start + this.timeline.visibleDuration);
+    return true;
+  }
+
+  /**
+   * Returns the time (in seconds) at a given position of the tracks.
+   *
+   * @param {Number} x
+   * @return {Number}
+   */
+  _getTime(x) {
+    const timeContext = this.timeline.timeContext;
+    return timeContext.timeToPixel.invert(x) - timeContext.offset;
+  }
+
+  onMouseDown(e) {
+    const selection = this.timeline.timeSelection;
+    const edge = selection.getEdgeFromPosition(e.x, this.params.tolerance);
+
+    // the anchor is the fixed bound of the selection during the drag
+    if (edge === 'start') {
+      this._anchor = selection.end;
+    } else if (edge === 'end') {
+      this._anchor = selection.start;
+    } else {
+      this._anchor = this._getTime(e.x);
+    }
+
+    this._moved = edge !== null;
+  }
+
+  onMouseMove(e) {
+    if (this._anchor === null) { return; }
+    // prevent annoying text selection when dragging
+    e.originalEvent.preventDefault();
+
+    this._moved = true;
+    this.timeline.timeSelection.set(this._anchor, this._getTime(e.x));
+  }
+
+  onMouseUp(e) {
+    if (this._anchor === null) { return; }
+
+    if (!this._moved) {
+      this.timeline.timeSelection.clear();
+    }
+
+    this._anchor = null;
+  }
+}
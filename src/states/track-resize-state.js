@@ -0,0 +1,94 @@
+import BaseState from './base-state';
+
+
+/**
+ * A state to resize the tracks of the timeline by dragging their bottom
+ * edge. The layers of the resized track are laid out again according to
+ * their layout rules (cf. `Track~setLayerLayout`) or keep their proportion
+ * of the track, and the track is updated.
+ *
+ * Events occuring outside of the bottom edge of the tracks are forwarded to
+ * an optionnal wrapped state, which allows to combine resizing with another
+ * interaction (e.g. `new TrackResizeState(timeline, { state: editionState })`).
+ */
+export default class TrackResizeState extends BaseState {
+  /**
+   * @param {Timeline} timeline - The timeline on which the state is installed.
+   * @param {Object} [options={}] - Options.
+   * @param {Number} [options.handlerHeight=6] - The height (in pixels) of
+   *    the area at the bottom of each track that allows to resize it.
+   * @param {Number} [options.minHeight=20] - The minimum height of a track.
+   * @param {Number} [options.maxHeight=Infinity] - The maximum height of a track.
+   * @param {BaseState} [options.state=null] - A state receiving the events
+   *    that do not concern the resizing of a track.
+   */
+  constructor(timeline, options = {}) {
+    super(timeline);
+
+    this.params = Object.assign({
+      handlerHeight: 6,
+      minHeight: 20,
+      maxHeight: Infinity,
+      state: null,
+    }, options);
+
+    this.currentTrack = null;
+  }
+
+  enter() {
+    if (this.params.state) { this.params.state.enter(); }
+  }
+
+  exit() {
+    this.currentTrack = null;
+    if (this.params.state) { this.params.state.exit(); }
+  }
+
+  handleEvent(e, hitLayers) {
+    if (e.type === 'mousedown') {
+      this.onMouseDown(e);
+    }
+
+    if (this.currentTrack !== null) {
+      switch(e.type) {
+        case 'mousemove':
+          this.onMouseMove(e);
+          break;
+        case 'mouseup':
+          this.onMouseUp(e);
+          break;
+      }
+    } else if (this.params.state) {
+      this.params.state.handleEvent(e, hitLayers);
+    }
+  }
+
+  handleCommand(command, e) {
+    return this.params.state ? this.params.state.handleCommand(command, e) : false;
+  }
+
+  onMouseDown(e) {
+    const track = this.timeline.getTrackFromEvent(e);
+
+    if (track && e.y >= track.height - this.params.handlerHeight) {
+      this.currentTrack = track;
+      this.initialHeight = track.height;
+      this.initialY = e.y;
+    }
+  }
+
+  onMouseMove(e) {
+    // prevent annoying text selection when dragging
+    e.originalEvent.preventDefault();
+
+    const { minHeight, maxHeight } = this.params;
+    const height = this.initialHeight + (e.y - this.initialY);
+
+    this.currentTrack.height = Math.min(Math.max(height, minHeight), maxHeight);
+    this.timeline.scheduler.updateTrack(this.currentTrack);
+  }
+
+  onMouseUp(e) {
+    this.currentTrack = null;
+  }
+}
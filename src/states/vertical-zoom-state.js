@@ -0,0 +1,179 @@
+import scales from '../utils/scales';
+import BaseState from './base-state';
+
+
+/**
+ * `VerticalZoomState` is the counterpart of `CenteredZoomState` for the
+ * value (y) axis of the layers. When clicking on a layer, the user can
+ * - move up or down to scroll the values,
+ * - move right to zoom in, around the value under the mouse,
+ * - move left to zoom out,
+ * - double click to reset the layer to its full range.
+ *
+ * The `yDomain` of the hit layers is kept within their `yDomainLimits`
+ * (which default to the initial `yDomain` of the layers). As the layers
+ * emit a `change:yDomain` event, scales (cf. `ScaleLayer~followLayer`) or
+ * any other linked layer can follow the modifications.
+ */
+export default class VerticalZoomState extends BaseState {
+  /**
+   * @param {Timeline} timeline - The timeline on which the state is installed.
+   * @param {Object} [options={}] - Options.
+   * @param {Number} [options.maxZoom=1000] - The maximum zoom factor
+   *    relative to the `yDomainLimits` of a layer.
+   */
+  constructor(timeline, options = {}) {
+    super(timeline);
+
+    this.maxZoom = options.maxZoom !== undefined ? options.maxZoom : 1000;
+    this.currentLayers = null;
+  }
+
+  handleEvent(e, hitLayers) {
+    switch(e.type) {
+      case 'mousedown':
+        this.onMouseDown(e, hitLayers);
+        break;
+      case 'mousemove':
+        this.onMouseMove(e);
+        break;
+      case 'mouseup':
+        this.onMouseUp(e);
+        break;
+      case 'dblclick':
+        this.onDblClick(e, hitLayers);
+        break;
+    }
+  }
+
+  onMouseDown(e, hitLayers) {
+    this.initialX = e.x;
+    this.initialY = e.y;
+    this.dragMode = 'unresolved';
+
+    this._pixelToExponent = scales.linear()
+      .domain([0, 100]) // 100px => factor 2
+      .range([0, 1]);
+
+    this.currentLayers = hitLayers.map((layer) => {
+      const height = layer.params.height;
+      // pixel of the mouse in the layer's (flipped) coordinate system
+      const anchor = layer.params.top + height - e.y;
+      // zoom in the pixel space of the layer's scale (e.g. log)
+      const initialScale = layer.valueToPixel.copy()
+        .domain(layer.yDomain.slice(0))
+        .range([0, height]);
+
+      return { layer, anchor, initialScale };
+    });
+  }
+
+  updateDragMode(e) {
+    if (this.dragMode === 'free') {
+      return;
+    }
+
+    const dx = Math.abs(e.x - this.initialX);
+    const dy = Math.abs(e.y - this.initialY);
+
+    const smallThreshold = 10, bigThreshold = 50;
+
+    if (this.dragMode === 'unresolved') {
+      if (dy > smallThreshold && dy > dx * 2) {
+        this.dragMode = 'vertical';
+      } else if (dx > smallThreshold && dx > dy * 2) {
+        this.dragMode = 'horizontal';
+      } else if (dx > smallThreshold && dy > smallThreshold) {
+        this.dragMode = 'free';
+      }
+    }
+
+    if (this.dragMode === 'vertical' && dx > bigThreshold) {
+      this.dragMode = 'free';
+    }
+    if (this.dragMode === 'horizontal' && dy > bigThreshold) {
+      this.dragMode = 'free';
+    }
+  }
+
+  onMouseMove(e) {
+    if (!this.currentLayers) { return; }
+    // prevent annoying text selection when dragging
+    e.originalEvent.preventDefault();
+
+    this.updateDragMode(e);
+
+    const zooming = this.dragMode === 'horizontal' || this.dragMode === 'free';
+    const panning = this.dragMode === 'vertical' || this.dragMode === 'free';
+
+    // right => zoom in, left => zoom out
+    const factor = zooming ?
+      Math.pow(2, this._pixelToExponent(e.x - this.initialX)) : 1;
+    // up => higher values come into view
+    const dy = panning ? this.initialY - e.y : 0;
+
+    this.currentLayers.forEach(({ layer, anchor, initialScale }) => {
+      const height = layer.params.height;
+      // find the pixels, in the initial view, displayed at the bottom and
+      // the top of the layer
+      const bottom = anchor + (0 - anchor) / factor - dy / factor;
+      const top = anchor + (height - anchor) / factor - dy / factor;
+
+      const domain = this._clampDomain(layer, [
+        initialScale.invert(bottom),
+        initialScale.invert(top)
+      ]);
+
+      layer.yDomain = domain;
+      this.timeline.scheduler.update(layer);
+    });
+  }
+
+  onMouseUp(e) {
+    this.currentLayers = null;
+    this.dragMode = 'unresolved';
+  }
+
+  onDblClick(e, hitLayers) {
+    hitLayers.forEach((layer) => {
+      layer.yDomain = layer.yDomainLimits.slice(0);
+      this.timeline.tracks.update(layer);
+    });
+  }
+
+  /**
+   * Keeps a domain within the limits of a layer, respecting `maxZoom`.
+   *
+   * @param {Layer} layer
+   * @param {Array} domain
+   * @return {Array}
+   */
+  _clampDomain(layer, domain) {
+    const limits = layer.yDomainLimits;
+    const inverted = limits[1] < limits[0];
+    const lower = Math.min(limits[0], limits[1]);
+    const upper = Math.max(limits[0], limits[1]);
+    const fullRange = upper - lower;
+
+    let min = Math.min(domain[0], domain[1]);
+    let max = Math.max(domain[0], domain[1]);
+    let range = max - min;
+
+    // zoom limits
+    range = Math.min(Math.max(range, fullRange / this.maxZoom), fullRange);
+    const center = (min + max) / 2;
+    min = center - range / 2;
+    max = center + range / 2;
+
+    // scroll limits
+    if (min < lower) {
+      min = lower;
+      max = lower + range;
+    } else if (max > upper) {
+      max = upper;
+      min = upper - range;
+    }
+
+    return inverted ? [max, min] : [min, max];
+  }
+}
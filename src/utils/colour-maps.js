@@ -0,0 +1,123 @@
+// colour maps defined by evenly spaced stops, linearly interpolated
+const stops = {
+  viridis: [
+    '#440154', '#482878', '#3e4a89', '#31688e', '#26828e',
+    '#1f9e89', '#35b779', '#6dcd59', '#b4de2c', '#fde725',
+  ],
+  magma: [
+    '#000004', '#180f3e', '#451077', '#721f81', '#9f2f7f',
+    '#cd4071', '#f1605d', '#fd9567', '#fec98d', '#fcfdbf',
+  ],
+  inferno: [
+    '#000004', '#1b0c42', '#4b0c6b', '#781c6d', '#a52c60',
+    '#cf4446', '#ed6925', '#fb9a06', '#f7d03c', '#fcffa4',
+  ],
+  'blue-white-red': [
+    '#2166ac', '#67a9cf', '#f7f7f7', '#ef8a62', '#b2182b',
+  ],
+};
+
+// the diverging maps display signed values, 0 being at their middle
+const signed = ['blue-white-red'];
+
+function parseColour(hex) {
+  return [1, 3, 5].map((index) => parseInt(hex.substr(index, 2), 16) / 255);
+}
+
+function interpolate(colours) {
+  colours = colours.map(parseColour);
+  const last = colours.length - 1;
+
+  return function(value) {
+    const position = value * last;
+    const index = Math.min(Math.floor(position), last - 1);
+    const ratio = position - index;
+    const from = colours[index];
+    const to = colours[index + 1];
+
+    return [0, 1, 2].map((i) => from[i] + (to[i] - from[i]) * ratio);
+  };
+}
+
+function clamp(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+function hsvToRgb(h, s, v) {
+  const i = Math.floor(h * 6);
+  const f = h * 6 - i;
+  const p = v * (1 - s);
+  const q = v * (1 - f * s);
+  const t = v * (1 - (1 - f) * s);
+
+  return [
+    [v, q, p, p, t, v],
+    [t, v, v, q, p, p],
+    [p, p, t, v, v, q],
+  ].map((components) => components[((i % 6) + 6) % 6]);
+}
+
+const maps = {
+  greys: (value) => {
+    const level = 1 - value;
+    return [level, level, level];
+  },
+  // after the "Sunset" colour map of Sonic Visualiser
+  sunset: (value) => {
+    const r = (value - 0.24) * 2.38;
+    const g = (value - 0.64) * 2.777;
+    let b = 3.6 * value;
+    if (value > 0.277) { b = 2 - b; }
+
+    return [clamp(r), clamp(g), clamp(b)];
+  },
+  // after the "Green" colour map of Sonic Visualiser
+  green: (value) => {
+    return hsvToRgb(1 / 3 - value / 6, 1 - value / 2, value);
+  },
+};
+
+Object.keys(stops).forEach((name) => {
+  maps[name] = interpolate(stops[name]);
+});
+
+
+/**
+ * Named colour maps for the `Matrix` shape (cf. `MatrixLayer`) and the
+ * `ColourBar` legend: `'greys'`, the perceptually uniform `'viridis'`,
+ * `'magma'` and `'inferno'`, the `'sunset'` and `'green'` maps of Sonic
+ * Visualiser, and the diverging `'blue-white-red'` for signed data.
+ *
+ * ```js
+ * const mapper = ui.utils.colourMaps.getMapper('magma', true);
+ * mapper(0.5); // [r, g, b], in the range [0, 1]
+ * ```
+ */
+export default {
+  /**
+   * The names of the available colour maps.
+   * @type {Array<String>}
+   */
+  names: Object.keys(maps),
+
+  /**
+   * Returns a mapper function of a colour map, i.e. a function returning
+   * the `[r, g, b]` components (in the range `[0, 1]`) of a value in the
+   * range `[0, 1]`. The mappers of the diverging maps have a `signed`
+   * property set to `true`, the values given to the `Matrix` shape are
+   * then expected in the range `[-1, 1]`.
+   *
+   * @param {String} name - The name of the colour map.
+   * @param {Boolean} [inverted=false] - Reverses the colour map.
+   * @return {Function}
+   */
+  getMapper(name, inverted = false) {
+    const map = maps[name];
+    if (!map) { throw new Error(`Invalid colour map "${name}"`); }
+
+    const mapper = inverted ? (value) => map(1 - value) : (value) => map(value);
+    mapper.signed = signed.indexOf(name) !== -1;
+
+    return mapper;
+  },
+};
@@ -0,0 +1,235 @@
+const levels = {
+  silent: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+  debug: 4,
+};
+
+// high resolution clock if available (browser), fallback on `Date`
+const now = (typeof performance !== 'undefined' && performance.now) ?
+  () => performance.now() : () => Date.now();
+
+// default output, prefix the messages with the channel
+function consoleOutput(level, channel, message) {
+  const method = (level === 'debug') ? 'log' : level;
+  console[method](`[waves-ui:${channel}] ${message}`);
+}
+
+/**
+ * Aggregated statistics (count, total, min, max, last) of named values,
+ * typically durations in milliseconds.
+ */
+class Metrics {
+  constructor() {
+    /**
+     * Defines if the values are collected, `false` by default.
+     * @type {Boolean}
+     */
+    this.enabled = false;
+
+    this._stats = {};
+  }
+
+  /**
+   * Adds a value to the statistics of `name`, if the metrics are enabled.
+   *
+   * @param {String} name - e.g. `'layer update time'`
+   * @param {Number} value
+   */
+  record(name, value) {
+    if (!this.enabled) { return; }
+
+    let stats = this._stats[name];
+
+    if (!stats) {
+      stats = { count: 0, total: 0, min: Infinity, max: -Infinity, last: 0 };
+      this._stats[name] = stats;
+    }
+
+    stats.count += 1;
+    stats.total += value;
+    stats.min = Math.min(stats.min, value);
+    stats.max = Math.max(stats.max, value);
+    stats.last = value;
+  }
+
+  /**
+   * Returns the statistics of a metric, `null` if nothing has been recorded.
+   *
+   * @param {String} name
+   * @return {Object|null} - `{ count, total, mean, min, max, last }`
+   */
+  get(name) {
+    const stats = this._stats[name];
+    if (!stats) { return null; }
+
+    return Object.assign({ mean: stats.total / stats.count }, stats);
+  }
+
+  /**
+   * Returns the names of the recorded metrics.
+   *
+   * @return {Array<String>}
+   */
+  names() {
+    return Object.keys(this._stats);
+  }
+
+  /**
+   * Returns the statistics of all the recorded metrics.
+   *
+   * @return {Object} - The statistics by metric name.
+   */
+  getAll() {
+    const all = {};
+    this.names().forEach((name) => all[name] = this.get(name));
+
+    return all;
+  }
+
+  /**
+   * Clears the statistics of a metric, or of all the metrics.
+   *
+   * @param {String} [name=null]
+   */
+  reset(name = null) {
+    if (name === null) {
+      this._stats = {};
+    } else {
+      delete this._stats[name];
+    }
+  }
+
+  toJSON() {
+    return this.getAll();
+  }
+}
+
+/**
+ * Logging and performance instrumentation of the library. Messages are
+ * emitted on named channels (`'render'`, `'encache'`, `'update'`,
+ * `'interaction'`) with a level (`'error'`, `'warn'`, `'info'`, `'debug'`).
+ * Nothing is logged by default (`'silent'` level).
+ *
+ * ```js
+ * const diagnostics = ui.utils.diagnostics;
+ * // log warnings from all channels and everything about rendering
+ * diagnostics.setLevel('warn');
+ * diagnostics.setLevel('debug', 'render');
+ * // collect timings
+ * diagnostics.metrics.enabled = true;
+ * // ...
+ * diagnostics.metrics.get('matrix cache time'); // { count, mean, max, ... }
+ * ```
+ */
+class Diagnostics {
+  constructor() {
+    /**
+     * The available levels, from the less to the most verbose.
+     * @type {Object}
+     */
+    this.levels = levels;
+    /**
+     * The timings collected by `time`.
+     * @type {Metrics}
+     */
+    this.metrics = new Metrics();
+    /**
+     * The function called with `(level, channel, message)` to output the
+     * messages, defaults to the console.
+     * @type {Function}
+     */
+    this.output = consoleOutput;
+
+    this._level = levels.silent;
+    this._channelLevels = {};
+  }
+
+  /**
+   * Sets the level of all the channels, or of a given channel.
+   *
+   * @param {String} level - `'silent'`, `'error'`, `'warn'`, `'info'` or `'debug'`.
+   * @param {String} [channel=null] - If set, only applies to this channel.
+   */
+  setLevel(level, channel = null) {
+    if (levels[level] === undefined) {
+      throw new Error(`Invalid diagnostics level: "${level}"`);
+    }
+
+    if (channel === null) {
+      this._level = levels[level];
+      this._channelLevels = {};
+    } else {
+      this._channelLevels[channel] = levels[level];
+    }
+  }
+
+  /**
+   * Tests if a message of the given level would be output on a channel.
+   * Allows to avoid building costly messages.
+   *
+   * @param {String} channel
+   * @param {String} level
+   * @return {Boolean}
+   */
+  isEnabled(channel, level) {
+    const channelLevel = this._channelLevels[channel];
+    const current = channelLevel !== undefined ? channelLevel : this._level;
+
+    return levels[level] <= current;
+  }
+
+  /**
+   * Outputs a message on a channel if its level is enabled.
+   *
+   * @param {String} channel
+   * @param {String} level
+   * @param {String|Function} message - The message, or a function returning
+   *    it (only called if the message is output).
+   */
+  log(channel, level, message) {
+    if (!this.isEnabled(channel, level)) { return; }
+    if (typeof message === 'function') { message = message(); }
+
+    this.output(level, channel, message);
+  }
+
+  error(channel, message) { this.log(channel, 'error', message); }
+
+  warn(channel, message) { this.log(channel, 'warn', message); }
+
+  info(channel, message) { this.log(channel, 'info', message); }
+
+  debug(channel, message) { this.log(channel, 'debug', message); }
+
+  /**
+   * Returns the current time in milliseconds, to be given to `time`.
+   *
+   * @return {Number}
+   */
+  now() {
+    return now();
+  }
+
+  /**
+   * Records the time elapsed since `start` in the metric `name`, and outputs
+   * it at the `'debug'` level.
+   *
+   * @param {String} channel
+   * @param {String} name - The name of the metric (e.g. `'layer update time'`).
+   * @param {Number} start - The value returned by `now` at the beginning of
+   *    the measured task.
+   * @return {Number} - The elapsed time in milliseconds.
+   */
+  time(channel, name, start) {
+    const duration = now() - start;
+
+    this.metrics.record(name, duration);
+    this.debug(channel, () => `${name} = ${Math.round(duration)}ms`);
+
+    return duration;
+  }
+}
+
+export default new Diagnostics();
@@ -1,19 +1,112 @@
+/**
+ * Add a `sign` to the left of a given `input` to match `length`
+ *
+ * @param {String} input - The string to format.
+ * @param {String} sign - The character to add to the left.
+ * @param {Number} length - The length of the output string.
+ */
+function padLeft(input, sign, length) {
+  input += '';
+  while (input.length < length) {
+    input = sign + input;
+  }
+  return input;
+}
+
+const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+
 /**
  * Formatting helpers functions.
  */
 export default {
+  padLeft,
+
+  /**
+   * Formats a time as `h:mm:ss.mmm` (e.g. `'1:02:03.250'`), the hours are
+   * not bounded.
+   *
+   * @param {Number} time - Time in seconds.
+   * @param {Number} [digits=3] - Number of decimals of the seconds (0 to 3).
+   * @return {String}
+   */
+  hms(time, digits = 3) {
+    const sign = time < 0 ? '-' : '';
+    const factor = Math.pow(10, digits);
+    // round first, so that 59.9999 gives 1:00 and not 0:60
+    const total = Math.round(Math.abs(time) * factor);
+    const seconds = Math.floor(total / factor);
+    const fraction = total - seconds * factor;
+
+    const h = Math.floor(seconds / 3600);
+    const mm = padLeft(Math.floor(seconds / 60) % 60, 0, 2);
+    const ss = padLeft(seconds % 60, 0, 2);
+    const decimals = digits > 0 ? `.${padLeft(fraction, 0, digits)}` : '';
+
+    return `${sign}${h}:${mm}:${ss}${decimals}`;
+  },
+
+  /**
+   * Formats a time as a SMPTE timecode `hh:mm:ss:ff` (non drop-frame).
+   *
+   * @param {Number} time - Time in seconds.
+   * @param {Number} [frameRate=25] - Number of frames per second.
+   * @return {String}
+   */
+  timecode(time, frameRate = 25) {
+    const sign = time < 0 ? '-' : '';
+    const framesPerSecond = Math.round(frameRate);
+    // avoid floating point errors on exact frames
+    const frames = Math.floor(Math.abs(time) * frameRate + 1e-6);
+    const seconds = Math.floor(frames / framesPerSecond);
+
+    const hh = padLeft(Math.floor(seconds / 3600), 0, 2);
+    const mm = padLeft(Math.floor(seconds / 60) % 60, 0, 2);
+    const ss = padLeft(seconds % 60, 0, 2);
+    const ff = padLeft(frames % framesPerSecond, 0, 2);
+
+    return `${sign}${hh}:${mm}:${ss}:${ff}`;
+  },
+
+  /**
+   * Formats a time as a number of sample frames.
+   *
+   * @param {Number} time - Time in seconds.
+   * @param {Number} [sampleRate=44100] - Sample rate in Hz.
+   * @return {String}
+   */
+  samples(time, sampleRate = 44100) {
+    return `${Math.round(time * sampleRate)}`;
+  },
+
   /**
-   * Add a `sign` to the left of a given `input` to match `length`
+   * Formats a frequency in Hz or kHz (e.g. `'440 Hz'`, `'1.25 kHz'`).
    *
-   * @param {String} input - The string to format.
-   * @param {String} sign - The character to add to the left.
-   * @param {Number} length - The length of the output string.
+   * @param {Number} hz - Frequency in Hz.
+   * @return {String}
    */
-  padLeft(input, sign, length) {
-    input += '';
-    while (input.length < length) {
-      input = sign + input;
+  frequency(hz) {
+    if (Math.abs(hz) >= 1000) {
+      return `${parseFloat((hz / 1000).toFixed(2))} kHz`;
     }
-    return input;
-  }
+
+    return `${parseFloat(hz.toFixed(1))} Hz`;
+  },
+
+  /**
+   * Formats a frequency as the name of the nearest note in equal
+   * temperament (e.g. `'A4'`, `'C#5'`).
+   *
+   * @param {Number} hz - Frequency in Hz.
+   * @param {Number} [a4=440] - Frequency of the A4 in Hz.
+   * @return {String}
+   */
+  noteName(hz, a4 = 440) {
+    if (hz <= 0) { return ''; }
+
+    const midi = Math.round(69 + 12 * Math.log2(hz / a4));
+    const octave = Math.floor(midi / 12) - 1;
+
+    return `${noteNames[((midi % 12) + 12) % 12]}${octave}`;
+  },
 };
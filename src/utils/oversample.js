@@ -1,3 +1,5 @@
+import diagnostics from './diagnostics';
+
 
 /**
  * Oversample (part of) an array of samples by a fixed factor, using a
@@ -7,7 +9,7 @@ export default class Oversampler {
 
   oversample(inbuf, instart, inlen) {
 
-    const before = performance.now();
+    const before = diagnostics.now();
     
     const outlen = inlen * this.factor;
     const flen = this.filter.length; // known to be odd
@@ -29,8 +31,8 @@ export default class Oversampler {
       }
     }
 
-    console.log("oversample: " + (i1-i0) + " samples in, " + outlen + " out in " +
-                (performance.now() - before) + " ms");
+    diagnostics.debug('update', () => `oversample: ${i1 - i0} samples in, ${outlen} out`);
+    diagnostics.time('update', 'oversample time', before);
     
     return outbuf;
   }
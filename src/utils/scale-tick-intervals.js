@@ -1,3 +1,6 @@
+import diagnostics from './diagnostics';
+import scales from './scales';
+
 
 /**
  * Code to calculate which values to label in a scale between two
@@ -23,6 +26,86 @@ export default class ScaleTickIntervals {
     return this._explode(instruction);
   }
 
+  /**
+   * Return ticks as `linear` does, for values displayed on a logarithmic
+   * scale (cf. `scales.log`). The ticks are evenly spaced in the log
+   * domain and labelled with the precision needed to distinguish them.
+   * `min` and `max` must be strictly positive.
+   */
+  logarithmic(min, max, n) {
+    if (!(min > 0 && max > 0)) {
+      diagnostics.warn('update', `ScaleTickIntervals: invalid logarithmic range, min = ${min}, max = ${max}`);
+      return [];
+    }
+
+    let instruction = this._logInstruction(Math.log10(min), Math.log10(max), n);
+    return this._explode(instruction);
+  }
+
+  /**
+   * Return ticks for amplitudes displayed in decibels (cf. `scales.db`).
+   * The ticks are round values in dB, labelled in dB, their `value` being
+   * the corresponding amplitude.
+   */
+  decibels(min, max, n, floor = -60) {
+    const warp = scales.db(floor).warp;
+
+    return this.linear(warp(min), warp(max), n).map((tick) => {
+      const decimals = (tick.label.split('.')[1] || '').length;
+      const level = Math.abs(tick.value) + floor;
+
+      return { value: warp.invert(tick.value), label: level.toFixed(decimals) };
+    });
+  }
+
+  /**
+   * Return ticks for values displayed on a scale warped by a monotonic
+   * function having an `invert` method (e.g. the `warp` of `scales.mel`
+   * or `scales.bark`). The ticks are about evenly spaced on the scale, their
+   * values being rounded to two significant digits.
+   */
+  warped(min, max, n, warp) {
+    if (max < min) {
+      return this.warped(max, min, n, warp);
+    }
+
+    const low = warp(min);
+    const high = warp(max);
+    let ticks = [];
+
+    for (let i = 0; i <= n; i++) {
+      const exact = warp.invert(low + (high - low) * i / Math.max(n, 1));
+      const value = parseFloat(exact.toPrecision(2));
+
+      if (value < min || value > max) { continue; }
+      if (ticks.length && ticks[ticks.length - 1].value === value) { continue; }
+
+      ticks.push({ value, label: `${value}` });
+    }
+
+    return ticks;
+  }
+
+  /**
+   * Return the ticks matching the type of a scale of `utils/scales`,
+   * between the bounds of its domain.
+   */
+  fromScale(scale, n) {
+    const [min, max] = scale.domain();
+
+    switch (scale.type) {
+      case 'log':
+        return this.logarithmic(min, max, n);
+      case 'db':
+        return this.decibels(min, max, n, scale.warp.floor);
+      case 'mel':
+      case 'bark':
+        return this.warped(min, max, n, scale.warp);
+    }
+
+    return this.linear(min, max, n);
+  }
+
   _linearInstruction(min, max, n) {
     let display = "auto";
     if (max < min) {
@@ -36,7 +119,7 @@ export default class ScaleTickIntervals {
     }
     if (min !== min || max !== max) {
       // NaNs must be involved
-      console.log("ScaleTickIntervals: WARNING: min = " + min + ", max = " + max);
+      diagnostics.warn('update', `ScaleTickIntervals: invalid range, min = ${min}, max = ${max}`);
       return [];
     }
 
@@ -94,6 +177,50 @@ export default class ScaleTickIntervals {
     };
   }
 
+  _logInstruction(min, max, n) {
+    let display = "fixed";
+    if (max < min) {
+      return this._logInstruction(max, min, n);
+    }
+    if (n < 1 || max === min) {
+      return {
+        initial: min, limit: min, spacing: 1.0,
+        roundTo: 0.0, display, precision: 1, logUnmap: true
+      };
+    }
+
+    let inc = (max - min) / n;
+
+    const precInc = Math.floor(Math.log10(inc));
+    const roundTo = Math.pow(10.0, precInc);
+
+    inc = Math.round(inc / roundTo) * roundTo;
+    if (inc < roundTo) inc = roundTo;
+
+    // if inc is close to giving us powers of two, nudge it
+    if (Math.abs(inc - 0.301) < 0.015) {
+      inc = Math.log10(2.0);
+    }
+
+    let minTick = Math.ceil(min / roundTo) * roundTo;
+    if (minTick > max) minTick = max;
+
+    // smallest increment as displayed, between the two lowest ticks
+    const minDispInc = Math.pow(10.0, minTick + inc) - Math.pow(10.0, minTick);
+    let prec = Math.max(0, -Math.floor(Math.log10(minDispInc)));
+
+    if (prec > 4 || max > 6) {
+      // enough digits to distinguish two ticks
+      display = "scientific";
+      prec = Math.max(0, Math.ceil(-Math.log10(Math.pow(10.0, inc) - 1)));
+    }
+
+    return {
+      initial: minTick, limit: max, spacing: inc,
+      roundTo: 0.0, display, precision: prec, logUnmap: true
+    };
+  }
+
   _makeTick(display, precision, value) {
     if (display === "scientific") {
       return { value, label: value.toExponential(precision) };
@@ -131,9 +258,14 @@ export default class ScaleTickIntervals {
       if (instruction.roundTo !== 0.0) {
         value = instruction.roundTo * Math.round(value / instruction.roundTo);
       }
-      ticks.push(this._makeTick(instruction.display,
-                                instruction.precision,
-                                value));
+      const tick = this._makeTick(instruction.display,
+                                  instruction.precision,
+                                  value);
+      if (instruction.logUnmap) {
+        // place the tick at its displayed value
+        tick.value = parseFloat(tick.label);
+      }
+      ticks.push(tick);
       ++n;
     }
 
@@ -1,49 +1,192 @@
+// perceptual frequency scales, the frequencies are in Hz
+function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+  return 700 * (Math.pow(10, mel / 2595) - 1);
+}
+
+// Traunmüller's formula
+function hzToBark(hz) {
+  return 26.81 * hz / (1960 + hz) - 0.53;
+}
+
+function barkToHz(bark) {
+  return 1960 * (bark + 0.53) / (26.28 - bark);
+}
+
+function log10(value) {
+  return Math.log10(value);
+}
+
+log10.invert = (value) => Math.pow(10, value);
+hzToMel.invert = melToHz;
+hzToBark.invert = barkToHz;
+
 /**
- * Lightweight scales mimicing the `d3.js` functionnal API.
+ * A linear scale interpolating values between a `domain` and a `range`.
+ * @return {Function}
  */
-export default {
-  /**
-   * A linear scale interpolating values between a `domain` and a `range`.
-   * @return {Function}
-   */
-  linear() {
-    let _domain = [0, 1];
-    let _range = [0, 1];
+function linear() {
+  let _domain = [0, 1];
+  let _range = [0, 1];
 
-    let _slope = 1;
-    let _intercept = 0;
+  let _slope = 1;
+  let _intercept = 0;
 
-    function _updateCoefs() {
-      _slope = (_range[1] - _range[0]) / (_domain[1] - _domain[0]);
-      _intercept = _range[0] - (_slope * _domain[0]);
-    }
+  function _updateCoefs() {
+    _slope = (_range[1] - _range[0]) / (_domain[1] - _domain[0]);
+    _intercept = _range[0] - (_slope * _domain[0]);
+  }
 
-    function scale (value) {
-      return (_slope * value) + _intercept;
-    }
+  function scale (value) {
+    return (_slope * value) + _intercept;
+  }
 
-    scale.invert = function(value) {
-      return (value - _intercept) / _slope;
-    };
+  scale.type = 'linear';
 
-    scale.domain = function(arr = null) {
-      if (arr === null) { return _domain; }
+  scale.invert = function(value) {
+    return (value - _intercept) / _slope;
+  };
 
-      _domain = arr;
-      _updateCoefs();
+  scale.domain = function(arr = null) {
+    if (arr === null) { return _domain; }
 
-      return scale;
-    };
+    _domain = arr;
+    _updateCoefs();
 
-    scale.range = function(arr = null) {
-      if (arr === null) { return _range; }
+    return scale;
+  };
 
-      _range = arr;
-      _updateCoefs();
+  scale.range = function(arr = null) {
+    if (arr === null) { return _range; }
 
-      return scale;
-    };
+    _range = arr;
+    _updateCoefs();
 
     return scale;
+  };
+
+  scale.copy = function() {
+    return linear().domain(_domain.slice(0)).range(_range.slice(0));
+  };
+
+  return scale;
+}
+
+/**
+ * Creates a scale interpolating linearly between `range` and the `domain`
+ * transformed by the `warp` function (e.g. the logarithm of the values).
+ * The `warp` function must be monotonic and have an `invert` method.
+ */
+function warped(type, warp) {
+  let _domain = [0, 1];
+  const _linear = linear();
+
+  function scale(value) {
+    return _linear(warp(value));
   }
+
+  scale.type = type;
+  scale.warp = warp;
+
+  scale.invert = function(value) {
+    return warp.invert(_linear.invert(value));
+  };
+
+  scale.domain = function(arr = null) {
+    if (arr === null) { return _domain; }
+
+    _domain = arr;
+    _linear.domain(arr.map(warp));
+
+    return scale;
+  };
+
+  scale.range = function(arr = null) {
+    if (arr === null) { return _linear.range(); }
+
+    _linear.range(arr);
+
+    return scale;
+  };
+
+  scale.copy = function() {
+    return warped(type, warp).domain(_domain.slice(0)).range(_linear.range().slice(0));
+  };
+
+  return scale;
+}
+
+/**
+ * Lightweight scales mimicing the `d3.js` functionnal API. Besides
+ * `domain`, `range` and `invert`, each scale has a `type` (its name in this
+ * module) and a `copy` method. The non linear scales also expose the
+ * function applied to the values before the linear interpolation as
+ * `warp` (with its own `invert`), e.g. for `ScaleTickIntervals~fromScale`.
+ *
+ * All the scales can be used as the `valueToPixel` of a layer:
+ *
+ * ```js
+ * const layer = new ui.helpers.BreakpointLayer(pitches, {
+ *   yDomain: [50, 2000],
+ *   yScale: 'log',
+ * });
+ * ```
+ */
+export default {
+  linear,
+
+  /**
+   * A logarithmic (base 10) scale, the domain must be strictly positive,
+   * e.g. for frequencies.
+   * @return {Function}
+   */
+  log() {
+    return warped('log', log10);
+  },
+
+  /**
+   * A scale of amplitudes in decibels (`20 * log10(|value|)`), e.g. for a
+   * waveform. The sign of the values is kept, so that a domain such as
+   * `[-1, 1]` displays the negative amplitudes symmetrically, and the
+   * amplitudes below `floor` dB are displayed as `0`.
+   *
+   * @param {Number} [floor=-60] - The lowest displayed level, in dB.
+   * @return {Function}
+   */
+  db(floor = -60) {
+    const warp = function(value) {
+      const level = 20 * Math.log10(Math.abs(value)) - floor;
+      return level > 0 ? (value < 0 ? -level : level) : 0;
+    };
+
+    warp.invert = function(level) {
+      if (level === 0) { return 0; }
+
+      const amplitude = Math.pow(10, (Math.abs(level) + floor) / 20);
+      return level < 0 ? -amplitude : amplitude;
+    };
+
+    warp.floor = floor;
+
+    return warped('db', warp);
+  },
+
+  /**
+   * A mel scale, the domain being frequencies in Hz.
+   * @return {Function}
+   */
+  mel() {
+    return warped('mel', hzToMel);
+  },
+
+  /**
+   * A bark scale, the domain being frequencies in Hz.
+   * @return {Function}
+   */
+  bark() {
+    return warped('bark', hzToBark);
+  },
 };
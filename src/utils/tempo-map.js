@@ -0,0 +1,258 @@
+function parseSignature(signature) {
+  const parts = signature.split('/');
+  const numerator = parseInt(parts[0], 10);
+  const denominator = parseInt(parts[1], 10);
+
+  if (isNaN(numerator) || isNaN(denominator) || numerator <= 0 || denominator <= 0) {
+    throw new Error(`Invalid signature "${signature}"`);
+  }
+
+  return { numerator, denominator };
+}
+
+
+/**
+ * Maps the time (in seconds) to musical positions (bars and beats), with
+ * tempo and meter changes. The map is made of sections of constant tempo
+ * and meter, defined either by a list of change points (`new TempoMap`)
+ * or by the beat times given by a beat tracker (`TempoMap.fromBeats`).
+ *
+ * As in `gridAxisGenerator`, the beats are the units of the meter (e.g.
+ * eighth notes in `'6/8'`) and the tempo counts these units per minute.
+ * Bars and beats are numbered from 1. The map is extrapolated before the
+ * first section (bar 0, -1, ...) and after the last one.
+ *
+ * The same map can be used to draw a grid (`tempoAxisGenerator`), to snap
+ * the edited positions (`Snapper`, through the grid) and to format the
+ * times (`format`).
+ *
+ * ```js
+ * const tempoMap = new ui.utils.TempoMap([
+ *   { time: 0, bpm: 120, signature: '4/4' },
+ *   { time: 16, bpm: 90 },                 // bar 9
+ *   { time: 32, signature: '3/4' },
+ * ]);
+ *
+ * tempoMap.format(17.5); // '9:3'
+ * timeline.snapper.params.grid = ui.axis.tempoAxisGenerator(tempoMap);
+ * ```
+ */
+export default class TempoMap {
+  /**
+   * @param {Array<Object>} changes - The change points, `{ time, bpm,
+   *    signature }` objects. Each change starts a new bar, the omitted
+   *    `bpm` or `signature` are kept from the previous change (the first
+   *    change defaults to `60` and `'4/4'`).
+   */
+  constructor(changes) {
+    if (!changes.length) { throw new Error('A tempo map needs at least one change'); }
+
+    changes = changes.slice(0).sort((a, b) => a.time - b.time);
+
+    let bpm = 60;
+    let signature = '4/4';
+    let bar = 1;
+    let previous = null;
+
+    this._sections = changes.map((change) => {
+      if (change.bpm !== undefined) { bpm = change.bpm; }
+      if (change.signature !== undefined) { signature = change.signature; }
+
+      // an incomplete last bar is counted as a whole bar
+      if (previous !== null) {
+        const beats = (change.time - previous.time) / previous.beatDuration;
+        bar += Math.ceil(beats / previous.numerator - 1e-9);
+      }
+
+      const { numerator, denominator } = parseSignature(signature);
+      const section = {
+        time: change.time,
+        beatDuration: 60 / bpm,
+        numerator,
+        denominator,
+        bar,
+        beatInBar: 0,
+      };
+
+      previous = section;
+      return section;
+    });
+  }
+
+  /**
+   * Creates a tempo map from a list of beat times, e.g. the output of a
+   * beat tracker. The map is extrapolated with the first and last beat
+   * durations.
+   *
+   * @param {Array<Number>} beats - The times of the beats (at least 2
+   *    distinct ones). Duplicated times are counted once.
+   * @param {Object} [options={}] - Options.
+   * @param {String} [options.signature='4/4'] - The meter.
+   * @param {Number} [options.firstBeat=1] - The position of the first beat
+   *    in its bar, e.g. `4` if the music starts with an upbeat in `'4/4'`.
+   * @return {TempoMap}
+   */
+  static fromBeats(beats, { signature = '4/4', firstBeat = 1 } = {}) {
+    beats = beats.slice(0).sort((a, b) => a - b)
+      // a beat of null duration would never end
+      .filter((time, index, sorted) => index === 0 || time !== sorted[index - 1]);
+
+    if (beats.length < 2) { throw new Error('A tempo map needs at least two beats'); }
+
+    const { numerator, denominator } = parseSignature(signature);
+    // the first bar is numbered 1 even if it is incomplete
+    const startIndex = firstBeat - 1;
+    const tempoMap = Object.create(TempoMap.prototype);
+
+    tempoMap._sections = beats.map((time, index) => {
+      const next = index < beats.length - 1 ? index + 1 : index;
+      const beatDuration = beats[next] - beats[next - 1];
+      const position = startIndex + index;
+
+      return {
+        time,
+        beatDuration,
+        numerator,
+        denominator,
+        bar: 1 + Math.floor(position / numerator),
+        beatInBar: position % numerator,
+      };
+    });
+
+    return tempoMap;
+  }
+
+  /**
+   * Returns the meter and tempo at a given time.
+   *
+   * @param {Number} time - Time in seconds.
+   * @return {Object} - `{ bpm, numerator, denominator, beatDuration }`
+   */
+  getTempo(time) {
+    const { beatDuration, numerator, denominator } = this._getSection(time);
+    return { bpm: 60 / beatDuration, numerator, denominator, beatDuration };
+  }
+
+  /**
+   * Returns the musical position at a given time.
+   *
+   * @param {Number} time - Time in seconds.
+   * @return {Object} - `{ bar, beat, fraction }`, `bar` and `beat` are
+   *    integers starting from 1, `fraction` is the position in the beat
+   *    (in `[0, 1[`).
+   */
+  getPosition(time) {
+    const section = this._getSection(time);
+    const numerator = section.numerator;
+    const beats = section.beatInBar + (time - section.time) / section.beatDuration;
+    // avoid floating point errors on the beats
+    const rounded = Math.abs(beats - Math.round(beats)) < 1e-9 ? Math.round(beats) : beats;
+    const beatIndex = Math.floor(rounded);
+
+    return {
+      bar: section.bar + Math.floor(beatIndex / numerator),
+      beat: ((beatIndex % numerator) + numerator) % numerator + 1,
+      fraction: rounded - beatIndex,
+    };
+  }
+
+  /**
+   * Returns the time of a musical position.
+   *
+   * @param {Number} bar - The bar, starting from 1.
+   * @param {Number} [beat=1] - The beat in the bar, starting from 1, can be
+   *    fractional.
+   * @return {Number} - Time in seconds.
+   */
+  getTime(bar, beat = 1) {
+    const sections = this._sections;
+    let section = sections[0];
+
+    for (let i = 1; i < sections.length; i++) {
+      const candidate = sections[i];
+      const after = candidate.bar < bar ||
+        (candidate.bar === bar && candidate.beatInBar <= beat - 1);
+
+      if (!after) { break; }
+      section = candidate;
+    }
+
+    const beats = (bar - section.bar) * section.numerator + (beat - 1) - section.beatInBar;
+    return section.time + beats * section.beatDuration;
+  }
+
+  /**
+   * Returns the beats between two times.
+   *
+   * @param {Number} start - Start time in seconds.
+   * @param {Number} end - End time in seconds (excluded).
+   * @return {Array<Object>} - `{ time, bar, beat, beatDuration, numerator }`
+   *    objects.
+   */
+  getBeats(start, end) {
+    const sections = this._sections;
+    const beats = [];
+
+    for (let i = this._getSectionIndex(start); i < sections.length; i++) {
+      const section = sections[i];
+      const { time, beatDuration, numerator } = section;
+      if (time >= end && i > 0) { break; }
+
+      const sectionEnd = i < sections.length - 1 ? Math.min(sections[i + 1].time, end) : end;
+      // the first section is extrapolated backward
+      const first = Math.max(Math.ceil((start - time) / beatDuration - 1e-9), i === 0 ? -Infinity : 0);
+
+      for (let k = first; time + k * beatDuration < sectionEnd - 1e-9; k++) {
+        const position = section.beatInBar + k;
+        const beatIndex = ((position % numerator) + numerator) % numerator;
+
+        beats.push({
+          time: time + k * beatDuration,
+          bar: section.bar + Math.floor(position / numerator),
+          beat: beatIndex + 1,
+          beatDuration,
+          numerator,
+        });
+      }
+    }
+
+    return beats;
+  }
+
+  /**
+   * Formats a time as a musical position, `'bar:beat'` (e.g. `'12:3'`),
+   * with the position in the beat as decimals if `digits > 0` (e.g.
+   * `'12:3.50'`).
+   *
+   * @param {Number} time - Time in seconds.
+   * @param {Number} [digits=0] - Number of decimals of the beats.
+   * @return {String}
+   */
+  format(time, digits = 0) {
+    const { bar, beat, fraction } = this.getPosition(time);
+
+    if (digits === 0) { return `${bar}:${beat}`; }
+
+    // the rounding must not reach the next beat
+    const decimals = Math.min(fraction, 1 - Math.pow(10, -digits)).toFixed(digits);
+    return `${bar}:${beat}${decimals.slice(1)}`;
+  }
+
+  _getSectionIndex(time) {
+    const sections = this._sections;
+    let low = 0;
+    let high = sections.length - 1;
+
+    // last section starting before `time`, the first one otherwise
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (sections[mid].time <= time + 1e-9) { low = mid; } else { high = mid - 1; }
+    }
+
+    return low;
+  }
+
+  _getSection(time) {
+    return this._sections[this._getSectionIndex(time)];
+  }
+}
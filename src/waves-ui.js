@@ -1,9 +1,17 @@
 // core
+import Clipboard from './core/clipboard';
+import History from './core/history';
 import LayerTimeContext from './core/layer-time-context';
 import Layer from './core/layer';
 import namespace from './core/namespace';
+import Nudger from './core/nudger';
+import Playhead from './core/playhead';
+import RenderScheduler from './core/render-scheduler';
+import Snapper from './core/snapper';
+import TimeSelection from './core/time-selection';
 import TimelineTimeContext from './core/timeline-time-context';
 import Timeline from './core/timeline';
+import TimelineLink from './core/timeline-link';
 import TrackCollection from './core/track-collection';
 import Track from './core/track';
 
@@ -11,6 +19,7 @@ import Track from './core/track';
 import AnnotatedMarker from './shapes/annotated-marker';
 import AnnotatedSegment from './shapes/annotated-segment';
 import BaseShape from './shapes/base-shape';
+import ColourBar from './shapes/colour-bar';
 import Crosshairs from './shapes/crosshairs';
 import Cursor from './shapes/cursor';
 import Dot from './shapes/dot';
@@ -35,6 +44,8 @@ import TraceBehavior from './behaviors/trace-behavior';
 // interactions
 import EventSource from './interactions/event-source';
 import Keyboard from './interactions/keyboard';
+import Keymap from './interactions/keymap';
+import PointerSurface from './interactions/pointer-surface';
 import Surface from './interactions/surface';
 import WaveEvent from './interactions/wave-event';
 
@@ -44,14 +55,23 @@ import BreakpointState from './states/breakpoint-state';
 import BrushZoomState from './states/brush-zoom-state';
 import CenteredZoomState from './states/centered-zoom-state';
 import ContextEditionState from './states/context-edition-state';
+import CreationState from './states/creation-state';
 import EditionState from './states/edition-state';
+import MarkerCreationState from './states/marker-creation-state';
+import OverviewState from './states/overview-state';
+import ScrollZoomState from './states/scroll-zoom-state';
+import SegmentCreationState from './states/segment-creation-state';
 import SelectionState from './states/selection-state';
 import SimpleEditionState from './states/simple-edition-state';
+import TimeSelectionState from './states/time-selection-state';
+import TrackResizeState from './states/track-resize-state';
+import VerticalZoomState from './states/vertical-zoom-state';
 
 // helpers
 import AnnotatedMarkerLayer from './helpers/annotated-marker-layer';
 import AnnotatedSegmentLayer from './helpers/annotated-segment-layer';
 import BreakpointLayer from './helpers/breakpoint-layer';
+import ColourBarLayer from './helpers/colour-bar-layer';
 import CursorLayer from './helpers/cursor-layer';
 import GridAxisLayer from './helpers/grid-axis-layer';
 import HighlightLayer from './helpers/highlight-layer';
@@ -70,41 +90,50 @@ import WaveformLayer from './helpers/waveform-layer';
 import AxisLayer from './axis/axis-layer';
 import timeAxisGenerator from './axis/time-axis-generator';
 import gridAxisGenerator from './axis/grid-axis-generator';
+import tempoAxisGenerator from './axis/tempo-axis-generator';
 
 // utils
+import colourMaps from './utils/colour-maps';
+import diagnostics from './utils/diagnostics';
 import format from './utils/format';
 import MatrixEntity from './utils/matrix-entity';
 import OrthogonalData from './utils/orthogonal-data';
 import PrefilledMatrixEntity from './utils/prefilled-matrix-entity';
 import scales from './utils/scales';
+import TempoMap from './utils/tempo-map';
 
 export default {
   core: {
-    LayerTimeContext, Layer, namespace,
-    TimelineTimeContext, Timeline, TrackCollection, Track
+    Clipboard, History, LayerTimeContext, Layer, namespace, Nudger,
+    Playhead, RenderScheduler, Snapper, TimeSelection, TimelineTimeContext,
+    Timeline, TimelineLink, TrackCollection, Track
   },
   shapes: {
-    AnnotatedMarker, AnnotatedSegment, BaseShape, Crosshairs, Cursor,
+    AnnotatedMarker, AnnotatedSegment, BaseShape, ColourBar, Crosshairs, Cursor,
     Dot, Line, Marker, Matrix, Scale, Segment, Ticks, TracePath, TraceDots, Waveform
   },
   behaviors: {
     BaseBehavior, BreakpointBehavior, MarkerBehavior, SegmentBehavior,
     TimeContextBehavior, TraceBehavior
   },
-  interactions: { EventSource, Keyboard, Surface, WaveEvent },
+  interactions: { EventSource, Keyboard, Keymap, PointerSurface, Surface, WaveEvent },
   states: {
     BaseState, BreakpointState, BrushZoomState, CenteredZoomState,
-    ContextEditionState, EditionState, SelectionState, SimpleEditionState
+    ContextEditionState, CreationState, EditionState, MarkerCreationState,
+    OverviewState, ScrollZoomState, SegmentCreationState, SelectionState,
+    SimpleEditionState, TimeSelectionState, TrackResizeState,
+    VerticalZoomState
   },
   helpers: {
-    AnnotatedMarkerLayer, AnnotatedSegmentLayer, BreakpointLayer,
+    AnnotatedMarkerLayer, AnnotatedSegmentLayer, BreakpointLayer, ColourBarLayer,
     CursorLayer, GridAxisLayer, HighlightLayer, LineLayer, MarkerLayer, MatrixLayer, PianoRollLayer,
     ScaleLayer, SegmentLayer, TickLayer, TimeAxisLayer, TraceLayer, WaveformLayer
   },
   axis: {
-    AxisLayer, timeAxisGenerator, gridAxisGenerator
+    AxisLayer, timeAxisGenerator, gridAxisGenerator, tempoAxisGenerator
   },
   utils: {
-    format, MatrixEntity, OrthogonalData, PrefilledMatrixEntity, scales
+    colourMaps, diagnostics, format, MatrixEntity, OrthogonalData, PrefilledMatrixEntity, scales,
+    TempoMap
   }
 };
@@ -0,0 +1,33 @@
+const test = require('tape');
+
+import TempoMap from '../../src/utils/tempo-map';
+import tempoAxisGenerator from '../../src/axis/tempo-axis-generator';
+
+
+function timeContext(pixelsPerSecond, visibleDuration, offset = 0) {
+  return { computedPixelsPerSecond: pixelsPerSecond, visibleDuration, offset };
+}
+
+test('tempoAxisGenerator - density according to the zoom', (assert) => {
+  // 1 beat per second, then 2 beats per second
+  const tempoMap = new TempoMap([{ time: 0, bpm: 60, signature: '4/4' }, { time: 4, bpm: 120 }]);
+  const generator = tempoAxisGenerator(tempoMap);
+
+  let data = generator(timeContext(10, 6));
+  assert.deepEqual(data.map((d) => [d.time, d.focused, d.label]), [
+    [0, true, '1'], [1, false, ''], [2, false, ''], [3, false, ''], [4, true, '2'],
+  ], "Bars are labelled, beats are shown when there is room");
+
+  data = generator(timeContext(15, 4));
+  assert.deepEqual(data.map((d) => d.time), [0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5], "Beats are divided in 2");
+
+  data = generator(timeContext(100, 2, -4));
+  assert.deepEqual(data.filter((d) => d.label !== '').map((d) => d.label), ['2', '2:2', '2:3', '2:4'],
+    "Beats are labelled when zoomed in");
+  assert.deepEqual(data.slice(0, 4).map((d) => d.time), [4, 4.125, 4.25, 4.375], "Beats are divided in 4");
+
+  data = generator(timeContext(0.5, 80));
+  assert.deepEqual(data.map((d) => d.label), ['1', '', '', '', '33'],
+    "Only some bars are kept and labelled when zoomed out");
+  assert.end();
+});
@@ -0,0 +1,71 @@
+const test = require('tape');
+
+import TempoMap from '../../src/utils/tempo-map';
+import timeAxisGenerator from '../../src/axis/time-axis-generator';
+
+
+function timeContext(pixelsPerSecond, visibleDuration, offset = 0) {
+  return { computedPixelsPerSecond: pixelsPerSecond, visibleDuration, offset };
+}
+
+function labels(data) {
+  return data.filter((d) => d.label !== '').map((d) => d.label);
+}
+
+test('timeAxisGenerator - hms', (assert) => {
+  const generator = timeAxisGenerator();
+
+  let data = generator(timeContext(100, 10));
+  assert.deepEqual(labels(data).slice(0, 3), ['0:00:00', '0:00:01', '0:00:02'], "Labels every second");
+  assert.deepEqual(data.slice(0, 3).map((d) => [d.time, d.focused]), [[0, true], [0.1, false], [0.2, false]],
+    "Unlabelled ticks between the labels");
+
+  data = generator(timeContext(10, 60, -3600));
+  assert.deepEqual(labels(data).slice(0, 3), ['1:00:00', '1:00:05', '1:00:10'], "Hours are not wrapped");
+
+  data = generator(timeContext(100000, 0.01));
+  assert.deepEqual(labels(data).slice(0, 2), ['0:00:00.000', '0:00:00.001'], "Milliseconds when zoomed in");
+  assert.end();
+});
+
+test('timeAxisGenerator - other formats', (assert) => {
+  let data = timeAxisGenerator({ format: 'seconds' })(timeContext(100, 10));
+  assert.deepEqual(labels(data).slice(0, 3), ['0.0', '0.5', '1.0'], "Plain seconds");
+
+  data = timeAxisGenerator({ format: 'timecode', frameRate: 25 })(timeContext(1000, 0.5));
+  assert.deepEqual(labels(data).slice(0, 3), ['00:00:00:00', '00:00:00:02', '00:00:00:04'], "Timecode");
+
+  data = timeAxisGenerator({ format: 'samples', sampleRate: 1000 })(timeContext(1000, 1));
+  assert.deepEqual(labels(data).slice(0, 3), ['0', '50', '100'], "Sample frames");
+
+  const tempoMap = new TempoMap([{ time: 0, bpm: 60, signature: '4/4' }]);
+  data = timeAxisGenerator({ format: 'bars', tempoMap })(timeContext(10, 10));
+  assert.deepEqual(labels(data), ['1', '2', '3'], "Bars from the tempo map");
+
+  assert.throws(() => timeAxisGenerator({ format: 'bars' }), "The bars format needs a tempo map");
+  assert.throws(() => timeAxisGenerator({ format: 'minutes' }), "Invalid format");
+  assert.end();
+});
+
+test('timeAxisGenerator - labels never overlap', (assert) => {
+  const tempoMap = new TempoMap([{ time: 0, bpm: 60, signature: '4/4' }]);
+  let overlaps = 0;
+
+  ['hms', 'seconds', 'timecode', 'samples', 'bars'].forEach((format) => {
+    const generator = timeAxisGenerator({ format, tempoMap });
+
+    [0.01, 0.3, 1, 7, 42, 250, 3000, 50000].forEach((pixelsPerSecond) => {
+      const duration = 1000 / pixelsPerSecond;
+      const data = generator(timeContext(pixelsPerSecond, duration, - 3590));
+      const labelled = data.filter((d) => d.label !== '');
+
+      for (let i = 1; i < labelled.length; i++) {
+        const distance = (labelled[i].time - labelled[i - 1].time) * pixelsPerSecond;
+        if (distance < labelled[i - 1].label.length * 6) { overlaps += 1; }
+      }
+    });
+  });
+
+  assert.equal(overlaps, 0);
+  assert.end();
+});
@@ -44,3 +44,27 @@ test("Edit Breakpoint Behavior", (assert) => {
   assert.equal(layer.data[0].cy, 0.1);
   assert.end();
 })
+
+test("Edit Breakpoint Behavior - log scale", (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline();
+  const track = timeline.createTrack(trackDiv);
+  const timeContext = new LayerTimeContext(timeline.timeContext)
+  const data = [{ cx: 0, cy: 100 }, { cx: 12, cy: 1000 }];
+  const layer = new Layer('collection', data, { yDomain: [10, 1000], yScale: 'log' });
+  layer.setTimeContext(timeContext);
+  layer.configureShape(Dot);
+  layer.setBehavior(new BreakpointBehavior());
+  layer.timeContext.duration = 12;
+  timeline.addLayer(layer, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+  const item = layer.items[0];
+  layer.edit(item, 0, -10, undefined);
+
+  // 100 is displayed at 50px, 60px is 10^2.2
+  assert.ok(Math.abs(layer.data[0].cy - Math.pow(10, 2.2)) < 1e-9);
+  assert.equal(Math.round(layer.valueToPixel(layer.data[0].cy)), 60);
+  assert.end();
+})
@@ -57,3 +57,34 @@ test('SegmentBehavior', (assert) => {
 
   assert.end();
 });
+
+test('SegmentBehavior - log scale', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+
+  const timeline = new Timeline();
+  const track = timeline.createTrack(trackDiv);
+  const timeContext = new LayerTimeContext(timeline.timeContext)
+  const data = [{ x: 0, width: 3, y: 10, height: 90 }];
+  const layer = new Layer('collection', data, { yDomain: [10, 1000], yScale: 'log' });
+  layer.setTimeContext(timeContext);
+  layer.configureShape(Segment);
+  layer.setBehavior(new SegmentBehavior());
+  layer.timeContext.duration = 12;
+  timeline.addLayer(layer, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+  const item = layer.items[0];
+  const shape = layer._$itemShapeMap.get(item);
+
+  layer.edit(item, 0, -10, shape.$segment);
+
+  const datum = layer.data[0];
+  const y = layer.valueToPixel(datum.y);
+  const height = layer.valueToPixel(datum.y + datum.height) - y;
+
+  assert.ok(Math.abs(y - 10) < 1e-9, "The segment is moved in pixels");
+  assert.ok(Math.abs(height - 50) < 1e-9, "The displayed height is kept");
+  assert.ok(Math.abs(datum.y - Math.pow(10, 1.2)) < 1e-9);
+  assert.end();
+});
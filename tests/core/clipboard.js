@@ -0,0 +1,189 @@
+const test = require('tape');
+
+import Layer from '../../src/core/layer';
+import Marker from '../../src/shapes/marker';
+import MarkerBehavior from '../../src/behaviors/marker-behavior';
+import Segment from '../../src/shapes/segment';
+import SegmentBehavior from '../../src/behaviors/segment-behavior';
+import Timeline from '../../src/core/timeline';
+
+
+test('Clipboard - copy and paste keep the relative timing', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+
+  const segmentLayer = new Layer('collection', [
+    { x: 1, width: 1, color: 'red' },
+    { x: 3, width: 0.5, color: 'blue' },
+    { x: 5, width: 2, color: 'green' },
+  ]);
+  segmentLayer.configureShape(Segment);
+  segmentLayer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(segmentLayer, track);
+
+  // same kind of shape, other data structure and time context
+  const otherLayer = new Layer('collection', []);
+  otherLayer.configureShape(Segment, {
+    x: (d, v = null) => { if (v === null) { return d.start; } d.start = v; },
+    width: (d, v = null) => { if (v === null) { return d.duration; } d.duration = v; },
+  });
+  otherLayer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(otherLayer, track);
+  otherLayer.start = 2;
+
+  const markerLayer = new Layer('collection', [{ x: 4 }]);
+  markerLayer.configureShape(Marker);
+  markerLayer.setBehavior(new MarkerBehavior());
+  timeline.addLayer(markerLayer, track);
+
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const clipboard = timeline.clipboard;
+  const [$first, , $last] = segmentLayer.items;
+
+  assert.equal(clipboard.copy(), 0, "Nothing selected");
+  assert.equal(clipboard.isEmpty, true);
+
+  segmentLayer.select($first, $last);
+  markerLayer.select();
+  assert.equal(clipboard.copy(), 3);
+  assert.equal(clipboard.origin, 1, "Earliest copied item");
+
+  const pasted = clipboard.paste(segmentLayer, 10);
+  assert.equal(pasted.length, 2, "Only the items of the same kind are pasted");
+  assert.deepEqual(segmentLayer.data.slice(3).map((d) => [d.x, d.width, d.color]),
+    [[10, 1, 'red'], [14, 2, 'green']]);
+  assert.deepEqual(segmentLayer.selectedItems, pasted, "Pasted items are selected");
+  assert.deepEqual(markerLayer.selectedItems, [], "Previous selection is cleared");
+
+  clipboard.paste(otherLayer, 10);
+  assert.deepEqual(otherLayer.data.map((d) => [d.start, d.duration]), [[8, 1], [12, 2]],
+    "Datums are created through the accessors, in the time of the layer");
+
+  clipboard.paste();
+  assert.equal(markerLayer.data.length, 2, "Pasted in the original layers");
+  assert.equal(markerLayer.data[1].x, 4, "At the original time");
+
+  timeline.undo();
+  assert.equal(markerLayer.data.length, 1, "A paste is a single command");
+  assert.equal(segmentLayer.data.length, 5);
+  assert.end();
+});
+
+test('Clipboard - cut', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+
+  const segmentLayer = new Layer('collection', [
+    { x: 1, width: 1, color: 'red' },
+    { x: 3, width: 0.5, color: 'blue' },
+    { x: 5, width: 2, color: 'green' },
+  ]);
+  segmentLayer.configureShape(Segment);
+  segmentLayer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(segmentLayer, track);
+
+  // same kind of shape, other data structure and time context
+  const otherLayer = new Layer('collection', []);
+  otherLayer.configureShape(Segment, {
+    x: (d, v = null) => { if (v === null) { return d.start; } d.start = v; },
+    width: (d, v = null) => { if (v === null) { return d.duration; } d.duration = v; },
+  });
+  otherLayer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(otherLayer, track);
+  otherLayer.start = 2;
+
+  const markerLayer = new Layer('collection', [{ x: 4 }]);
+  markerLayer.configureShape(Marker);
+  markerLayer.setBehavior(new MarkerBehavior());
+  timeline.addLayer(markerLayer, track);
+
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const clipboard = timeline.clipboard;
+  const datum = segmentLayer.data[1];
+  let removed = null;
+
+  segmentLayer.on('change:data', (e) => removed = e.removed);
+  segmentLayer.select(segmentLayer.getItemFromDatum(datum));
+
+  assert.equal(clipboard.cut(segmentLayer), 1);
+  assert.deepEqual(removed, [datum]);
+  assert.equal(segmentLayer.data.indexOf(datum), -1);
+  assert.equal(segmentLayer.items.length, 2, "Item is removed");
+
+  timeline.undo();
+  assert.equal(segmentLayer.data.indexOf(datum), 1, "Cut can be undone");
+
+  clipboard.paste(segmentLayer, 0);
+  assert.deepEqual(segmentLayer.data[3], { x: 0, y: 0, width: 0.5, height: 1, color: 'blue', opacity: 1 });
+  assert.end();
+});
+
+test('Clipboard - keyboard commands and system clipboard', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+
+  const segmentLayer = new Layer('collection', [
+    { x: 1, width: 1, color: 'red' },
+    { x: 3, width: 0.5, color: 'blue' },
+    { x: 5, width: 2, color: 'green' },
+  ]);
+  segmentLayer.configureShape(Segment);
+  segmentLayer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(segmentLayer, track);
+
+  // same kind of shape, other data structure and time context
+  const otherLayer = new Layer('collection', []);
+  otherLayer.configureShape(Segment, {
+    x: (d, v = null) => { if (v === null) { return d.start; } d.start = v; },
+    width: (d, v = null) => { if (v === null) { return d.duration; } d.duration = v; },
+  });
+  otherLayer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(otherLayer, track);
+  otherLayer.start = 2;
+
+  const markerLayer = new Layer('collection', [{ x: 4 }]);
+  markerLayer.configureShape(Marker);
+  markerLayer.setBehavior(new MarkerBehavior());
+  timeline.addLayer(markerLayer, track);
+
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  let written = null;
+
+  Object.defineProperty(navigator, 'clipboard', {
+    configurable: true,
+    value: { writeText: (text) => { written = text; return Promise.resolve(); } },
+  });
+
+  segmentLayer.select(segmentLayer.items[0]);
+  assert.equal(timeline._handleCommand('copy', {}), true);
+  assert.deepEqual(JSON.parse(written), {
+    origin: 1,
+    groups: [{
+      shape: 'segment',
+      items: [{ x: 0, y: 0, width: 1, height: 1, color: 'red', opacity: 1 }],
+    }],
+  }, "Copied items are written in the system clipboard");
+
+  delete navigator.clipboard;
+
+  // pointer over the other layer at 6 seconds
+  timeline.emit('event', { source: 'surface', type: 'mousemove', x: 600 }, [otherLayer]);
+  assert.equal(timeline._handleCommand('paste', {}), true);
+  assert.deepEqual(otherLayer.data.map((d) => d.start), [4], "Pasted at the pointer in the hovered layer");
+
+  timeline.clipboard.clear();
+  assert.equal(timeline._handleCommand('paste', {}), false, "Nothing to paste");
+  assert.end();
+});
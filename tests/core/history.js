@@ -0,0 +1,132 @@
+const test = require('tape');
+
+import History from '../../src/core/history';
+import Layer from '../../src/core/layer';
+import LayerTimeContext from '../../src/core/layer-time-context';
+import Segment from '../../src/shapes/segment';
+import SegmentBehavior from '../../src/behaviors/segment-behavior';
+import Timeline from '../../src/core/timeline';
+
+
+test('History - record, undo and redo a gesture', (assert) => {
+  const history = new History();
+  const datum = { x: 0, width: 1 };
+  const data = [datum];
+
+  assert.equal(history.canUndo, false, "Nothing to undo at creation");
+
+  // records outside a gesture are ignored
+  history.recordDatum(datum);
+  datum.x = 1;
+  assert.equal(history.canUndo, false, "Records outside a gesture are ignored");
+
+  history.begin('move');
+  history.recordDatum(datum);
+  datum.x = 2;
+  history.recordDatum(datum); // recorded only once
+  datum.x = 3;
+  history.recordData(data);
+  data.push({ x: 10, width: 1 });
+  history.end();
+
+  assert.equal(history.canUndo, true, "The gesture is undoable");
+
+  history.undo();
+  assert.equal(datum.x, 1, "Datum is restored to its state before the gesture");
+  assert.equal(data.length, 1, "Added datum is removed");
+  assert.equal(data[0], datum, "Datum reference is kept");
+  assert.equal(history.canRedo, true, "The gesture can be redone");
+
+  history.redo();
+  assert.equal(datum.x, 3, "Datum is restored to its state after the gesture");
+  assert.equal(data.length, 2, "Datum is added again");
+
+  // empty gestures do not create commands
+  history.begin();
+  history.end();
+  history.undo();
+  assert.equal(datum.x, 1, "Empty gestures are not recorded");
+  assert.equal(history.canUndo, false);
+
+  assert.end();
+});
+
+test('History - layer edits are recorded by the timeline', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+
+  const timeline = new Timeline();
+  const track = timeline.createTrack(trackDiv);
+  const timeContext = new LayerTimeContext(timeline.timeContext);
+  const data = [{ width: 3, x: 0 }];
+  const layer = new Layer('collection', data);
+  layer.setTimeContext(timeContext);
+  layer.configureShape(Segment);
+  layer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(layer, track);
+
+  const item = layer.items[0];
+  const shape = layer._$itemShapeMap.get(item);
+
+  // a drag made of several moves
+  timeline.history.begin();
+  layer.edit(item, 10, 0, shape.$segment);
+  layer.edit(item, 10, 0, shape.$segment);
+  timeline.history.end();
+  // a direct call is a gesture by itself
+  layer.edit(item, 10, 0, shape.$leftHandler);
+
+  assert.equal(layer.data[0].x, 0.3);
+  assert.equal(layer.data[0].width, 2.9);
+
+  timeline.undo();
+  assert.equal(layer.data[0].x, 0.2);
+  assert.equal(layer.data[0].width, 3);
+
+  timeline.undo();
+  assert.equal(layer.data[0].x, 0);
+
+  timeline.redo();
+  assert.equal(layer.data[0].x, 0.2);
+
+  // context edition
+  layer.editContext(100, 0, layer.contextShape.$segment);
+  assert.equal(layer.start, 1);
+  timeline.undo();
+  assert.equal(layer.start, 0);
+
+  assert.end();
+});
+
+test('History - close the gestures whose end is lost', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+
+  const timeline = new Timeline();
+  const track = timeline.createTrack(trackDiv);
+  const datum = { x: 0 };
+  const history = timeline.history;
+
+  // mousedown without mouseup
+  history.begin('move');
+  history.recordDatum(datum);
+  datum.x = 1;
+
+  timeline._handleEvent({ source: 'surface', type: 'mousedown', x: 0, y: 0,
+    $container: track.$el, originalEvent: {} });
+  assert.equal(history.inTransaction, false, "A new gesture closes the previous one");
+  assert.equal(history.undo(), true);
+  assert.equal(datum.x, 0);
+
+  history.begin('move');
+  history.begin('move');
+  history.recordDatum(datum);
+  datum.x = 2;
+  window.dispatchEvent(new Event('blur'));
+  assert.equal(history.inTransaction, false, "Nested gestures are closed on blur");
+  assert.equal(history.undo(), true);
+  assert.equal(datum.x, 0);
+
+  timeline.destroy();
+  assert.end();
+});
@@ -2,6 +2,8 @@ const test = require('tape');
 
 import Layer from '../../src/core/layer';
 import LayerTimeContext from '../../src/core/layer-time-context';
+import Segment from '../../src/shapes/segment';
+import SegmentBehavior from '../../src/behaviors/segment-behavior';
 import Timeline from '../../src/core/timeline';
 
 
@@ -56,3 +58,91 @@ test('Wider layer with default params', (assert) => {
   assert.end();
 });
 
+
+test('Layer yDomain limits and change event', (assert) => {
+  const layer = new Layer('collection', [], { yDomain: [-1, 1] });
+  const events = [];
+
+  assert.deepEqual(layer.yDomainLimits, [-1, 1], "Limits default to the initial yDomain");
+
+  layer.on('change:yDomain', (e) => events.push(e));
+  layer.yDomain = [0, 0.5];
+
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0].yDomain, [0, 0.5]);
+  assert.deepEqual(events[0].previous, [-1, 1]);
+  assert.deepEqual(layer.yDomainLimits, [-1, 1], "Limits are not modified by yDomain");
+
+  layer.yDomain = [0, 0.5];
+  assert.equal(events.length, 1, "No event if the domain is unchanged");
+  assert.end();
+});
+
+test('Layer selection, edition and context change events', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline();
+  const track = timeline.createTrack(trackDiv);
+  const layer = new Layer('collection', [{ x: 0, width: 1 }, { x: 2, width: 1 }]);
+  layer.configureShape(Segment);
+  layer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(layer, track);
+
+  const events = {};
+  ['select', 'unselect', 'change:datums', 'change:context'].forEach((name) => {
+    events[name] = [];
+    layer.on(name, (e) => events[name].push(e));
+  });
+
+  const [item1, item2] = layer.items;
+  layer.select(item1);
+  layer.select(item1, item2);
+  assert.deepEqual(events.select.map((e) => e.items.length), [1, 1], "Only newly selected items are notified");
+  assert.equal(events.select[1].items[0], item2);
+  assert.equal(events.select[1].datums[0], layer.data[1]);
+
+  layer.unselect();
+  assert.equal(events.unselect.length, 1);
+  assert.equal(events.unselect[0].items.length, 2);
+  layer.unselect();
+  assert.equal(events.unselect.length, 1, "Nothing is notified if nothing was selected");
+
+  const shape = layer._$itemShapeMap.get(item1);
+  layer.edit(item1, 10, 0, shape.$segment);
+  assert.equal(events['change:datums'].length, 1);
+  assert.equal(events['change:datums'][0].datums[0], layer.data[0]);
+  assert.deepEqual(events['change:datums'][0].previous, [{ x: 0, width: 1 }]);
+  assert.equal(layer.data[0].x, 0.1);
+
+  layer.editContext(100, 0, layer.contextShape.$segment);
+  const change = events['change:context'][0];
+  assert.equal(change.previous.start, 0);
+  assert.equal(change.current.start, 1);
+  assert.end();
+});
+
+test('Layer geometry based hit testing', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline();
+  const track = timeline.createTrack(trackDiv, 200);
+  const layer = new Layer('collection', [{ x: 1, width: 1 }, { x: 4, width: 2 }], { top: 50, height: 100 });
+  layer.configureShape(Segment);
+  layer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(layer, track);
+
+  assert.deepEqual(layer.getBoundingBox(), { left: 0, top: 50, width: 1000, height: 100 });
+  assert.equal(layer.hitTest(150, 100), true);
+  assert.equal(layer.hitTest(150, 20), false, "Above the layer");
+
+  const [item1, item2] = layer.items;
+  assert.equal(layer.getItemFromPosition(150, 100), item1);
+  assert.equal(layer.getItemFromPosition(500, 100), item2);
+  assert.equal(layer.getItemFromPosition(300, 100), null);
+
+  const e = { source: 'surface', $container: trackDiv, x: 150, y: 100 };
+  assert.deepEqual(timeline.getHitLayers(e), [layer]);
+  e.y = 180;
+  assert.deepEqual(timeline.getHitLayers(e), [], "Below the layer");
+  assert.end();
+});
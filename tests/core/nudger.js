@@ -0,0 +1,127 @@
+const test = require('tape');
+
+import Layer from '../../src/core/layer';
+import Marker from '../../src/shapes/marker';
+import MarkerBehavior from '../../src/behaviors/marker-behavior';
+import Segment from '../../src/shapes/segment';
+import SegmentBehavior from '../../src/behaviors/segment-behavior';
+import Timeline from '../../src/core/timeline';
+
+
+test('Nudger - steps', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 100 pixels per second
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+
+  const layer = new Layer('collection', [{ x: 2, width: 1, y: 0.5, height: 0.1 }], { yDomain: [0, 1] });
+  layer.configureShape(Segment);
+  layer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(layer, track);
+
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const nudger = timeline.nudger;
+
+  assert.equal(nudger.getStep(layer), 1);
+  assert.equal(nudger.getStep(layer, true), 10);
+
+  nudger.params.unit = 'seconds';
+  nudger.params.step = 0.5;
+  assert.equal(nudger.getStep(layer), 50);
+
+  nudger.params.unit = 'samples';
+  nudger.params.step = 441;
+  assert.equal(nudger.getStep(layer), 1);
+
+  nudger.params.unit = 'beats';
+  assert.throws(() => nudger.getStep(layer));
+  assert.end();
+});
+
+test('Nudger - move the selected items', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 100 pixels per second
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+
+  const layer = new Layer('collection', [{ x: 2, width: 1, y: 0.5, height: 0.1 }], { yDomain: [0, 1] });
+  layer.configureShape(Segment);
+  layer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(layer, track);
+
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const datum = layer.data[0];
+  let edits = 0;
+
+  layer.on('change:datums', () => edits += 1);
+
+  assert.equal(timeline._handleCommand('nudgeRight', {}), false, "Nothing selected");
+
+  layer.select();
+  assert.equal(timeline._handleCommand('nudgeRight', { originalEvent: { shiftKey: true } }), true);
+  assert.equal(datum.x, 2.1, "Larger step with shift");
+  assert.equal(datum.width, 1, "Items are moved, not resized");
+  assert.equal(edits, 1, "Through the edit path");
+
+  timeline._handleCommand('nudgeUp', { originalEvent: { shiftKey: false } });
+  assert.equal(datum.y, 0.51, "Up changes the value");
+
+  timeline.snapper.enabled = true;
+  timeline.nudger.nudge('nudgeLeft');
+  assert.equal(datum.x, 2.09, "Positions are not snapped");
+
+  timeline.undo();
+  assert.equal(datum.x, 2.1, "Each nudge is a single command");
+  timeline.undo();
+  assert.equal(datum.y, 0.5);
+  assert.throws(() => timeline.nudger.nudge('nudgeForward'));
+  assert.end();
+});
+
+test('Nudger - nudge after a snapped drag', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 100 pixels per second
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+
+  const segmentLayer = new Layer('collection', [{ x: 2, width: 1 }]);
+  segmentLayer.configureShape(Segment);
+  segmentLayer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(segmentLayer, track);
+
+  const markerLayer = new Layer('collection', [{ x: 0.5 }]);
+  markerLayer.configureShape(Marker);
+  markerLayer.setBehavior(new MarkerBehavior());
+  timeline.addLayer(markerLayer, track);
+
+  timeline.tracks.render();
+  timeline.tracks.update();
+  timeline.snapper.enabled = true;
+
+  // dragged from 50px to 195px, snapped to the segment start (200px)
+  const $marker = markerLayer.items[0];
+  markerLayer.edit($marker, 145, 0, $marker);
+  assert.equal(markerLayer.data[0].x, 2);
+
+  markerLayer.select($marker);
+  timeline.nudger.nudge('nudgeRight');
+  assert.equal(markerLayer.data[0].x, 2.01, "The nudge starts from the snapped position");
+
+  // nudged while the mouse button of a snapped drag is still down
+  markerLayer.data[0].x = 0.5;
+  timeline.tracks.update();
+  timeline.history.begin('drag');
+  markerLayer.edit($marker, 145, 0, $marker);
+  assert.equal(markerLayer.data[0].x, 2);
+  timeline.nudger.nudge('nudgeRight');
+  timeline.history.end();
+  assert.equal(markerLayer.data[0].x, 2.01, "The nudge does not continue the drag");
+  assert.end();
+});
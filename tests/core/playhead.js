@@ -0,0 +1,93 @@
+const test = require('tape');
+
+import CursorLayer from '../../src/helpers/cursor-layer';
+import Playhead from '../../src/core/playhead';
+import Timeline from '../../src/core/timeline';
+
+
+test('Playhead - moves the cursor according to the clock', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 10 seconds visible
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+  const cursorLayer = new CursorLayer();
+  timeline.addLayer(cursorLayer, track);
+  timeline.tracks.render();
+
+  const clock = { currentTime: 0 };
+  const playhead = new Playhead(timeline, cursorLayer, { clock, follow: 'none' });
+
+  let updates = 0;
+  timeline.on('update', () => updates += 1);
+
+  clock.currentTime = 2;
+  playhead.update();
+  assert.equal(cursorLayer.currentPosition, 2);
+  assert.equal(updates, 1, "Cursor layer is updated");
+  playhead.update();
+  assert.equal(updates, 1, "Nothing is updated if the time is unchanged");
+
+  clock.currentTime = 12;
+  playhead.update();
+  assert.equal(timeline.offset, 0, "Window does not follow");
+
+  playhead.clock = () => 3;
+  playhead.update();
+  assert.equal(cursorLayer.currentPosition, 3, "Clock can be a function");
+  assert.throws(() => playhead.follow = 'foo');
+  assert.end();
+});
+
+test('Playhead - follow modes', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 10 seconds visible
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+  const cursorLayer = new CursorLayer();
+  timeline.addLayer(cursorLayer, track);
+  timeline.tracks.render();
+
+  const clock = { currentTime: 0 };
+  const playhead = new Playhead(timeline, cursorLayer, { clock, follow: 'page' });
+
+  clock.currentTime = 9;
+  playhead.update();
+  assert.equal(timeline.offset, 0, "No page flip inside the window");
+  clock.currentTime = 11;
+  playhead.update();
+  assert.equal(timeline.offset, -11, "Page flips when the playhead leaves the window");
+  clock.currentTime = 1;
+  playhead.update();
+  assert.equal(timeline.offset, -1, "Page flips on seek backward");
+
+  playhead.follow = 'scroll';
+  clock.currentTime = 20;
+  playhead.update();
+  assert.equal(timeline.offset, -15, "Playhead is kept at the center");
+  assert.end();
+});
+
+test('Playhead - start and stop', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 10 seconds visible
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+  const cursorLayer = new CursorLayer();
+  timeline.addLayer(cursorLayer, track);
+  timeline.tracks.render();
+
+  const clock = { currentTime: 0 };
+  const playhead = new Playhead(timeline, cursorLayer, { clock, follow: 'none' });
+
+  clock.currentTime = 4;
+  playhead.start();
+  assert.equal(playhead.running, true);
+  assert.equal(cursorLayer.currentPosition, 4, "First update is synchronous");
+
+  timeline.destroy();
+  assert.equal(playhead.running, false, "Stopped with the timeline");
+  assert.end();
+});
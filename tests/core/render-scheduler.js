@@ -0,0 +1,101 @@
+const test = require('tape');
+
+import Layer from '../../src/core/layer';
+import LayerTimeContext from '../../src/core/layer-time-context';
+import Segment from '../../src/shapes/segment';
+import Timeline from '../../src/core/timeline';
+
+
+test('RenderScheduler - coalesce updates until flush', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline();
+  const track = timeline.createTrack(trackDiv);
+  const layer1 = new Layer('collection', []);
+  const layer2 = new Layer('collection', []);
+  timeline.addLayer(layer1, track);
+  timeline.addLayer(layer2, track);
+
+  const scheduler = timeline.scheduler;
+  const updates = [];
+  timeline.on('update', (layers) => updates.push(layers));
+
+  scheduler.update(layer1);
+  scheduler.update(layer1);
+  scheduler.update([layer1, layer2]);
+  assert.equal(updates.length, 0, "Nothing is updated synchronously");
+  assert.equal(scheduler.pending, true);
+
+  scheduler.flush();
+  assert.equal(updates.length, 1, "Layers are updated once");
+  assert.deepEqual(updates[0], [layer1, layer2]);
+  assert.equal(scheduler.pending, false);
+
+  scheduler.flush();
+  assert.equal(updates.length, 1, "Nothing to flush");
+
+  scheduler.update(layer1);
+  scheduler.update();
+  scheduler.flush();
+  assert.equal(updates[1].length, 2, "Updating all the layers supersedes subsets");
+
+  scheduler.update();
+  scheduler.cancel();
+  assert.equal(scheduler.pending, false, "Pending updates can be dropped");
+  assert.end();
+});
+
+test('RenderScheduler - update the dirty items only', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline();
+  const track = timeline.createTrack(trackDiv);
+  const data = [{ x: 0, width: 1 }, { x: 2, width: 1 }, { x: 4, width: 1 }];
+  const layer = new Layer('collection', data);
+  layer.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  layer.configureShape(Segment);
+  timeline.addLayer(layer, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const updated = [];
+  const shapes = [...layer._$itemShapeMap.values()];
+  shapes.forEach((shape) => {
+    const update = shape.update;
+    shape.update = function(...args) {
+      updated.push(this);
+      return update.apply(this, args);
+    };
+  });
+
+  const $items = layer.items;
+  const scheduler = timeline.scheduler;
+  scheduler.update(layer, [$items[0]]);
+  scheduler.update(layer, [$items[0], $items[1]]);
+  scheduler.flush();
+  assert.deepEqual(updated, [shapes[0], shapes[1]], "Only the dirty items are updated");
+
+  updated.length = 0;
+  scheduler.update(layer, [$items[0]]);
+  scheduler.update(layer);
+  scheduler.update(layer, [$items[1]]);
+  scheduler.flush();
+  assert.equal(updated.length, 3, "Updating the whole layer supersedes the items");
+  assert.end();
+});
+
+test('RenderScheduler - update a track without layers', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline();
+  const track = timeline.createTrack(trackDiv, 100);
+
+  track.height = 150;
+  timeline.scheduler.updateTrack(track);
+  assert.equal(timeline.scheduler.pending, true);
+
+  timeline.scheduler.flush();
+  assert.equal(track.$svg.getAttribute('height'), '150');
+  assert.equal(timeline.scheduler.pending, false);
+  assert.end();
+});
@@ -0,0 +1,206 @@
+const test = require('tape');
+
+import gridAxisGenerator from '../../src/axis/grid-axis-generator';
+import Layer from '../../src/core/layer';
+import Marker from '../../src/shapes/marker';
+import MarkerBehavior from '../../src/behaviors/marker-behavior';
+import Segment from '../../src/shapes/segment';
+import SegmentBehavior from '../../src/behaviors/segment-behavior';
+import Timeline from '../../src/core/timeline';
+
+
+test('Snapper - targets', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 100 pixels per second
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+
+  const segmentLayer = new Layer('collection', [{ x: 2, width: 1 }]);
+  segmentLayer.configureShape(Segment);
+  segmentLayer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(segmentLayer, track);
+
+  const markerLayer = new Layer('collection', [{ x: 0.5 }]);
+  markerLayer.configureShape(Marker);
+  markerLayer.setBehavior(new MarkerBehavior());
+  timeline.addLayer(markerLayer, track);
+
+  timeline.tracks.render();
+  timeline.tracks.update();
+  timeline.snapper.enabled = true;
+
+  const snapper = timeline.snapper;
+
+  assert.deepEqual(snapper.getTargets(markerLayer), [200, 300], "Boundaries of the other layers' items");
+  assert.deepEqual(snapper.getTargets(segmentLayer), [50]);
+
+  timeline.timeSelection.set(4, 5);
+  snapper.reset();
+  assert.deepEqual(snapper.getTargets(markerLayer), [200, 300, 400, 500], "Edges of the time selection");
+
+  snapper.params.items = false;
+  snapper.params.selection = false;
+  snapper.params.grid = gridAxisGenerator(60, '4/4');
+  snapper.reset();
+  assert.deepEqual(snapper.getTargets().slice(0, 3), [0, 100, 200], "Grid lines");
+
+  assert.equal(snapper.snap(95), 100);
+  assert.equal(snapper.snap(150), 150, "Positions out of tolerance are kept");
+  snapper.enabled = false;
+  assert.equal(snapper.snap(95), 95, "Disabled snapper");
+  assert.end();
+});
+
+test('Snapper - edit items', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 100 pixels per second
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+
+  const segmentLayer = new Layer('collection', [{ x: 2, width: 1 }]);
+  segmentLayer.configureShape(Segment);
+  segmentLayer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(segmentLayer, track);
+
+  const markerLayer = new Layer('collection', [{ x: 0.5 }]);
+  markerLayer.configureShape(Marker);
+  markerLayer.setBehavior(new MarkerBehavior());
+  timeline.addLayer(markerLayer, track);
+
+  timeline.tracks.render();
+  timeline.tracks.update();
+  timeline.snapper.enabled = true;
+
+  const $marker = markerLayer.items[0];
+
+  // drag the marker from 50px towards the segment start (200px)
+  timeline.history.begin();
+  markerLayer.edit($marker, 145, 0, $marker);
+  assert.equal(markerLayer.data[0].x, 2, "Marker snaps to the segment start");
+  markerLayer.edit($marker, 3, 0, $marker);
+  assert.equal(markerLayer.data[0].x, 2, "Small moves stay snapped");
+  markerLayer.edit($marker, 12, 0, $marker);
+  assert.equal(markerLayer.data[0].x, 2.1, "Accumulated moves leave the target");
+  timeline.history.end();
+
+  timeline.snapper.suspended = true;
+  markerLayer.edit($marker, 88, 0, $marker);
+  assert.equal(markerLayer.data[0].x, 2.98, "No snapping when suspended");
+  timeline.snapper.suspended = false;
+
+  // move the segment by its end (300px) towards the marker (298px)
+  const $segment = segmentLayer.items[0];
+  const shape = segmentLayer._$itemShapeMap.get($segment);
+  segmentLayer.edit($segment, -2, 0, shape.$segment);
+  assert.equal(segmentLayer.data[0].x, 1.98, "Segment snaps by its end");
+  assert.equal(segmentLayer.data[0].width, 1);
+  assert.end();
+});
+
+test('Snapper - edit the time context of a layer', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 100 pixels per second
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+
+  const segmentLayer = new Layer('collection', [{ x: 2, width: 1 }]);
+  segmentLayer.configureShape(Segment);
+  segmentLayer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(segmentLayer, track);
+
+  const markerLayer = new Layer('collection', [{ x: 0.5 }]);
+  markerLayer.configureShape(Marker);
+  markerLayer.setBehavior(new MarkerBehavior());
+  timeline.addLayer(markerLayer, track);
+
+  timeline.tracks.render();
+  timeline.tracks.update();
+  timeline.snapper.enabled = true;
+
+  const $target = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  $target.classList.add('segment');
+
+  timeline.offset = -1;
+  timeline.tracks.update();
+  // layer start (0s) is displayed at -100px, segment start (2s) at 100px
+  markerLayer.editContext(195, 0, $target);
+  assert.equal(markerLayer.timeContext.start, 2, "Layer start snaps to the segment start");
+  assert.end();
+});
+
+test('Snapper - move a selection with a common snapped move', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 100 pixels per second
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+
+  const segmentLayer = new Layer('collection', [{ x: 2, width: 1 }]);
+  segmentLayer.configureShape(Segment);
+  segmentLayer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(segmentLayer, track);
+
+  const markerLayer = new Layer('collection', [{ x: 0.5 }, { x: 1.52 }]);
+  markerLayer.configureShape(Marker);
+  markerLayer.setBehavior(new MarkerBehavior());
+  timeline.addLayer(markerLayer, track);
+
+  timeline.tracks.render();
+  timeline.tracks.update();
+  timeline.snapper.enabled = true;
+
+  // the first marker is moved 5px before the segment start (200px), the
+  // second one 3px before the segment end (300px) is the closest to a target
+  const $markers = markerLayer.items;
+  timeline.history.begin();
+  markerLayer.edit($markers, 145, 0, $markers[0]);
+  assert.equal(markerLayer.data[0].x, 1.98, "Markers are snapped by the closest one");
+  assert.equal(markerLayer.data[1].x, 3, "Relative positions are kept");
+
+  markerLayer.edit($markers, 3, 0, $markers[0]);
+  assert.equal(markerLayer.data[0].x, 1.98, "Small moves stay snapped");
+  assert.equal(markerLayer.data[1].x, 3);
+  timeline.history.end();
+  assert.end();
+});
+
+test('Snapper - each gesture starts from the current positions', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 100 pixels per second
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+
+  const segmentLayer = new Layer('collection', [{ x: 2, width: 1 }]);
+  segmentLayer.configureShape(Segment);
+  segmentLayer.setBehavior(new SegmentBehavior());
+  timeline.addLayer(segmentLayer, track);
+
+  const markerLayer = new Layer('collection', [{ x: 0.5 }]);
+  markerLayer.configureShape(Marker);
+  markerLayer.setBehavior(new MarkerBehavior());
+  timeline.addLayer(markerLayer, track);
+
+  timeline.tracks.render();
+  timeline.tracks.update();
+  timeline.snapper.enabled = true;
+
+  const $marker = markerLayer.items[0];
+
+  // the marker is snapped from 195px to 200px
+  markerLayer.edit($marker, 145, 0, $marker);
+  assert.equal(markerLayer.data[0].x, 2);
+
+  // a new gesture does not continue from the unsnapped position
+  timeline.snapper.suspended = true;
+  markerLayer.edit($marker, 1, 0, $marker);
+  assert.equal(markerLayer.data[0].x, 2.01, "Programmatic edit");
+
+  timeline.undo();
+  markerLayer.edit($marker, 1, 0, $marker);
+  assert.equal(markerLayer.data[0].x, 2.01, "Edit after undo");
+  assert.end();
+});
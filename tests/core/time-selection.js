@@ -0,0 +1,78 @@
+const test = require('tape');
+
+import Timeline from '../../src/core/timeline';
+import TimeSelectionState from '../../src/states/time-selection-state';
+
+
+function event(type, x) {
+  return { type, x, y: 10, originalEvent: { preventDefault() {} } };
+}
+
+test('TimeSelection - API', (assert) => {
+  const timeline = new Timeline(100, 1000);
+  const tracks = ['a', 'b'].map((id) => {
+    const trackDiv = document.createElement("div");
+    document.body.appendChild(trackDiv);
+    return timeline.createTrack(trackDiv, 100, id);
+  });
+
+  const selection = timeline.timeSelection;
+  const changes = [];
+  selection.on('change', (e) => changes.push(e));
+
+  assert.equal(selection.isEmpty, true);
+  selection.set(4, 2);
+  assert.equal(selection.start, 2, "Bounds are reordered");
+  assert.equal(selection.end, 4);
+  assert.equal(selection.duration, 2);
+  assert.equal(selection.contains(3), true);
+  assert.deepEqual(changes[0], { start: 2, end: 4, previous: { start: null, end: null } });
+
+  const $region = tracks[0].$interactions.querySelector('.time-selection rect');
+  assert.equal($region.getAttribute('x'), '200', "Region is drawn on the tracks");
+  assert.equal($region.getAttribute('width'), '200');
+
+  timeline.offset = -1;
+  timeline.tracks.update();
+  assert.equal($region.getAttribute('x'), '100', "Region follows the timeline");
+
+  selection.tracks = ['b'];
+  assert.equal(tracks[0].$interactions.querySelector('.time-selection'), null, "Only chosen tracks display the region");
+  assert.notEqual(tracks[1].$interactions.querySelector('.time-selection'), null);
+
+  selection.clear();
+  assert.equal(selection.isEmpty, true);
+  assert.equal(tracks[1].$interactions.querySelector('.time-selection'), null);
+  assert.equal(changes.length, 2);
+  assert.end();
+});
+
+test('TimeSelectionState - create and resize by dragging', (assert) => {
+  const timeline = new Timeline(100, 1000);
+  const tracks = ['a', 'b'].map((id) => {
+    const trackDiv = document.createElement("div");
+    document.body.appendChild(trackDiv);
+    return timeline.createTrack(trackDiv, 100, id);
+  });
+
+  const selection = timeline.timeSelection;
+  const state = new TimeSelectionState(timeline);
+
+  state.handleEvent(event('mousedown', 300));
+  state.handleEvent(event('mousemove', 150));
+  state.handleEvent(event('mouseup', 150));
+  assert.deepEqual([selection.start, selection.end], [1.5, 3], "Selection is created by dragging");
+
+  state.handleEvent(event('mousedown', 302));
+  state.handleEvent(event('mousemove', 500));
+  state.handleEvent(event('mouseup', 500));
+  assert.deepEqual([selection.start, selection.end], [1.5, 5], "End edge is dragged");
+
+  state.handleEvent(event('mousedown', 700));
+  state.handleEvent(event('mouseup', 700));
+  assert.equal(selection.isEmpty, true, "A click clears the selection");
+
+  assert.equal(state.handleCommand('selectAll'), true);
+  assert.deepEqual([selection.start, selection.end], [0, 10], "Select the visible window");
+  assert.end();
+});
@@ -0,0 +1,58 @@
+const test = require('tape');
+
+import Timeline from '../../src/core/timeline';
+import TimelineLink from '../../src/core/timeline-link';
+
+
+test('TimelineLink - sync mode', (assert) => {
+  const timeline1 = new Timeline(100);
+  const timeline2 = new Timeline(50);
+  const link = new TimelineLink(timeline1, timeline2);
+
+  timeline1.offset = -3;
+  timeline1.zoom = 2;
+  timeline1.tracks.update();
+
+  assert.equal(timeline2.offset, -3, "Offset is propagated");
+  assert.equal(timeline2.timeContext.computedPixelsPerSecond, 200, "Scale is propagated");
+
+  timeline2.offset = -5;
+  timeline2.tracks.update();
+
+  assert.equal(timeline1.offset, -5, "Link goes both ways");
+
+  link.destroy();
+  timeline1.offset = 0;
+  timeline1.tracks.update();
+
+  assert.equal(timeline2.offset, -5, "Nothing is propagated once destroyed");
+  assert.end();
+});
+
+test('TimelineLink - overview mode', (assert) => {
+  const overviewDiv = document.createElement("div");
+  document.body.appendChild(overviewDiv);
+
+  const overview = new Timeline(10); // 100 seconds visible
+  const detail = new Timeline(100);  // 10 seconds visible
+  const track = overview.createTrack(overviewDiv);
+  const link = new TimelineLink(overview, detail, { mode: 'overview' });
+  const $rect = track.$interactions.querySelector('.detail-window');
+
+  assert.deepEqual(link.getDetailWindow(), { start: 0, end: 10 });
+  assert.equal($rect.getAttribute('x'), '0', "Window is drawn in the overview");
+  assert.equal($rect.getAttribute('width'), '100');
+
+  detail.offset = -20;
+  detail.tracks.update();
+
+  assert.equal($rect.getAttribute('x'), '200', "Window follows the detail view");
+  assert.equal(overview.offset, 0, "Overview view is not modified");
+
+  link.setDetailWindow(40, 45);
+
+  assert.equal(detail.offset, -40);
+  assert.equal(detail.zoom, 2);
+  assert.equal($rect.getAttribute('width'), '50');
+  assert.end();
+});
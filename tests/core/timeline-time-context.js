@@ -24,3 +24,19 @@ test("TimelineTimeContext set values", (assert) => {
     assert.equal(timeContext.visibleDuration, 0.5, "0.5 seconds");
     assert.end();
 });
+
+test("TimelineTimeContext change events", (assert) => {
+    const timeContext = new TimelineTimeContext(100, 1000);
+    const events = [];
+    timeContext.on('change:offset', (e) => events.push(['offset', e]));
+    timeContext.on('change:zoom', (e) => events.push(['zoom', e]));
+
+    timeContext.offset = 2;
+    timeContext.offset = 2; // unchanged
+    timeContext.zoom = 4;
+
+    assert.equal(events.length, 2, "Events are emitted only on change");
+    assert.deepEqual(events[0], ['offset', { offset: 2, previous: 0 }]);
+    assert.deepEqual(events[1], ['zoom', { zoom: 4, previous: 1 }]);
+    assert.end();
+});
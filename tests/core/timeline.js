@@ -1,6 +1,7 @@
 const test = require('tape');
 
 import Layer from '../../src/core/layer';
+import ScrollZoomState from '../../src/states/scroll-zoom-state';
 import Timeline from '../../src/core/timeline';
 import Track from '../../src/core/track';
 
@@ -88,3 +89,163 @@ test('Add a layer to a track from the timeline, and remove it', (assert) => {
     assert.throws(()=>{timeline.createTrack(timelineDiv, 100, 'trackId')}, "Can't add a track with a trackId already added");
     assert.end();
 });
+
+test('Timeline get and set view state', (assert) => {
+    const timeline = new Timeline();
+    const timelineDiv = document.createElement("div");
+    document.body.appendChild(timelineDiv);
+    const trackDiv1 = document.createElement("div");
+    const trackDiv2 = document.createElement("div");
+    timelineDiv.appendChild(trackDiv1);
+    timelineDiv.appendChild(trackDiv2);
+    const track1 = timeline.createTrack(trackDiv1, 100, 'track1');
+    const track2 = timeline.createTrack(trackDiv2, 100, 'track2');
+    const layer1 = new Layer('collection', []);
+    const layer2 = new Layer('collection', []);
+    timeline.addLayer(layer1, 'track1', 'group');
+    timeline.addLayer(layer2, 'track2', 'group');
+
+    timeline.offset = -2;
+    timeline.zoom = 2;
+    track1.height = 150;
+    layer2.yDomain = [-1, 1];
+    layer2.opacity = 0.5;
+    layer2.timeContext.start = 3;
+    layer2.timeContext.stretchRatio = 2;
+
+    const json = JSON.stringify(timeline.getViewState());
+
+    timeline.offset = 0;
+    timeline.zoom = 1;
+    track1.height = 100;
+    layer2.yDomain = [0, 1];
+    layer2.opacity = 1;
+    layer2.timeContext.start = 0;
+    layer2.timeContext.stretchRatio = 1;
+
+    const viewState = JSON.parse(json);
+    viewState.tracks.reverse();
+    timeline.setViewState(viewState);
+
+    assert.equal(timeline.offset, -2, "Offset is restored");
+    assert.equal(timeline.zoom, 2, "Zoom is restored");
+    assert.equal(track1.height, 150, "Track height is restored");
+    assert.deepEqual(layer2.yDomain, [-1, 1], "Layer yDomain is restored");
+    assert.equal(layer2.opacity, 0.5, "Layer opacity is restored");
+    assert.equal(layer2.timeContext.start, 3, "Layer start is restored");
+    assert.equal(layer2.timeContext.stretchRatio, 2, "Layer stretchRatio is restored");
+    assert.equal(timeline.tracks[0], track2, "Tracks are reordered");
+    assert.equal(timelineDiv.firstChild, trackDiv2, "Track containers are reordered");
+
+    timeline.visibleWidth = 500;
+    viewState.visibleWidth = 2000;
+    delete viewState.layers.group[1].yDomain;
+    delete viewState.tracks[0].height;
+    timeline.setViewState(viewState);
+    assert.equal(timeline.visibleWidth, 500, "Visible width is not restored");
+    assert.deepEqual(layer2.yDomain, [-1, 1], "Missing fields are skipped");
+    assert.equal(track2.height, 100);
+    assert.end();
+});
+
+test('Timeline fit visible width to containers', (assert) => {
+    const trackDiv = document.createElement("div");
+    document.body.appendChild(trackDiv);
+    Object.defineProperty(trackDiv, 'clientWidth', { value: 500, configurable: true });
+
+    const timeline = new Timeline(100, 1000);
+    const track = timeline.createTrack(trackDiv);
+    let updates = 0;
+    timeline.on('update', () => updates += 1);
+
+    assert.equal(timeline.fitToContainers(), true);
+    assert.equal(timeline.visibleWidth, 500, "Visible width follows the container");
+    assert.equal(timeline.pixelsPerSecond, 100, "Zoom level is kept");
+    assert.equal(track.$svg.getAttribute('width'), '500');
+    assert.equal(updates, 1, "Tracks are updated once");
+    assert.equal(timeline.fitToContainers(), false, "No update if the width is unchanged");
+
+    timeline.maintainVisibleDuration = true;
+    Object.defineProperty(trackDiv, 'clientWidth', { value: 250, configurable: true });
+    timeline.fitToContainers();
+    assert.equal(timeline.visibleDuration, 5, "Visible duration is maintained");
+    assert.end();
+});
+
+test('Timeline keyboard events are scoped to its containers', (assert) => {
+    const trackDiv1 = document.createElement("div");
+    const trackDiv2 = document.createElement("div");
+    document.body.appendChild(trackDiv1);
+    document.body.appendChild(trackDiv2);
+    const timeline1 = new Timeline();
+    const timeline2 = new Timeline();
+    timeline1.createTrack(trackDiv1);
+    timeline2.createTrack(trackDiv2);
+
+    const received = [];
+    timeline1.on('event', (e) => { if (e.source === 'keyboard') { received.push(1); } });
+    timeline2.on('event', (e) => { if (e.source === 'keyboard') { received.push(2); } });
+
+    assert.equal(trackDiv1.getAttribute('tabindex'), '0', "Container is made focusable");
+    trackDiv1.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 65, bubbles: true }));
+    document.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 65 }));
+    assert.deepEqual(received, [1], "Only the timeline owning the container receives the event");
+    assert.end();
+});
+
+test('Timeline destroy', (assert) => {
+    const trackDiv = document.createElement("div");
+    document.body.appendChild(trackDiv);
+    const timeline = new Timeline();
+    const track = timeline.createTrack(trackDiv, 100, 'track');
+    const layer = new Layer('collection', []);
+    timeline.addLayer(layer, track, 'group');
+
+    let destroyed = false;
+    timeline.on('destroy', () => destroyed = true);
+    timeline.destroy();
+
+    assert.equal(destroyed, true, "Destroy event is emitted");
+    assert.equal(timeline.tracks.length, 0, "Tracks are removed");
+    assert.equal(timeline.getTrackById('track'), undefined, "Track ids are released");
+    assert.deepEqual(timeline.groupedLayers, {}, "Layer groups are released");
+    assert.equal(layer.history, null, "Layers are detached");
+    assert.equal(trackDiv.childNodes.length, 0, "Svg is removed from the container");
+    assert.equal(trackDiv.hasAttribute('tabindex'), false, "Container is restored");
+    assert.equal(timeline.listeners('destroy').length, 0, "Listeners are removed");
+    assert.end();
+});
+
+test('Timeline scroll and zoom with the wheel', (assert) => {
+    const trackDiv = document.createElement("div");
+    document.body.appendChild(trackDiv);
+    const timeline = new Timeline(100, 1000);
+    timeline.createTrack(trackDiv);
+    const state = new ScrollZoomState(timeline);
+    timeline.state = state;
+
+    const wheel = (init) => {
+      const e = new WheelEvent('wheel', Object.assign({ cancelable: true }, init));
+      trackDiv.dispatchEvent(e);
+      timeline.scheduler.flush();
+      return e;
+    };
+
+    const e = wheel({ deltaX: 50 });
+    assert.equal(timeline.offset, -0.5, "Horizontal scroll moves in time");
+    assert.equal(e.defaultPrevented, true);
+    assert.equal(wheel({ deltaY: 50 }).defaultPrevented, false, "Vertical scroll is left to the page");
+    assert.equal(timeline.offset, -0.5);
+    wheel({ deltaY: 50, shiftKey: true });
+    assert.equal(timeline.offset, -1, "Shift + vertical scroll moves in time");
+
+    const x = 200 - trackDiv.getBoundingClientRect().left;
+    const timeAtX = timeline.timeContext.timeToPixel.invert(x) - timeline.offset;
+    wheel({ deltaY: -100, ctrlKey: true, clientX: 200 });
+    assert.equal(timeline.zoom, 2, "Ctrl + scroll zooms");
+    assert.equal(timeline.timeContext.timeToPixel(timeAtX + timeline.offset), x, "Time under the pointer is kept");
+
+    wheel({ deltaY: -1e6, ctrlKey: true });
+    assert.equal(timeline.zoom, state.maxZoom, "Zoom is clamped");
+    assert.end();
+});
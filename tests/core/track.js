@@ -138,3 +138,31 @@ test('Track - update container', (assert) => {
 //  assert.equal(track.$el.firstChild.childNodes[2].getAttribute('transform'), "translate(200, 0)");
   assert.end();
 })
+
+test('Track - height propagates to layers', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline();
+  const track = timeline.createTrack(trackDiv, 200);
+  const layer = new Layer('collection', [], { top: 20, height: 100, yDomain: [0, 1] });
+  const fixedLayer = new Layer('collection', []);
+  timeline.addLayer(layer, track);
+  timeline.addLayer(fixedLayer, track);
+
+  track.setLayerLayout(fixedLayer, { top: 10, height: (h) => h - 10 });
+  assert.equal(fixedLayer.height, 190, "Rules are applied immediately");
+
+  track.height = 400;
+  assert.equal(layer.top, 40, "Top keeps its proportion");
+  assert.equal(layer.height, 200, "Height keeps its proportion");
+  assert.equal(layer.valueToPixel(1), 200, "valueToPixel range follows the height");
+  assert.equal(fixedLayer.top, 10, "Explicit top rule");
+  assert.equal(fixedLayer.height, 390, "Explicit height rule");
+
+  track.setLayerLayout(fixedLayer, { height: '50%' });
+  assert.equal(fixedLayer.height, 200, "Percentage rule");
+
+  track.update();
+  assert.equal(track.$svg.getAttribute('height'), '400');
+  assert.end();
+});
@@ -0,0 +1,86 @@
+const test = require('tape');
+
+import BaseState from '../../src/states/base-state';
+import Keymap from '../../src/interactions/keymap';
+import Timeline from '../../src/core/timeline';
+
+
+function keyEvent(key, mods = {}) {
+  const originalEvent = new KeyboardEvent('keydown', Object.assign({ key }, mods));
+
+  return Object.assign({
+    source: 'keyboard',
+    type: 'keydown',
+    originalEvent: originalEvent,
+    shiftKey: false,
+    ctrlKey: false,
+    altKey: false,
+    metaKey: false,
+  }, mods);
+}
+
+test('Keymap default bindings', (assert) => {
+  const keymap = new Keymap();
+
+  assert.equal(keymap.getCommand(keyEvent('z', { ctrlKey: true })), 'undo');
+  assert.equal(keymap.getCommand(keyEvent('z', { metaKey: true })), 'undo', "Mod is ctrl or cmd");
+  assert.equal(keymap.getCommand(keyEvent('Z', { ctrlKey: true, shiftKey: true })), 'redo');
+  assert.equal(keymap.getCommand(keyEvent(' ')), 'resetZoom');
+  assert.equal(keymap.getCommand(keyEvent('+', { shiftKey: true })), 'zoomIn', "Shift is part of the character");
+  assert.equal(keymap.getCommand(keyEvent('ArrowLeft', { shiftKey: true })), 'nudgeLeft');
+  assert.equal(keymap.getCommand(keyEvent('Backspace')), 'deleteSelection');
+  assert.equal(keymap.getCommand(keyEvent('a')), null);
+  assert.end();
+});
+
+test('Keymap override and list bindings', (assert) => {
+  const keymap = new Keymap({ 'Space': 'togglePlay' });
+
+  assert.deepEqual(keymap.getBindings(), [{ chord: 'Space', command: 'togglePlay' }]);
+
+  keymap.bind('Ctrl++', 'zoomIn');
+  keymap.bind('Mod+Z', 'undo');
+  assert.equal(keymap.getCommand(keyEvent('+', { ctrlKey: true })), 'zoomIn');
+
+  keymap.bind('Ctrl+Z', 'redo');
+  assert.deepEqual(keymap.getChords('undo'), [], "Overlapping chords are replaced");
+  assert.equal(keymap.getCommand(keyEvent('z', { metaKey: true })), null);
+  assert.equal(keymap.getCommand(keyEvent('z', { ctrlKey: true })), 'redo');
+
+  keymap.unbindCommand('togglePlay');
+  assert.equal(keymap.getCommand(keyEvent(' ')), null);
+  assert.equal(Keymap.defaultBindings['Mod+Z'], 'undo');
+  assert.throws(() => keymap.bind('Hyper+A', 'foo'), "Invalid modifiers throw");
+  assert.end();
+});
+
+test('Timeline gives keymap commands to the state', (assert) => {
+  const trackDiv = document.createElement('div');
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline();
+  timeline.createTrack(trackDiv);
+
+  const commands = [];
+  const keys = [];
+  const state = new BaseState(timeline);
+  state.handleCommand = (command) => {
+    commands.push(command);
+    return command === 'zoomIn';
+  };
+  state.handleEvent = (e) => keys.push(e.type);
+  timeline.state = state;
+
+  let undone = 0;
+  timeline.undo = () => undone += 1;
+
+  const zoomIn = new KeyboardEvent('keydown', { key: 'g', keyCode: 71, cancelable: true });
+  trackDiv.dispatchEvent(zoomIn);
+  trackDiv.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', keyCode: 90, ctrlKey: true }));
+  trackDiv.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', keyCode: 27 }));
+
+  assert.deepEqual(commands, ['zoomIn', 'undo']);
+  assert.equal(zoomIn.defaultPrevented, true, "Consumed commands prevent default");
+  assert.equal(undone, 1, "Undo is handled by the timeline");
+  assert.deepEqual(keys, ['keydown'], "Only the unbound key is given as an event");
+  assert.end();
+});
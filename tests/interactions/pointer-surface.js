@@ -0,0 +1,95 @@
+const test = require('tape');
+
+import PointerSurface from '../../src/interactions/pointer-surface';
+
+
+function pointerEvent(type, pointerId, clientX, clientY, pointerType = 'touch') {
+  const e = new MouseEvent(type, {
+    bubbles: true,
+    cancelable: true,
+    view: window,
+    clientX: clientX,
+    clientY: clientY
+  });
+  // jsdom does not implement `PointerEvent`
+  Object.defineProperty(e, 'pointerId', { value: pointerId });
+  Object.defineProperty(e, 'pointerType', { value: pointerType });
+
+  return e;
+}
+
+test('PointerSurface, drag with a pen', (assert) => {
+  const div = document.createElement('div');
+  document.body.appendChild(div);
+  const surface = new PointerSurface(div);
+  const { left, top } = div.getBoundingClientRect();
+  const events = [];
+  surface.on('event', (e) => events.push(e));
+
+  assert.equal(div.style.touchAction, 'none');
+
+  div.dispatchEvent(pointerEvent('pointerdown', 1, 10, 20, 'pen'));
+  div.dispatchEvent(pointerEvent('pointermove', 1, 30, 25, 'pen'));
+  div.dispatchEvent(pointerEvent('pointerup', 1, 40, 30, 'pen'));
+
+  assert.deepEqual(events.map((e) => e.type), ['mousedown', 'mousemove', 'mouseup']);
+  assert.equal(events[0].pointerType, 'pen');
+  assert.equal(events[0].x, 10 - left);
+  assert.equal(events[1].dx, 20);
+  assert.equal(events[1].dy, 5);
+  assert.deepEqual(events[2].area, { left: 10 - left, top: 20 - top, width: 30, height: 10 });
+
+  surface.destroy();
+  assert.equal(div.style.touchAction, '');
+  div.dispatchEvent(pointerEvent('pointerdown', 1, 10, 20));
+  assert.equal(events.length, 3, "Listeners are removed");
+  assert.end();
+});
+
+test('PointerSurface, pinch', (assert) => {
+  const div = document.createElement('div');
+  document.body.appendChild(div);
+  const surface = new PointerSurface(div);
+  const { left } = div.getBoundingClientRect();
+  const events = [];
+  surface.on('event', (e) => events.push(e));
+
+  div.dispatchEvent(pointerEvent('pointerdown', 1, 100, 10));
+  div.dispatchEvent(pointerEvent('pointerdown', 2, 200, 10));
+  div.dispatchEvent(pointerEvent('pointermove', 2, 300, 10));
+  div.dispatchEvent(pointerEvent('pointerup', 1, 100, 10));
+  div.dispatchEvent(pointerEvent('pointermove', 2, 250, 10));
+  div.dispatchEvent(pointerEvent('pointerup', 2, 250, 10));
+
+  assert.deepEqual(events.map((e) => e.type),
+    ['mousedown', 'mouseup', 'pinchstart', 'pinch', 'pinchend'],
+    "The drag is ended when the pinch starts, the remaining pointer is ignored");
+  assert.equal(events[2].x, 150 - left, "Center of the pointers");
+  assert.equal(events[2].scale, 1);
+  assert.equal(events[3].scale, 2, "Scale relative to the initial distance");
+  assert.equal(events[3].dx, 50, "Move of the center");
+  assert.end();
+});
+
+test('PointerSurface, capture the pointer once dragging', (assert) => {
+  const div = document.createElement('div');
+  document.body.appendChild(div);
+  const surface = new PointerSurface(div);
+  const captured = [];
+  // jsdom does not implement the pointer capture
+  div.setPointerCapture = (pointerId) => captured.push(pointerId);
+
+  div.dispatchEvent(pointerEvent('pointerdown', 1, 10, 20, 'mouse'));
+  div.dispatchEvent(pointerEvent('pointermove', 1, 12, 21, 'mouse'));
+  div.dispatchEvent(pointerEvent('pointerup', 1, 12, 21, 'mouse'));
+  assert.deepEqual(captured, [], "A click is not captured");
+
+  div.dispatchEvent(pointerEvent('pointerdown', 1, 10, 20, 'mouse'));
+  div.dispatchEvent(pointerEvent('pointermove', 1, 20, 20, 'mouse'));
+  div.dispatchEvent(pointerEvent('pointermove', 1, 30, 20, 'mouse'));
+  div.dispatchEvent(pointerEvent('pointerup', 1, 30, 20, 'mouse'));
+  assert.deepEqual(captured, [1], "A drag is captured once");
+
+  surface.destroy();
+  assert.end();
+});
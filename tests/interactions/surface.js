@@ -95,3 +95,25 @@ test('Surface, trigger events', (assert) => {
 
     body.dispatchEvent(dblclick);
 })
+
+test('Surface, normalize wheel events', (assert) => {
+    const div = document.createElement('div');
+    document.body.appendChild(div);
+    Object.defineProperty(div, 'clientWidth', { value: 500 });
+    const surface = new Surface(div);
+    const events = [];
+    surface.on('event', (e) => events.push(e));
+
+    div.dispatchEvent(new WheelEvent('wheel', { deltaX: 10, deltaY: -4, deltaMode: 0 }));
+    div.dispatchEvent(new WheelEvent('wheel', { deltaY: 3, deltaMode: 1, ctrlKey: true }));
+    div.dispatchEvent(new WheelEvent('wheel', { deltaX: 1, deltaMode: 2 }));
+
+    assert.equal(events[0].type, 'wheel');
+    assert.equal(events[0].deltaX, 10, "Pixels are kept");
+    assert.equal(events[0].deltaY, -4);
+    assert.equal(events[1].deltaY, 48, "Lines are converted to pixels");
+    assert.equal(events[1].ctrlKey, true);
+    assert.equal(events[2].deltaX, 500, "Pages are converted to pixels");
+    surface.destroy();
+    assert.end();
+});
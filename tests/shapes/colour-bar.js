@@ -0,0 +1,61 @@
+const test = require('tape');
+
+import ColourBarLayer from '../../src/helpers/colour-bar-layer';
+import LayerTimeContext from '../../src/core/layer-time-context';
+import MatrixLayer from '../../src/helpers/matrix-layer';
+import PrefilledMatrixEntity from '../../src/utils/prefilled-matrix-entity';
+import Timeline from '../../src/core/timeline';
+
+
+test('ColourBar - display', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv, 100);
+  const layer = new ColourBarLayer({ height: 100, colourMap: 'viridis', width: 20, offset: 5 });
+  layer.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  timeline.addLayer(layer, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const shape = layer._$itemShapeMap.get(layer.items[0]);
+  const labels = () => shape.$labels.map(($label) => $label.textContent);
+
+  assert.equal(shape.$rects.length, 64);
+  assert.equal(shape.$border.getAttribute('x'), '975', "At the right edge by default");
+  assert.equal(shape.$rects[0].getAttribute('fill'), 'rgb(68, 4, 87)', "Low values at the bottom");
+  assert.deepEqual(labels(), ['0', '0.5', '1'], "Normalised value range");
+  assert.end();
+});
+
+test('ColourBar - follow a matrix layer', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv, 100);
+  const layer = new ColourBarLayer({ height: 100, side: 'left' });
+  layer.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  timeline.addLayer(layer, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const shape = layer._$itemShapeMap.get(layer.items[0]);
+  const labels = () => shape.$labels.map(($label) => $label.textContent);
+  const entity = new PrefilledMatrixEntity([[0, 1], [1, 0]], 0, 1);
+  const matrixLayer = new MatrixLayer(entity, { colourMap: 'inferno' });
+  matrixLayer.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  timeline.addLayer(matrixLayer, track);
+
+  layer.followLayer(matrixLayer);
+  assert.equal(shape.$border.getAttribute('x'), '0');
+  assert.equal(shape.$rects[63].getAttribute('fill'), 'rgb(252, 252, 157)', "Colours of the followed layer");
+
+  matrixLayer.setColourMap('blue-white-red');
+  assert.deepEqual(labels(), ['-1', '0', '1'], "Signed value range");
+  assert.equal(shape.$rects[0].getAttribute('fill'), 'rgb(35, 104, 173)');
+
+  layer.followLayer(null);
+  matrixLayer.setColourMap('greys');
+  assert.deepEqual(labels(), ['-1', '0', '1'], "Not followed anymore");
+  assert.end();
+});
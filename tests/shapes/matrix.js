@@ -0,0 +1,72 @@
+const test = require('tape');
+
+import LayerTimeContext from '../../src/core/layer-time-context';
+import MatrixLayer from '../../src/helpers/matrix-layer';
+import PrefilledMatrixEntity from '../../src/utils/prefilled-matrix-entity';
+import Timeline from '../../src/core/timeline';
+
+
+test('Matrix - colour maps', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv, 100);
+  const entity = new PrefilledMatrixEntity([[0, 0.5, 1], [1, 0.5, 0], [-1, 0, 1]], 0, 1);
+  const layer = new MatrixLayer(entity, { colourMap: 'viridis' });
+  layer.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  layer.timeContext.duration = 3;
+  timeline.addLayer(layer, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const cache = layer._$itemDataMap.get(layer.items[0]);
+
+  assert.equal(cache.levels.length, 1);
+  assert.deepEqual(Array.from(cache.levels[0]), [0, 128, 255, 255, 128, 0, 0, 0, 255],
+    "The quantized values are kept");
+  assert.equal(layer.mapper(0)[0], 0x44 / 255, "The mapper of the colour map is used");
+
+  const resource = cache.resources[0];
+  const $image = cache.elements[0];
+  let event = null;
+  layer.on('change:colourMap', (e) => event = e);
+
+  layer.setColourMap('magma', true);
+
+  assert.notEqual(cache.resources[0], resource, "The images are encoded again");
+  assert.equal($image.getAttributeNS('http://www.w3.org/1999/xlink', 'href'), cache.resources[0],
+    "The displayed images are updated");
+  assert.equal(event.colourMap, 'magma');
+  assert.equal(event.inverted, true);
+  assert.equal(event.mapper, layer.mapper);
+
+  layer.setColourMap('viridis');
+  assert.equal(cache.resources[0], resource, "Same images for the same colour map");
+
+  const mapper = (value) => [value, value, value];
+  layer.setColourMap(mapper);
+  assert.equal(layer.mapper(0.25)[0], 0.25, "A mapper function can be given");
+  assert.equal(layer.mapper.signed, false);
+  assert.equal(mapper.hasOwnProperty('signed'), false, "The given function is not modified");
+  assert.end();
+});
+
+test('Matrix - signed colour maps', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv, 100);
+  const entity = new PrefilledMatrixEntity([[0, 0.5, 1], [1, 0.5, 0], [-1, 0, 1]], 0, 1);
+  const layer = new MatrixLayer(entity, { colourMap: 'blue-white-red' });
+  layer.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  layer.timeContext.duration = 3;
+  timeline.addLayer(layer, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const cache = layer._$itemDataMap.get(layer.items[0]);
+
+  assert.equal(cache.signed, true);
+  assert.deepEqual(Array.from(cache.levels[0]).slice(6), [0, 128, 255], "[-1, 1] is quantized");
+  assert.end();
+});
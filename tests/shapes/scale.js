@@ -0,0 +1,126 @@
+const test = require('tape');
+
+import format from '../../src/utils/format';
+import Layer from '../../src/core/layer';
+import LayerTimeContext from '../../src/core/layer-time-context';
+import ScaleLayer from '../../src/helpers/scale-layer';
+import Timeline from '../../src/core/timeline';
+
+
+function labels(shape) {
+  return shape.$labels
+    .filter(($label) => !$label.classList.contains('title'))
+    .map(($label) => $label.textContent);
+}
+
+test('Scale - placement', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv, 100);
+  const left = new ScaleLayer({ height: 100, yDomain: [0, 1] });
+  const right = new ScaleLayer({ height: 100, yDomain: [0, 1], side: 'right', width: 40, offset: 10 });
+  left.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  right.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  timeline.addLayer(left, track);
+  timeline.addLayer(right, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  let shape = left._$itemShapeMap.get(left.items[0]);
+  assert.equal(shape.$bg.getAttribute('x'), '0', "Left by default");
+  assert.equal(labels(shape)[0], '0.3', "Labels are not drawn at the edges");
+
+  shape = right._$itemShapeMap.get(right.items[0]);
+  assert.equal(shape.$bg.getAttribute('x'), '950', "Right edge, minus the offset");
+  assert.equal(shape.$bg.getAttribute('width'), '40');
+  assert.ok(shape.$path.getAttribute('d').startsWith('M950,0L950,100M955,0L950,0'), "Ticks point to the labels");
+  assert.end();
+});
+
+test('Scale - density according to the height', (assert) => {
+  const smallDiv = document.createElement("div");
+  const largeDiv = document.createElement("div");
+  document.body.appendChild(smallDiv);
+  document.body.appendChild(largeDiv);
+  const timeline = new Timeline(100, 1000);
+  const smallTrack = timeline.createTrack(smallDiv, 100);
+  const largeTrack = timeline.createTrack(largeDiv, 400);
+  const smallLayer = new ScaleLayer({ height: 100, yDomain: [0, 100], tickSpacing: 25 });
+  const largeLayer = new ScaleLayer({ height: 400, yDomain: [0, 100], tickSpacing: 25 });
+  smallLayer.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  largeLayer.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  timeline.addLayer(smallLayer, smallTrack);
+  timeline.addLayer(largeLayer, largeTrack);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const small = smallLayer._$itemShapeMap.get(smallLayer.items[0]);
+  const large = largeLayer._$itemShapeMap.get(largeLayer.items[0]);
+  const renderingContext = (height) => ({ height, valueToPixel: small.lastScale });
+
+  assert.ok(small.getTicks(renderingContext(100)).length < small.getTicks(renderingContext(400)).length);
+  assert.ok(labels(large).length > labels(small).length);
+  assert.end();
+});
+
+test('Scale - units, titles and formatters', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv, 100);
+  const level = new ScaleLayer({ height: 100, yDomain: [0, 100], unit: 'dB', title: 'level' });
+  const frequency = new ScaleLayer({ height: 100, yDomain: [100, 3000], formatter: format.frequency });
+  level.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  frequency.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  timeline.addLayer(level, track);
+  timeline.addLayer(frequency, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  let shape = level._$itemShapeMap.get(level.items[0]);
+  assert.ok(labels(shape).every((label) => /^\d+ dB$/.test(label)), "Unit suffix");
+
+  const $title = shape.$labels.filter(($label) => $label.classList.contains('title'))[0];
+  assert.equal($title.textContent, 'level');
+  assert.equal($title.getAttribute('transform'), 'matrix(0, 1, 1, 0, 10, 50)', "Rotated title");
+
+  shape = frequency._$itemShapeMap.get(frequency.items[0]);
+  assert.ok(labels(shape).indexOf('1 kHz') !== -1 || labels(shape).indexOf('1.5 kHz') !== -1, "Custom formatter");
+  assert.end();
+});
+
+test('Scale - follow layers with different scales', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv, 100);
+  const layer = new ScaleLayer({ height: 100, side: 'left' });
+  layer.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  timeline.addLayer(layer, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const right = new ScaleLayer({ side: 'right' });
+  right.setTimeContext(new LayerTimeContext(timeline.timeContext));
+  timeline.addLayer(right, track);
+
+  const pitch = new Layer('collection', [], { yDomain: [50, 5000], yScale: 'log' });
+  const energy = new Layer('collection', [], { yDomain: [-60, 0] });
+
+  layer.followLayer(pitch);
+  right.followLayer(energy);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const pitchShape = layer._$itemShapeMap.get(layer.items[0]);
+  const energyShape = right._$itemShapeMap.get(right.items[0]);
+
+  assert.equal(layer.valueToPixel.type, 'log', "The type of scale is followed");
+  assert.deepEqual(labels(pitchShape), ['200', '794', '1995'], "Logarithmic ticks");
+  assert.deepEqual(labels(energyShape), ['-42', '-30', '-18', '-6']);
+
+  pitch.yDomain = [100, 1000];
+  assert.deepEqual(layer.valueToPixel.domain(), [100, 1000]);
+  assert.end();
+});
@@ -0,0 +1,26 @@
+const test = require('tape');
+
+import BrushZoomState from '../../src/states/brush-zoom-state';
+import Timeline from '../../src/core/timeline';
+
+
+test('BrushZoomState - zoom commands are clamped', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline(100, 1000);
+  timeline.createTrack(trackDiv);
+  const state = new BrushZoomState(timeline);
+
+  assert.equal(state.handleCommand('zoomIn', {}), true);
+  assert.equal(timeline.zoom, 2);
+  assert.equal(timeline.offset, -2.5, "Zoom around the center");
+
+  timeline.zoom = state.maxZoom;
+  state.handleCommand('zoomIn', {});
+  assert.equal(timeline.zoom, state.maxZoom, "Zoom in is limited");
+
+  timeline.zoom = state.minZoom;
+  state.handleCommand('zoomOut', {});
+  assert.equal(timeline.zoom, state.minZoom, "Zoom out is limited");
+  assert.end();
+});
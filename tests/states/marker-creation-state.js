@@ -0,0 +1,42 @@
+const test = require('tape');
+
+import AnnotatedMarkerLayer from '../../src/helpers/annotated-marker-layer';
+import MarkerCreationState from '../../src/states/marker-creation-state';
+import Timeline from '../../src/core/timeline';
+
+
+function event(type, x) {
+  return { type, x, y: 50, dx: 0, dy: 0, originalEvent: { shiftKey: false, preventDefault() {} } };
+}
+
+test('MarkerCreationState - create on double click', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 100 pixels per second
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+  const layer = new AnnotatedMarkerLayer([{ x: 1, text: 'first' }]);
+
+  timeline.addLayer(layer, track);
+  layer.start = 2;
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const state = new MarkerCreationState(timeline, (time) => ({ x: time, text: 'new' }));
+  timeline.state = state;
+
+  state.handleEvent(event('dblclick', 500), [layer]);
+  assert.deepEqual(layer.data[1], { x: 3, text: 'new' }, "Created at the time of the layer");
+  assert.deepEqual(layer.selectedItems, [layer.getItemFromDatum(layer.data[1])], "Created item is selected");
+
+  state.handleEvent(event('dblclick', 500), [layer]);
+  assert.equal(layer.data.length, 2, "No creation on an existing marker");
+
+  timeline._handleCommand('deleteSelection', {});
+  assert.deepEqual(layer.data, [{ x: 1, text: 'first' }], "Selection is removed");
+
+  timeline.undo();
+  timeline.undo();
+  assert.equal(layer.data.length, 1, "Creation can be undone");
+  assert.end();
+});
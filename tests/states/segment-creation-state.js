@@ -0,0 +1,103 @@
+const test = require('tape');
+
+import MarkerLayer from '../../src/helpers/marker-layer';
+import SegmentCreationState from '../../src/states/segment-creation-state';
+import SegmentLayer from '../../src/helpers/segment-layer';
+import Timeline from '../../src/core/timeline';
+
+
+function event(type, x, dx = 0, target = null) {
+  return { type, x, y: 50, dx, dy: 0, target, originalEvent: { shiftKey: false, preventDefault() {} } };
+}
+
+test('SegmentCreationState - create by dragging', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 100 pixels per second
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+  const segmentLayer = new SegmentLayer([{ start: 5, duration: 1 }], {}, {
+    x: (d, v = null) => { if (v === null) { return d.start; } d.start = v; },
+    width: (d, v = null) => { if (v === null) { return d.duration; } d.duration = v; },
+  });
+  const markerLayer = new MarkerLayer([{ x: 1 }]);
+
+  timeline.addLayer(markerLayer, track);
+  timeline.addLayer(segmentLayer, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const state = new SegmentCreationState(timeline, (time, value) => {
+    return { start: time, duration: 0, label: 'new' };
+  });
+  timeline.state = state;
+
+  const layers = [markerLayer, segmentLayer];
+  let dataChange = null;
+
+  segmentLayer.on('change:data', (e) => dataChange = e);
+
+  state.handleEvent(event('mousedown', 300), layers);
+  state.handleEvent(event('mouseup', 300), layers);
+  assert.equal(segmentLayer.data.length, 1, "A click creates nothing");
+
+  state.handleEvent(event('mousedown', 300), layers);
+  state.handleEvent(event('mousemove', 250, -50), layers);
+  state.handleEvent(event('mousemove', 200, -50), layers);
+  state.handleEvent(event('mouseup', 200), layers);
+
+  const datum = segmentLayer.data[1];
+  assert.deepEqual(datum, { start: 2, duration: 1, label: 'new' },
+    "Datum is created by the generator and resized through the accessors");
+  assert.deepEqual(dataChange.datums, [datum]);
+  assert.deepEqual(segmentLayer.selectedItems, dataChange.items, "Created item is selected");
+  assert.equal(markerLayer.data.length, 1, "Other kinds of layers are ignored");
+
+  timeline.undo();
+  assert.equal(segmentLayer.data.length, 1, "Creation can be undone");
+  assert.end();
+});
+
+test('SegmentCreationState - edit and delete the selection', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 100 pixels per second
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+  const segmentLayer = new SegmentLayer([{ start: 5, duration: 1 }], {}, {
+    x: (d, v = null) => { if (v === null) { return d.start; } d.start = v; },
+    width: (d, v = null) => { if (v === null) { return d.duration; } d.duration = v; },
+  });
+  const markerLayer = new MarkerLayer([{ x: 1 }]);
+
+  timeline.addLayer(markerLayer, track);
+  timeline.addLayer(segmentLayer, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const state = new SegmentCreationState(timeline, (time, value) => {
+    return { start: time, duration: 0, label: 'new' };
+  });
+  timeline.state = state;
+
+  const layers = [markerLayer, segmentLayer];
+  const datum = segmentLayer.data[0];
+  const $item = segmentLayer.items[0];
+  const $target = segmentLayer._$itemShapeMap.get($item).$segment;
+
+  state.handleEvent(event('mousedown', 550, 0, $target), layers);
+  state.handleEvent(event('mousemove', 570, 20), layers);
+  state.handleEvent(event('mouseup', 570), layers);
+  assert.equal(datum.start, 5.2, "Existing segment is moved");
+  assert.equal(segmentLayer.data.length, 1);
+
+  markerLayer.select();
+  assert.equal(timeline._handleCommand('deleteSelection', {}), true);
+  assert.deepEqual(segmentLayer.data, [], "Selection is removed");
+  assert.equal(markerLayer.data.length, 1, "Other kinds of layers are ignored");
+  assert.equal(timeline._handleCommand('deleteSelection', {}), false, "Nothing selected");
+
+  timeline.undo();
+  assert.deepEqual(segmentLayer.data, [datum], "Deletion can be undone");
+  assert.end();
+});
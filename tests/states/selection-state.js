@@ -0,0 +1,64 @@
+const test = require('tape');
+
+import SegmentLayer from '../../src/helpers/segment-layer';
+import SelectionState from '../../src/states/selection-state';
+import SimpleEditionState from '../../src/states/simple-edition-state';
+import Timeline from '../../src/core/timeline';
+
+
+test('SelectionState - select the items from the position of a click', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  // 100 pixels per second
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+  const layer = new SegmentLayer([{ x: 1, width: 1 }, { x: 5, width: 1 }]);
+  timeline.addLayer(layer, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const state = new SelectionState(timeline);
+  const originalEvent = { shiftKey: false, preventDefault() {} };
+  // the target is the container of the track, e.g. when the pointer is captured
+  const event = (type, x) => {
+    return { type, x, y: 50, target: trackDiv, $container: trackDiv, originalEvent };
+  };
+
+  state.handleEvent(event('mousedown', 550));
+  state.handleEvent(event('mouseup', 550));
+  state.handleEvent(event('click', 550));
+  assert.deepEqual(layer.selectedItems, [layer.items[1]]);
+
+  state.handleEvent(event('mousedown', 300));
+  state.handleEvent(event('mouseup', 300));
+  state.handleEvent(event('click', 300));
+  assert.deepEqual(layer.selectedItems, [], "A click outside the items clears the selection");
+  assert.end();
+});
+
+test('SimpleEditionState - edit the item under the pointer', (assert) => {
+  const trackDiv = document.createElement("div");
+  document.body.appendChild(trackDiv);
+  const timeline = new Timeline(100, 1000);
+  const track = timeline.createTrack(trackDiv);
+  const layer = new SegmentLayer([{ x: 1, width: 1 }, { x: 5, width: 1 }]);
+  timeline.addLayer(layer, track);
+  timeline.tracks.render();
+  timeline.tracks.update();
+
+  const state = new SimpleEditionState(timeline);
+  timeline.state = state;
+  const originalEvent = { shiftKey: false, preventDefault() {} };
+  const event = (type, x, dx = 0) => {
+    return { type, x, y: 50, dx, dy: 0, target: trackDiv, $container: trackDiv, originalEvent };
+  };
+
+  state.handleEvent(event('mousedown', 150));
+  // the state selects the item at the next frame
+  layer.select(layer.items[0]);
+  state.handleEvent(event('mousemove', 170, 20));
+  state.handleEvent(event('mouseup', 170));
+  assert.equal(layer.data[0].x, 1.2, "The item is found from the position");
+  assert.equal(layer.data[1].x, 5);
+  assert.end();
+});
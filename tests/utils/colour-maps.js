@@ -0,0 +1,45 @@
+const test = require('tape');
+
+import colourMaps from '../../src/utils/colour-maps';
+
+
+function hex(rgb) {
+  return '#' + rgb.map((c) => ('0' + Math.round(c * 255).toString(16)).slice(-2)).join('');
+}
+
+test('colourMaps - names', (assert) => {
+  ['greys', 'viridis', 'magma', 'inferno', 'sunset', 'green', 'blue-white-red'].forEach((name) => {
+    assert.notEqual(colourMaps.names.indexOf(name), -1, name);
+  });
+
+  assert.throws(() => colourMaps.getMapper('jet'), "Invalid colour map");
+  assert.end();
+});
+
+test('colourMaps - mappers', (assert) => {
+  const viridis = colourMaps.getMapper('viridis');
+  assert.equal(hex(viridis(0)), '#440154');
+  assert.equal(hex(viridis(1)), '#fde725');
+  assert.equal(viridis.signed, false);
+
+  const inverted = colourMaps.getMapper('viridis', true);
+  assert.equal(hex(inverted(0)), '#fde725', "Inverted map");
+
+  assert.deepEqual(colourMaps.getMapper('greys')(0), [1, 1, 1], "Same as the default mapper of Matrix");
+
+  const diverging = colourMaps.getMapper('blue-white-red');
+  assert.equal(diverging.signed, true);
+  assert.equal(hex(diverging(0.5)), '#f7f7f7', "White at the middle");
+
+  ['sunset', 'green', 'magma', 'inferno'].forEach((name) => {
+    const mapper = colourMaps.getMapper(name);
+    const inRange = [0, 0.25, 0.5, 0.75, 1].every((value) => {
+      return mapper(value).every((c) => c >= 0 && c <= 1);
+    });
+
+    assert.ok(inRange, `${name} components are in [0, 1]`);
+    assert.ok(mapper(0).reduce((a, b) => a + b) < mapper(1).reduce((a, b) => a + b), `${name} goes from dark to light`);
+  });
+
+  assert.end();
+});
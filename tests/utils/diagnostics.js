@@ -0,0 +1,56 @@
+const test = require('tape');
+
+import diagnostics from '../../src/utils/diagnostics';
+
+
+test('diagnostics - levels and channels', (assert) => {
+  const messages = [];
+  const output = diagnostics.output;
+  diagnostics.output = (level, channel, message) => messages.push([level, channel, message]);
+
+  diagnostics.debug('render', 'hidden');
+  diagnostics.error('render', 'hidden');
+  assert.equal(messages.length, 0, "Silent by default");
+
+  diagnostics.setLevel('warn');
+  diagnostics.setLevel('debug', 'render');
+  diagnostics.debug('render', () => 'lazy message');
+  diagnostics.debug('update', () => { throw new Error('should not be called'); });
+  diagnostics.warn('update', 'warning');
+
+  assert.deepEqual(messages, [
+    ['debug', 'render', 'lazy message'],
+    ['warn', 'update', 'warning'],
+  ]);
+
+  assert.throws(() => diagnostics.setLevel('verbose'), /Invalid/);
+
+  diagnostics.setLevel('silent');
+  diagnostics.output = output;
+  assert.end();
+});
+
+test('diagnostics - metrics', (assert) => {
+  const metrics = diagnostics.metrics;
+
+  diagnostics.time('update', 'test time', diagnostics.now());
+  assert.equal(metrics.get('test time'), null, "Metrics are not collected by default");
+
+  metrics.enabled = true;
+  metrics.record('test time', 2);
+  metrics.record('test time', 4);
+
+  const stats = metrics.get('test time');
+  assert.equal(stats.count, 2);
+  assert.equal(stats.mean, 3);
+  assert.equal(stats.min, 2);
+  assert.equal(stats.max, 4);
+  assert.equal(stats.last, 4);
+  assert.deepEqual(metrics.names(), ['test time']);
+  assert.deepEqual(JSON.parse(JSON.stringify(metrics))['test time'].total, 6);
+
+  metrics.reset();
+  metrics.enabled = false;
+  assert.deepEqual(metrics.names(), []);
+  assert.end();
+});
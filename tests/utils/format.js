@@ -0,0 +1,32 @@
+const test = require('tape');
+
+import format from '../../src/utils/format';
+
+
+test('format - hms', (assert) => {
+  assert.equal(format.hms(0), '0:00:00.000');
+  assert.equal(format.hms(3723.25), '1:02:03.250');
+  assert.equal(format.hms(59.9999, 2), '0:01:00.00', "Rounds before splitting");
+  assert.equal(format.hms(-90, 0), '-0:01:30');
+  assert.equal(format.hms(90000, 0), '25:00:00', "Hours are not bounded");
+  assert.end();
+});
+
+test('format - timecode and samples', (assert) => {
+  assert.equal(format.timecode(3661.5, 25), '01:01:01:12');
+  assert.equal(format.timecode(0.6, 30), '00:00:00:18', "Exact frames");
+  assert.equal(format.samples(1.5, 44100), '66150');
+  assert.equal(format.padLeft(7, 0, 3), '007');
+  assert.end();
+});
+
+test('format - frequency and noteName', (assert) => {
+  assert.equal(format.frequency(440), '440 Hz');
+  assert.equal(format.frequency(1250), '1.25 kHz');
+  assert.equal(format.frequency(16000), '16 kHz');
+  assert.equal(format.noteName(440), 'A4');
+  assert.equal(format.noteName(261.63), 'C4');
+  assert.equal(format.noteName(550), 'C#5', "Nearest note");
+  assert.equal(format.noteName(432, 432), 'A4');
+  assert.end();
+});
@@ -0,0 +1,72 @@
+const test = require('tape');
+
+import ScaleTickIntervals from '../../src/utils/scale-tick-intervals';
+import scales from '../../src/utils/scales';
+
+
+function values(ticks) {
+  return ticks.map((tick) => tick.value);
+}
+
+function labels(ticks) {
+  return ticks.map((tick) => tick.label);
+}
+
+test('ScaleTickIntervals - linear', (assert) => {
+  const ticks = (new ScaleTickIntervals()).linear(0, 1, 4);
+
+  assert.deepEqual(labels(ticks), ['0.0', '0.3', '0.6', '0.9']);
+  assert.end();
+});
+
+test('ScaleTickIntervals - logarithmic', (assert) => {
+  const intervals = new ScaleTickIntervals();
+
+  let ticks = intervals.logarithmic(10, 1000, 10);
+  assert.deepEqual(labels(ticks),
+    ['10', '16', '25', '40', '63', '100', '158', '251', '398', '631', '1000'],
+    "Evenly spaced in the log domain");
+  assert.deepEqual(values(ticks).slice(0, 3), [10, 16, 25], "Values match the labels");
+
+  ticks = intervals.logarithmic(50, 2000, 5);
+  assert.deepEqual(labels(ticks), ['50', '100', '200', '401', '802', '1604'], "Powers of two");
+
+  ticks = intervals.logarithmic(1, 1e8, 8);
+  assert.deepEqual(labels(ticks).slice(0, 3), ['1e+0', '1e+1', '1e+2'], "Scientific notation");
+
+  assert.deepEqual(intervals.logarithmic(0, 10, 5), [], "Invalid range");
+  assert.end();
+});
+
+test('ScaleTickIntervals - decibels', (assert) => {
+  const ticks = (new ScaleTickIntervals()).decibels(0, 1, 6, -48);
+
+  assert.deepEqual(labels(ticks), ['-48', '-40', '-32', '-24', '-16', '-8', '0']);
+  assert.equal(ticks[0].value, 0);
+  assert.ok(Math.abs(ticks[1].value - 0.01) < 1e-9, "Values are amplitudes");
+  assert.equal(ticks[6].value, 1);
+  assert.end();
+});
+
+test('ScaleTickIntervals - fromScale', (assert) => {
+  const intervals = new ScaleTickIntervals();
+
+  let ticks = intervals.fromScale(scales.mel().domain([0, 8000]), 8);
+  assert.deepEqual(labels(ticks),
+    ['0', '260', '610', '1100', '1800', '2700', '3900', '5600', '8000'],
+    "Mel ticks are rounded to two significant digits");
+
+  ticks = intervals.fromScale(scales.bark().domain([20, 16000]), 8);
+  assert.equal(ticks[0].value, 20);
+  assert.equal(ticks[ticks.length - 1].value, 16000);
+
+  ticks = intervals.fromScale(scales.log().domain([10, 1000]), 2);
+  assert.deepEqual(labels(ticks), ['10', '100', '1000']);
+
+  ticks = intervals.fromScale(scales.db(-40).domain([0, 1]), 4);
+  assert.deepEqual(labels(ticks), ['-40', '-30', '-20', '-10', '0']);
+
+  ticks = intervals.fromScale(scales.linear().domain([0, 1]), 4);
+  assert.deepEqual(labels(ticks), ['0.0', '0.3', '0.6', '0.9']);
+  assert.end();
+});
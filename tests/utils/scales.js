@@ -0,0 +1,67 @@
+const test = require('tape');
+
+import scales from '../../src/utils/scales';
+
+
+test('scales - linear', (assert) => {
+  const scale = scales.linear().domain([-1, 1]).range([0, 100]);
+
+  assert.equal(scale.type, 'linear');
+  assert.equal(scale(0), 50);
+  assert.equal(scale.invert(75), 0.5);
+
+  const copy = scale.copy().range([0, 200]);
+  assert.equal(copy(0), 100, "The copy is independent");
+  assert.equal(scale(0), 50);
+  assert.end();
+});
+
+test('scales - log', (assert) => {
+  const scale = scales.log().domain([10, 1000]).range([0, 100]);
+
+  assert.equal(scale.type, 'log');
+  assert.equal(scale(10), 0);
+  assert.equal(scale(100), 50);
+  assert.equal(scale(1000), 100);
+  assert.ok(Math.abs(scale.invert(75) - Math.pow(10, 2.5)) < 1e-9);
+
+  const copy = scale.copy();
+  assert.equal(copy.type, 'log');
+  assert.deepEqual(copy.domain(), [10, 1000]);
+  assert.equal(copy(100), 50);
+  assert.end();
+});
+
+test('scales - db', (assert) => {
+  const scale = scales.db(-60).domain([-1, 1]).range([0, 120]);
+
+  assert.equal(scale(1), 120, "0 dB");
+  assert.equal(scale(0.001), 60, "-60 dB and below at the center");
+  assert.equal(scale(0.0001), 60);
+  assert.equal(scale(0), 60);
+  assert.ok(Math.abs(scale(-0.1) - 20) < 1e-9, "Negative amplitudes are symmetric");
+  assert.ok(Math.abs(scale.invert(100) - 0.1) < 1e-9);
+  assert.ok(Math.abs(scale.invert(20) + 0.1) < 1e-9);
+  assert.equal(scale.invert(60), 0);
+  assert.equal(scale.warp.floor, -60);
+  assert.end();
+});
+
+test('scales - mel and bark', (assert) => {
+  const mel = scales.mel().domain([0, 8000]).range([0, 100]);
+  const bark = scales.bark().domain([20, 16000]).range([0, 100]);
+
+  assert.ok(Math.abs(scales.mel().warp(1000) - 1000) < 1, "1000 Hz is about 1000 mels");
+  assert.ok(mel(1000) > 100 * 1000 / 8000, "The low frequencies are expanded");
+  assert.ok(bark(1000) > 100 * 1000 / 16000);
+
+  [0, 440, 1000, 5000, 8000].forEach((hz) => {
+    assert.ok(Math.abs(mel.invert(mel(hz)) - hz) < 1e-6, `mel invert ${hz}`);
+  });
+
+  [20, 440, 1000, 5000, 16000].forEach((hz) => {
+    assert.ok(Math.abs(bark.invert(bark(hz)) - hz) < 1e-6, `bark invert ${hz}`);
+  });
+
+  assert.end();
+});
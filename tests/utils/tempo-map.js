@@ -0,0 +1,52 @@
+const test = require('tape');
+
+import TempoMap from '../../src/utils/tempo-map';
+
+
+test('TempoMap - tempo and meter changes', (assert) => {
+  const tempoMap = new TempoMap([
+    { time: 16, bpm: 90 },
+    { time: 0, bpm: 120, signature: '4/4' },
+    { time: 32, signature: '3/4' },
+  ]);
+
+  assert.deepEqual(tempoMap.getPosition(0), { bar: 1, beat: 1, fraction: 0 });
+  assert.deepEqual(tempoMap.getPosition(1.75), { bar: 1, beat: 4, fraction: 0.5 });
+  assert.deepEqual(tempoMap.getPosition(-0.5), { bar: 0, beat: 4, fraction: 0 }, "Extrapolated before the first change");
+  assert.equal(tempoMap.format(17.5), '9:3', "Changes start new bars");
+  assert.equal(tempoMap.format(17.8, 2), '9:3.70');
+  assert.equal(tempoMap.getTempo(20).bpm, 90);
+  assert.equal(tempoMap.getTempo(40).numerator, 3);
+  // 16 seconds at 90 bpm is 24 beats, i.e. 6 bars
+  assert.equal(tempoMap.format(32), '15:1');
+  assert.equal(tempoMap.getTime(15, 2), 32 + 2 / 3);
+  assert.equal(tempoMap.getTime(9, 3), 17 + 1 / 3);
+
+  const beats = tempoMap.getBeats(31, 33);
+  assert.deepEqual(beats.map((b) => `${b.bar}:${b.beat}`), ['14:4', '15:1', '15:2']);
+  assert.throws(() => new TempoMap([{ time: 0, signature: '4' }]));
+  assert.end();
+});
+
+test('TempoMap - from beat times', (assert) => {
+  const tempoMap = TempoMap.fromBeats([1, 1.5, 2, 2.6, 3.2], { signature: '3/4', firstBeat: 3 });
+
+  assert.equal(tempoMap.format(1), '1:3', "Upbeat");
+  assert.equal(tempoMap.format(1.5), '2:1');
+  assert.equal(tempoMap.format(2.3, 1), '2:2.5', "Interpolated between the beats");
+  assert.equal(tempoMap.format(3.8), '3:2', "Extrapolated after the last beat");
+  assert.equal(tempoMap.format(0.5), '1:2', "Extrapolated before the first beat");
+  assert.equal(tempoMap.getTime(2, 3), 2.6);
+  assert.deepEqual(tempoMap.getBeats(0, 2).map((b) => b.time), [0, 0.5, 1, 1.5]);
+  assert.throws(() => TempoMap.fromBeats([1]));
+  assert.end();
+});
+
+test('TempoMap - duplicated beat times', (assert) => {
+  const tempoMap = TempoMap.fromBeats([0, 0.5, 1, 1]);
+
+  assert.deepEqual(tempoMap.getBeats(0, 3).map((b) => b.time), [0, 0.5, 1, 1.5, 2, 2.5]);
+  assert.equal(tempoMap.format(1), '1:3', "Counted once");
+  assert.throws(() => TempoMap.fromBeats([1, 1]));
+  assert.end();
+});